@@ -0,0 +1,263 @@
+// Local mock of the SecureView backend for frontend development.
+// Run `npm run mock` and start the app with the default VITE_BACKEND_URL.
+// Data lives in memory and resets on restart; any email/password signs in.
+
+import { createServer } from 'node:http'
+import { randomUUID } from 'node:crypto'
+
+const PORT = process.env.MOCK_PORT || 8000
+
+const PLAN_CAMERAS = { basic: 2, standard: 8, pro: 32 }
+
+const PLAN_RETENTION_DAYS = { basic: 1, standard: 14, pro: 60 }
+
+// A public test stream stands in for both camera feeds and recordings.
+const SAMPLE_STREAM = 'https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8'
+
+const SERIAL = /^SV-[A-Z0-9]{4}-[A-Z0-9]{4}$/
+
+const MODELS = {
+  D4: 'SecureView Dome 4MP',
+  B8: 'SecureView Bullet 8MP',
+  T4: 'SecureView Turret 4MP',
+}
+
+const minutesAgo = (m) => new Date(Date.now() - m * 60000).toISOString()
+
+const db = {
+  user: { _id: 'u1', name: 'Demo Customer', email: 'demo@secureview.test', role: 'customer', email_verified: true, two_factor_enabled: false },
+  tokens: new Map(),
+  // Single-use stream tickets and when they expire.
+  tickets: new Map(),
+  cart: [],
+  subscription: { plan: 'standard', billing_cycle: 'monthly', status: 'active', current_period_end: new Date(Date.now() + 20 * 86400000).toISOString() },
+  devices: [
+    { _id: randomUUID(), serial: 'SV-D4A1-0001', name: 'Front door', location: 'Porch', model: MODELS.D4, site_id: 'home', site_name: 'Home', status: 'online', last_seen_at: minutesAgo(0), recording: 'continuous', storage_used_gb: 182.4 },
+    { _id: randomUUID(), serial: 'SV-B8A1-0002', name: 'Driveway', location: 'Garage', model: MODELS.B8, site_id: 'home', site_name: 'Home', status: 'online', last_seen_at: minutesAgo(1), recording: 'motion', storage_used_gb: 96.1 },
+    { _id: randomUUID(), serial: 'SV-T4A1-0003', name: 'Back garden', location: 'Patio', model: MODELS.T4, site_id: 'home', site_name: 'Home', status: 'offline', last_seen_at: minutesAgo(190), recording: 'off', storage_used_gb: 40.7 },
+    { _id: randomUUID(), serial: 'SV-D4A1-0004', name: 'Shop floor', location: 'Main room', model: MODELS.D4, site_id: 'shop', site_name: 'Corner shop', status: 'online', last_seen_at: minutesAgo(0), recording: 'continuous', storage_used_gb: 231.9 },
+  ],
+  events: [],
+}
+
+// Open server-sent event connections.
+const streams = new Set()
+
+class HttpError extends Error {
+  constructor(status, detail) {
+    super(detail)
+    this.status = status
+  }
+}
+
+function issueSession() {
+  const token = `mock-${randomUUID()}`
+  const refresh_token = `mock-refresh-${randomUUID()}`
+  db.tokens.set(token, refresh_token)
+  return { token, refresh_token, user: db.user }
+}
+
+function requireAuth(req) {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '')
+  if (!db.tokens.has(token)) throw new HttpError(401, 'Not authenticated')
+}
+
+function findDevice(id) {
+  const device = db.devices.find(d => d._id === id)
+  if (!device) throw new HttpError(404, 'Device not found')
+  return device
+}
+
+// Repeatable pseudo-random numbers so a camera's day looks the same on every request.
+function seeded(text) {
+  let h = 2166136261
+  for (const c of text) h = Math.imul(h ^ c.charCodeAt(0), 16777619)
+  return () => ((h = Math.imul(h ^ (h >>> 15), 2246822507) >>> 0) / 2 ** 32)
+}
+
+// Ten-minute segments (with the odd gap) for continuous cameras, short clips around motion for the rest.
+function recordings(device, from, to) {
+  const segments = []
+  const events = []
+  const now = Date.now()
+  for (let t = Math.floor(from / 600000) * 600000; t < Math.min(to, now); t += 600000) {
+    const random = seeded(`${device._id}${t}`)
+    const motion = random() < 0.15 ? t + Math.floor(random() * 540000) : null
+    if (motion) events.push({ at: new Date(motion).toISOString(), type: 'motion' })
+    const [start, end] = device.recording === 'continuous' ? [t, t + 600000] : motion ? [motion - 10000, motion + 50000] : []
+    if (start === undefined || (device.recording === 'continuous' && random() < 0.05)) continue
+    segments.push({
+      start: new Date(Math.max(start, from)).toISOString(),
+      end: new Date(Math.min(end, to, now)).toISOString(),
+      url: `${SAMPLE_STREAM}?segment=${start}`,
+    })
+  }
+  return { segments, events }
+}
+
+const siteId = (name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'default'
+
+function pushEvent(type, device, message) {
+  const event = {
+    _id: randomUUID(), type, message, created_at: new Date().toISOString(), acknowledged_at: null,
+    device_id: device?._id, device_name: device?.name,
+    thumbnail_url: type === 'motion' ? `https://picsum.photos/seed/${randomUUID()}/320/180` : undefined,
+  }
+  db.events = [event, ...db.events].slice(0, 200)
+  for (const res of streams) res.write(`data: ${JSON.stringify(event)}\n\n`)
+}
+
+// Devices drift online/offline a little so the dashboard has something to show.
+function tick() {
+  for (const d of db.devices) {
+    if (Math.random() < 0.1) {
+      d.status = d.status === 'online' ? 'offline' : 'online'
+      if (d.status === 'offline') pushEvent('camera_offline', d, `${d.name} stopped responding`)
+    }
+    if (d.status === 'online' && d.recording !== 'off' && Math.random() < 0.15) pushEvent('motion', d, `Movement near ${d.location || d.name}`)
+    if (d.status === 'online') {
+      d.last_seen_at = new Date().toISOString()
+      if (d.recording !== 'off') d.storage_used_gb = +(d.storage_used_gb + Math.random() * 0.2).toFixed(1)
+    }
+  }
+}
+setInterval(tick, 15000).unref()
+
+const routes = [
+  ['GET', /^\/$/, () => ({ message: 'SecureView mock API' })],
+  ['POST', /^\/auth\/(login|register)$/, ({ body }) => {
+    if (body.name) db.user = { ...db.user, name: body.name }
+    if (body.email) db.user = { ...db.user, email: body.email }
+    return issueSession()
+  }],
+  ['POST', /^\/auth\/refresh$/, ({ body }) => {
+    const found = [...db.tokens].find(([, r]) => r === body.refresh_token)
+    if (!found) throw new HttpError(401, 'Invalid refresh token')
+    db.tokens.delete(found[0])
+    return issueSession()
+  }],
+  ['POST', /^\/auth\/logout$/, ({ req }) => {
+    db.tokens.delete((req.headers.authorization || '').replace(/^Bearer /, ''))
+    return null
+  }],
+  ['GET', /^\/currencies$/, () => ({ base: 'USD', rates: { USD: 1, EUR: 0.92, GBP: 0.79, CAD: 1.36 } })],
+  ['GET', /^\/products$/, () => ({ items: [], total: 0, facets: {} })],
+  ['GET', /^\/cart$/, ({ req }) => { requireAuth(req); return { items: db.cart } }],
+  ['PUT', /^\/cart$/, ({ req, body }) => { requireAuth(req); db.cart = body.items || []; return { items: db.cart } }],
+  ['GET', /^\/subscription$/, ({ req }) => { requireAuth(req); return db.subscription }],
+  ['GET', /^\/devices$/, ({ req }) => { requireAuth(req); return db.devices }],
+  ['POST', /^\/devices$/, ({ req, body }) => {
+    requireAuth(req)
+    const serial = (body.serial || '').trim().toUpperCase()
+    if (!SERIAL.test(serial)) throw new HttpError(422, 'Serial numbers look like SV-XXXX-XXXX')
+    if (db.devices.some(d => d.serial === serial)) throw new HttpError(409, 'This camera is already registered')
+    if (db.devices.length >= PLAN_CAMERAS[db.subscription.plan]) throw new HttpError(403, 'Your plan camera limit has been reached')
+    const site = (body.site_name || 'Home').trim()
+    const device = {
+      _id: randomUUID(), serial,
+      name: body.name || serial, location: body.location || '',
+      model: MODELS[serial.slice(3, 5)] || 'SecureView Camera',
+      site_id: siteId(site), site_name: site,
+      status: 'online', last_seen_at: new Date().toISOString(), recording: 'continuous', storage_used_gb: 0,
+    }
+    db.devices.push(device)
+    return device
+  }],
+  ['GET', /^\/devices\/([^/]+)\/stream$/, ({ req, params }) => {
+    requireAuth(req)
+    const device = findDevice(params[0])
+    if (db.subscription.plan === 'basic') throw new HttpError(403, 'Remote viewing is not included in your plan')
+    if (device.status !== 'online') throw new HttpError(409, 'Camera is offline')
+    return { url: SAMPLE_STREAM, expires_at: new Date(Date.now() + 3600000).toISOString() }
+  }],
+  ['GET', /^\/devices\/([^/]+)\/recordings$/, ({ req, params, query }) => {
+    requireAuth(req)
+    const device = findDevice(params[0])
+    if (db.subscription.plan === 'basic') throw new HttpError(403, 'Remote viewing is not included in your plan')
+    const earliest = Date.now() - PLAN_RETENTION_DAYS[db.subscription.plan] * 86400000
+    const from = Math.max(Date.parse(query.get('from')) || earliest, earliest)
+    const to = Date.parse(query.get('to')) || Date.now()
+    if (to - from > 86400000) throw new HttpError(422, 'Request at most one day of recordings')
+    return recordings(device, from, to)
+  }],
+  ['GET', /^\/events$/, ({ req, query }) => {
+    requireAuth(req)
+    return db.events.slice(0, +query.get('limit') || 50)
+  }],
+  ['POST', /^\/events\/stream-ticket$/, ({ req }) => {
+    requireAuth(req)
+    const ticket = randomUUID()
+    db.tickets.set(ticket, Date.now() + 30000)
+    return { ticket, expires_in: 30 }
+  }],
+  ['POST', /^\/events\/ack-all$/, ({ req }) => {
+    requireAuth(req)
+    const now = new Date().toISOString()
+    for (const e of db.events) e.acknowledged_at ||= now
+    return null
+  }],
+  ['POST', /^\/events\/([^/]+)\/ack$/, ({ req, params }) => {
+    requireAuth(req)
+    const event = db.events.find(e => e._id === params[0])
+    if (!event) throw new HttpError(404, 'Event not found')
+    event.acknowledged_at ||= new Date().toISOString()
+    return null
+  }],
+  ['PATCH', /^\/devices\/([^/]+)$/, ({ req, body, params }) => {
+    requireAuth(req)
+    const device = findDevice(params[0])
+    for (const key of ['name', 'location', 'recording']) if (body[key] !== undefined) device[key] = body[key]
+    if (body.site_name) Object.assign(device, { site_name: body.site_name, site_id: siteId(body.site_name) })
+    return device
+  }],
+  ['DELETE', /^\/devices\/([^/]+)$/, ({ req, params }) => {
+    requireAuth(req)
+    db.devices = db.devices.filter(d => d._id !== params[0])
+    return null
+  }],
+]
+
+async function readBody(req) {
+  let text = ''
+  for await (const chunk of req) text += chunk
+  try { return text ? JSON.parse(text) : {} } catch { return {} }
+}
+
+function send(res, status, data) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  })
+  res.end(data === null ? '' : JSON.stringify(data))
+}
+
+// EventSource can't send headers, so the token comes in the query string.
+function openStream(req, res, ticket) {
+  const expires = db.tickets.get(ticket)
+  db.tickets.delete(ticket)
+  if (!expires || expires < Date.now()) return send(res, 401, { detail: 'Invalid or expired stream ticket' })
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Access-Control-Allow-Origin': '*' })
+  res.write(': connected\n\n')
+  streams.add(res)
+  req.on('close', () => streams.delete(res))
+}
+
+createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204, null)
+  const url = new URL(req.url, 'http://localhost')
+  const path = url.pathname
+  if (req.method === 'GET' && path === '/events/stream') return openStream(req, res, url.searchParams.get('ticket'))
+  for (const [method, pattern, handler] of routes) {
+    const match = req.method === method && path.match(pattern)
+    if (!match) continue
+    try {
+      const data = await handler({ req, body: await readBody(req), params: match.slice(1), query: url.searchParams })
+      return send(res, data === null ? 204 : 200, data)
+    } catch (err) {
+      return send(res, err.status || 500, { detail: err.message })
+    }
+  }
+  send(res, 404, { detail: `Mock has no route for ${req.method} ${path}` })
+}).listen(PORT, () => console.log(`SecureView mock backend on http://localhost:${PORT}`))
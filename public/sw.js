@@ -0,0 +1,80 @@
+// SecureView service worker. Registered from src/offline.js with the backend url
+// in its query string so API requests can be told apart from everything else, and
+// with the build id so each deploy installs a fresh shell cache.
+
+const VERSION = new URL(location).searchParams.get('build') || 'dev'
+const SHELL = `shell-${VERSION}`
+const CATALOG = 'catalog'
+const IMAGES = 'images'
+const ACCOUNT = 'account'
+const API = new URL(location).searchParams.get('api')
+
+// Public catalog data, browsable offline.
+const CATALOG_PATHS = /^\/products(\/|$)/
+// The signed-in customer's own records, shown read-only offline. Dropped on logout.
+const ACCOUNT_PATHS = /^\/(orders|services|subscription|addresses)(\/|$)/
+
+const MAX_IMAGES = 300
+
+self.addEventListener('install', (e) => {
+  e.waitUntil(caches.open(SHELL).then(c => c.addAll(['/', '/manifest.webmanifest', '/icon.svg'])))
+  self.skipWaiting()
+})
+
+self.addEventListener('activate', (e) => {
+  e.waitUntil((async () => {
+    for (const name of await caches.keys()) if (name.startsWith('shell-') && name !== SHELL) await caches.delete(name)
+    await self.clients.claim()
+  })())
+})
+
+self.addEventListener('message', (e) => {
+  if (e.data?.type === 'clear-account') e.waitUntil(caches.delete(ACCOUNT))
+})
+
+async function networkFirst(req, name, key = req) {
+  const cache = await caches.open(name)
+  try {
+    const res = await fetch(req)
+    if (res.ok) await cache.put(key, res.clone())
+    return res
+  } catch (err) {
+    const hit = await cache.match(key, { ignoreVary: true })
+    if (hit) return hit
+    throw err
+  }
+}
+
+async function cacheFirst(req, name, limit = 0) {
+  const cache = await caches.open(name)
+  const hit = await cache.match(req)
+  if (hit) return hit
+  const res = await fetch(req)
+  if (res.ok || res.type === 'opaque') {
+    await cache.put(req, res.clone())
+    if (limit) {
+      const keys = await cache.keys()
+      for (const old of keys.slice(0, Math.max(0, keys.length - limit))) await cache.delete(old)
+    }
+  }
+  return res
+}
+
+self.addEventListener('fetch', (e) => {
+  const req = e.request
+  if (req.method !== 'GET') return
+  const url = new URL(req.url)
+
+  // Every route is the same index.html, so one cached copy serves any page offline.
+  if (req.mode === 'navigate') return e.respondWith(networkFirst(req, SHELL, '/'))
+
+  if (API && url.href.startsWith(API)) {
+    const path = url.pathname.slice(new URL(API).pathname.replace(/\/$/, '').length)
+    if (CATALOG_PATHS.test(path)) e.respondWith(networkFirst(req, CATALOG))
+    else if (ACCOUNT_PATHS.test(path)) e.respondWith(networkFirst(req, ACCOUNT))
+    return
+  }
+
+  if (url.origin === location.origin && url.pathname.startsWith('/assets/')) return e.respondWith(cacheFirst(req, SHELL))
+  if (req.destination === 'image') e.respondWith(cacheFirst(req, IMAGES, MAX_IMAGES))
+})
@@ -0,0 +1,212 @@
+import { useEffect, useState } from 'react'
+import { api, getSession, updateUser } from './api'
+import { AddressFields, EMPTY_ADDRESS, formatAddress, validateAddress } from './Checkout'
+import { SubscriptionSummary } from './Plans'
+import { PasswordChecklist } from './Auth'
+import { ActiveSessions, TwoFactorSettings } from './Security'
+import { passwordError } from './password'
+import { confirmAction, ErrorPanel, ListSkeleton, Skeleton, toast } from './Feedback'
+import { t } from './i18n'
+import { inputClass } from './styles'
+
+function Panel({ title, children }) {
+  return (
+    <div className="p-4 rounded border border-zinc-800 bg-zinc-900 space-y-3">
+      <div className="font-medium">{title}</div>
+      {children}
+    </div>
+  )
+}
+
+function ProfileForm() {
+  const user = getSession().user || {}
+  const [name, setName] = useState(user.name || '')
+  const [email, setEmail] = useState(user.email || '')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+
+  const save = async (e) => {
+    e.preventDefault()
+    setError('')
+    setMessage('')
+    setSaving(true)
+    try {
+      const updated = await api.patch('/auth/me', { name: name.trim(), email: email.trim() })
+      updateUser({ ...user, ...updated })
+      if (email.trim() !== user.email) setMessage(t('We sent a verification link to {email}.', { email: email.trim() }))
+      toast(t('Profile saved'))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form onSubmit={save} className="space-y-3 max-w-md">
+      <div>
+        <label className="block text-sm text-zinc-400 mb-1">{t('Name')}</label>
+        <input value={name} onChange={e=>setName(e.target.value)} className={inputClass} required />
+      </div>
+      <div>
+        <label className="block text-sm text-zinc-400 mb-1">{t('Email')}</label>
+        <input type="email" value={email} onChange={e=>setEmail(e.target.value)} className={inputClass} required />
+        {user.email_verified === false && <p className="text-amber-400 text-xs mt-1">{t('Not verified yet.')}</p>}
+      </div>
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      {message && <p className="text-emerald-400 text-sm">{message}</p>}
+      <button disabled={saving || (name === user.name && email === user.email)} className="px-4 py-2 rounded bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50">{saving ? t('Please wait...') : t('Save profile')}</button>
+    </form>
+  )
+}
+
+function PasswordForm() {
+  const [current, setCurrent] = useState('')
+  const [next, setNext] = useState('')
+  const [confirm, setConfirm] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const save = async (e) => {
+    e.preventDefault()
+    const weak = passwordError(next, { email: getSession().user?.email })
+    if (weak) return setError(weak)
+    if (next !== confirm) return setError(t('Passwords do not match'))
+    setError('')
+    setSaving(true)
+    try {
+      await api.post('/auth/change-password', { current_password: current, new_password: next }, { refresh: false })
+      setCurrent('')
+      setNext('')
+      setConfirm('')
+      toast(t('Password changed'))
+    } catch (err) {
+      setError(err.status === 401 || err.status === 403 ? t('Current password is incorrect') : err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form onSubmit={save} className="space-y-3 max-w-md">
+      <div>
+        <label className="block text-sm text-zinc-400 mb-1">{t('Current password')}</label>
+        <input type="password" value={current} onChange={e=>setCurrent(e.target.value)} className={inputClass} required />
+      </div>
+      <div>
+        <label className="block text-sm text-zinc-400 mb-1">{t('New password')}</label>
+        <input type="password" value={next} onChange={e=>setNext(e.target.value)} className={inputClass} required />
+        <PasswordChecklist password={next} />
+      </div>
+      <div>
+        <label className="block text-sm text-zinc-400 mb-1">{t('Confirm new password')}</label>
+        <input type="password" value={confirm} onChange={e=>setConfirm(e.target.value)} className={inputClass} required />
+      </div>
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      <button disabled={saving} className="px-4 py-2 rounded bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50">{saving ? t('Please wait...') : t('Change password')}</button>
+    </form>
+  )
+}
+
+function AddressBook() {
+  const [addresses, setAddresses] = useState(null)
+  const [editing, setEditing] = useState(null)
+  const [errors, setErrors] = useState({})
+  const [error, setError] = useState('')
+
+  const load = async () => {
+    setError('')
+    try {
+      setAddresses(await api.get('/addresses'))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+  useEffect(()=>{ load() }, [])
+
+  const save = async () => {
+    const errs = validateAddress(editing)
+    setErrors(errs)
+    if (Object.keys(errs).length) return
+    setError('')
+    try {
+      if (editing._id) await api.patch(`/addresses/${editing._id}`, editing)
+      else await api.post('/addresses', editing)
+      toast(t('Address saved'))
+      setEditing(null)
+      await load()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const remove = async (a) => {
+    if (!await confirmAction(t('Delete this address?'), { description: formatAddress(a), confirmLabel: t('Delete'), destructive: true })) return
+    setError('')
+    try {
+      await api.del(`/addresses/${a._id}`)
+      toast(t('Address deleted'))
+      await load()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  if (!addresses) return error ? <ErrorPanel message={error} onRetry={load} /> : <ListSkeleton rows={2} className="h-12" />
+  return (
+    <div className="space-y-2">
+      {addresses.map(a => (
+        <div key={a._id} className="p-3 rounded border border-zinc-800 text-sm flex items-center justify-between gap-3">
+          <span>{formatAddress(a)}</span>
+          <div className="flex gap-3 shrink-0">
+            <button onClick={()=>{ setEditing({ ...EMPTY_ADDRESS, ...a }); setErrors({}) }} className="text-zinc-400 hover:text-zinc-200">{t('Edit')}</button>
+            <button onClick={()=>remove(a)} className="text-red-400">{t('Delete')}</button>
+          </div>
+        </div>
+      ))}
+      {addresses.length===0 && !editing && <div className="text-sm text-zinc-500">{t('No saved addresses.')}</div>}
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      {editing ? (
+        <div className="space-y-3 pt-2">
+          <AddressFields address={editing} errors={errors} onChange={(key, value)=>setEditing(v=>({ ...v, [key]: value }))} />
+          <div className="flex gap-2">
+            <button onClick={()=>setEditing(null)} className="px-4 py-2 rounded bg-zinc-800 hover:bg-zinc-700">{t('Cancel')}</button>
+            <button onClick={save} className="px-4 py-2 rounded bg-emerald-600 hover:bg-emerald-500">{t('Save address')}</button>
+          </div>
+        </div>
+      ) : (
+        <button onClick={()=>{ setEditing(EMPTY_ADDRESS); setErrors({}) }} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">{t('Add address')}</button>
+      )}
+    </div>
+  )
+}
+
+export default function Account(){
+  const [sub, setSub] = useState(null)
+  const [loaded, setLoaded] = useState(false)
+  const [error, setError] = useState('')
+  const load = async () => {
+    setError('')
+    try {
+      setSub(await api.get('/subscription'))
+      setLoaded(true)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+  useEffect(()=>{ load() }, [])
+
+  return (
+    <div className="space-y-3">
+      {error ? <ErrorPanel message={error} onRetry={load} /> : loaded ? <SubscriptionSummary sub={sub} onChanged={load} /> : <Skeleton className="h-32" />}
+      <Panel title={t('Profile')}><ProfileForm /></Panel>
+      <Panel title={t('Password')}><PasswordForm /></Panel>
+      <div id="security" className="space-y-3">
+        <Panel title={t('Two-factor authentication')}><TwoFactorSettings /></Panel>
+        <Panel title={t('Active sessions')}><ActiveSessions /></Panel>
+      </div>
+      <Panel title={t('Saved addresses')}><AddressBook /></Panel>
+    </div>
+  )
+}
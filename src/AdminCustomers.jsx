@@ -0,0 +1,183 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { api } from './api'
+import { Drawer, Pager, useAdminList } from './AdminList'
+import { STATUS_LABELS } from './Orders'
+import { formatSchedule, serviceLabel } from './Services'
+import { JOB_LABELS } from './Technician'
+import { getPlan } from './plans'
+import { confirmAction, ErrorPanel, ListSkeleton, toast } from './Feedback'
+import { BASE_CURRENCY, formatDate, money } from './i18n'
+import { fieldClass } from './styles'
+
+const FILTER_KEYS = ['q', 'role', 'status']
+
+const ROLES = [
+  ['customer', 'Customer'],
+  ['technician', 'Technician'],
+  ['admin', 'Admin'],
+]
+
+// Lists from the admin endpoints may be a bare array or a page object.
+const items = (data) => Array.isArray(data) ? data : data?.items || []
+
+function Section({ title, children }) {
+  return (
+    <div>
+      <div className="text-sm font-medium mb-1">{title}</div>
+      {children}
+    </div>
+  )
+}
+
+function CustomerDrawer({ id, currentUser, onClose, onChanged }) {
+  const [data, setData] = useState(null)
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const load = async () => {
+    setError('')
+    try {
+      const [customer, orders, services, subscription] = await Promise.all([
+        api.get(`/admin/users/${id}`),
+        api.get(`/admin/orders?user_id=${id}&page_size=100`),
+        api.get(`/admin/services?user_id=${id}`),
+        api.get(`/admin/users/${id}/subscription`).catch(() => null),
+      ])
+      setData({ customer, orders: items(orders), orderCount: orders?.total ?? items(orders).length, services: items(services), subscription })
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+  useEffect(()=>{ setData(null); setError(''); if (id) load() }, [id])
+
+  const run = async (question, fn, done) => {
+    if (!await confirmAction(question.title, question)) return
+    setError('')
+    setBusy(true)
+    try {
+      await fn()
+      toast(done)
+      await load()
+      onChanged()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const c = data?.customer
+  const self = c && (c._id === currentUser?._id || c.email === currentUser?.email)
+  const suspended = c?.status === 'suspended'
+
+  const roleLabel = (role) => ROLES.find(r => r[0] === role)?.[1] || role
+  const changeRole = (role) => run({ title: `Make ${c.name} ${roleLabel(role).toLowerCase()}?`, description: `Their role changes from ${roleLabel(c.role).toLowerCase()} to ${roleLabel(role).toLowerCase()}.`, confirmLabel: 'Change role', destructive: role === 'admin' }, () => api.patch(`/admin/users/${c._id}`, { role }), 'Role updated')
+  const toggleSuspend = () => suspended
+    ? run({ title: `Reactivate ${c.name}'s account?`, confirmLabel: 'Reactivate' }, () => api.post(`/admin/users/${c._id}/reactivate`), 'Account reactivated')
+    : run({ title: `Suspend ${c.name}?`, description: 'They will be signed out and unable to log in.', confirmLabel: 'Suspend', destructive: true }, () => api.post(`/admin/users/${c._id}/suspend`), 'Account suspended')
+  const resetPassword = () => run({ title: 'Send password reset email?', description: `A reset link will be sent to ${c.email}.`, confirmLabel: 'Send' }, () => api.post(`/admin/users/${c._id}/password-reset`), `Password reset email sent to ${c.email}`)
+
+  const sub = data?.subscription
+
+  return (
+    <Drawer open={!!id} title={c ? c.name : 'Customer'} description="Customer account, orders, bookings and subscription" onClose={onClose}>
+      {error && (data ? <p className="text-red-400 text-sm">{error}</p> : <ErrorPanel message={error} onRetry={load} />)}
+      {!data && !error && <ListSkeleton rows={4} />}
+      {data && (
+        <>
+          <div className="text-sm space-y-1">
+            <div><span className="text-zinc-400">Email:</span> {c.email}</div>
+            <div><span className="text-zinc-400">Joined:</span> {formatDate(c.created_at)}</div>
+            <div><span className="text-zinc-400">Status:</span> {suspended ? <span className="text-red-400">Suspended</span> : 'Active'}</div>
+          </div>
+
+          <Section title="Account">
+            <div className="flex flex-wrap items-center gap-2">
+              <select value={c.role} disabled={self || busy} onChange={e=>changeRole(e.target.value)} className={fieldClass}>
+                {ROLES.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+              <button onClick={toggleSuspend} disabled={self || busy} className={`px-2 py-1 rounded text-xs disabled:opacity-50 ${suspended ? 'bg-emerald-600 hover:bg-emerald-500' : 'bg-red-600/80 hover:bg-red-600'}`}>{suspended ? 'Reactivate' : 'Suspend'}</button>
+              <button onClick={resetPassword} disabled={busy} className="px-2 py-1 rounded bg-zinc-800 hover:bg-zinc-700 text-xs disabled:opacity-50">Send password reset</button>
+            </div>
+            {self && <div className="text-xs text-zinc-500 mt-1">You can't change the role or suspend your own account.</div>}
+          </Section>
+
+          <Section title="Subscription">
+            {sub?.plan ? (
+              <div className="text-sm text-zinc-400">
+                {getPlan(sub.plan).name} • {sub.billing_cycle} • {sub.status || 'active'}
+                {sub.current_period_end && ` • ${sub.cancel_at_period_end ? 'ends' : 'renews'} ${formatDate(sub.current_period_end)}`}
+              </div>
+            ) : <div className="text-xs text-zinc-500">No subscription.</div>}
+          </Section>
+
+          <Section title={`Orders (${data.orderCount})`}>
+            {data.orders.map(o => (
+              <Link key={o._id} to={`/admin/orders?order=${o._id}`} className="flex justify-between text-sm py-1 border-b border-zinc-800 hover:text-emerald-400">
+                <span>{o._id} • {formatDate(o.created_at)}</span>
+                <span className="text-zinc-400">{money(o.total, BASE_CURRENCY)} • {STATUS_LABELS[o.status] || o.status}</span>
+              </Link>
+            ))}
+            {data.orders.length===0 && <div className="text-xs text-zinc-500">No orders.</div>}
+            {data.orderCount > data.orders.length && <Link to={`/admin/orders?customer=${encodeURIComponent(data.customer.email)}`} className="block text-xs text-emerald-400 hover:text-emerald-300 pt-1">Showing the latest {data.orders.length}; see all orders</Link>}
+          </Section>
+
+          <Section title={`Service bookings (${data.services.length})`}>
+            {data.services.map(s => (
+              <div key={s._id} className="flex justify-between text-sm py-1 border-b border-zinc-800">
+                <span>{serviceLabel(s.service_type)} • {formatSchedule(s)}</span>
+                <span className="text-zinc-400">{JOB_LABELS[s.status] || s.status}</span>
+              </div>
+            ))}
+            {data.services.length===0 && <div className="text-xs text-zinc-500">No bookings.</div>}
+          </Section>
+        </>
+      )}
+    </Drawer>
+  )
+}
+
+export default function AdminCustomers({ user }) {
+  const { result, loading, error, load, get, page, pages, setParam, search } = useAdminList('/admin/users', { filters: FILTER_KEYS, detailKey: 'customer' })
+
+  return (
+    <div className="space-y-3">
+      <form onSubmit={search} className="flex flex-wrap gap-2 items-center">
+        <input name="q" key={get('q')} defaultValue={get('q')} placeholder="Name or email" className={fieldClass} />
+        <select value={get('role')} onChange={e=>setParam('role', e.target.value)} className={fieldClass}>
+          <option value="">All roles</option>
+          {ROLES.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <select value={get('status')} onChange={e=>setParam('status', e.target.value)} className={fieldClass}>
+          <option value="">Any status</option>
+          <option value="active">Active</option>
+          <option value="suspended">Suspended</option>
+        </select>
+        <button className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">Search</button>
+      </form>
+
+      {error && <ErrorPanel message={error} onRetry={load} />}
+      <div className="text-xs text-zinc-500">{loading ? 'Loading...' : `${result.total} account${result.total === 1 ? '' : 's'}`}</div>
+      {loading && result.items.length===0 && <ListSkeleton rows={5} />}
+      <div className="space-y-2">
+        {result.items.map(u => (
+          <button key={u._id} onClick={()=>setParam('customer', u._id)} className="w-full text-left p-3 border border-zinc-800 rounded hover:border-zinc-700 flex items-center justify-between">
+            <div>
+              <div className="font-medium">{u.name}</div>
+              <div className="text-xs text-zinc-400">{u.email}</div>
+            </div>
+            <div className="text-xs text-right">
+              <div className="text-zinc-500">{u.role}</div>
+              {u.status === 'suspended' && <div className="text-red-400">suspended</div>}
+            </div>
+          </button>
+        ))}
+        {result.items.length===0 && !loading && !error && <div className="text-zinc-500">No accounts match these filters.</div>}
+      </div>
+      <Pager page={page} pages={pages} onPage={n => setParam('page', n)} />
+
+      <CustomerDrawer id={get('customer')} currentUser={user} onClose={()=>setParam('customer', '')} onChanged={load} />
+    </div>
+  )
+}
@@ -0,0 +1,157 @@
+import { useEffect, useRef, useState } from 'react'
+import { api, API, NetworkError } from './api'
+import { formatDate, formatNumber, t, tn } from './i18n'
+
+const INTERVALS = [
+  [5000, 'Every 5 s'],
+  [15000, 'Every 15 s'],
+  [60000, 'Every minute'],
+]
+
+const HISTORY = 40
+
+// `expect` lists the statuses that count as healthy. Checkout only accepts POST,
+// so a 405 on GET proves the route is up without starting a payment.
+const CHECKS = [
+  { id: 'backend', label: 'Backend', method: 'get', path: '/', auth: false, expect: [200] },
+  { id: 'products', label: 'GET /products', method: 'get', path: '/products?page_size=1', auth: false, expect: [200] },
+  { id: 'orders', label: 'GET /orders', method: 'get', path: '/orders', expect: [200] },
+  { id: 'checkout', label: '/payments/checkout', method: 'get', path: '/payments/checkout', expect: [200, 405, 422] },
+  { id: 'subscription', label: 'GET /subscription', method: 'get', path: '/subscription', expect: [200, 404] },
+]
+
+// Hides credentials and query parameters in connection strings.
+function redact(url) {
+  if (!url) return ''
+  try {
+    const u = new URL(url)
+    if (u.password) u.password = '•••'
+    u.search = ''
+    return u.toString()
+  } catch {
+    return url.replace(/\/\/([^:/@]+):[^@]*@/, '//$1:•••@').replace(/\?.*$/, '')
+  }
+}
+
+async function runCheck(check) {
+  const started = performance.now()
+  let status
+  try {
+    await api[check.method](check.path, { auth: check.auth ?? true })
+    status = 200
+  } catch (err) {
+    if (err instanceof NetworkError) return { at: Date.now(), ok: false, ms: null, status: 0, error: err.message }
+    status = err.status
+  }
+  const ms = Math.round(performance.now() - started)
+  return { at: Date.now(), ok: check.expect.includes(status), ms, status }
+}
+
+function Sparkline({ samples }) {
+  const points = samples.filter(s => s.ms !== null)
+  if (points.length < 2) return <div className="h-8 text-xs text-zinc-600 flex items-center">{t('Collecting...')}</div>
+  const max = Math.max(...points.map(s => s.ms), 1)
+  const step = 100 / (HISTORY - 1)
+  const offset = (HISTORY - samples.length) * step
+  const path = samples.map((s, i) => s.ms === null ? null : `${offset + i * step},${30 - (s.ms / max) * 28}`).filter(Boolean).join(' ')
+  return (
+    <svg viewBox="0 0 100 30" preserveAspectRatio="none" className="w-full h-8">
+      <polyline points={path} fill="none" stroke="currentColor" strokeWidth="1.5" vectorEffect="non-scaling-stroke" className="text-emerald-500" />
+      {samples.map((s, i) => !s.ok && <line key={s.at} x1={offset + i * step} x2={offset + i * step} y1="0" y2="30" stroke="currentColor" vectorEffect="non-scaling-stroke" className="text-red-500/70" />)}
+    </svg>
+  )
+}
+
+function CheckCard({ check, samples }) {
+  const last = samples[samples.length - 1]
+  const timed = samples.filter(s => s.ms !== null)
+  const avg = timed.length ? Math.round(timed.reduce((n, s) => n + s.ms, 0) / timed.length) : null
+  const uptime = samples.length ? samples.filter(s => s.ok).length / samples.length : null
+  return (
+    <div className="p-3 rounded border border-zinc-800 bg-zinc-950 space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm font-medium font-mono">{t(check.label)}</div>
+        {last && <span className={`text-xs px-2 py-0.5 rounded border ${last.ok ? 'text-emerald-400 border-emerald-500/30' : 'text-red-400 border-red-500/30'}`}>{last.ok ? t('OK') : last.status ? `HTTP ${last.status}` : t('Unreachable')}</span>}
+      </div>
+      <Sparkline samples={samples} />
+      <div className="flex justify-between text-xs text-zinc-500">
+        <span>{t('Last {last} ms • avg {avg} ms', { last: last?.ms == null ? '—' : formatNumber(last.ms), avg: avg === null ? '—' : formatNumber(avg) })}</span>
+        <span>{t('{percent} ok', { percent: uptime === null ? '—' : formatNumber(uptime, { style: 'percent' }) })}</span>
+      </div>
+    </div>
+  )
+}
+
+function Database({ db, error }) {
+  if (error) return <div className="p-3 rounded border border-red-500/30 bg-red-500/10 text-sm text-red-300">{t('Database status unavailable: {error}', { error })}</div>
+  if (!db) return null
+  const connected = ['connected', 'ok'].includes(String(db.connection_status || db.database).toLowerCase())
+  return (
+    <div className="p-3 rounded border border-zinc-800 bg-zinc-950 text-sm space-y-1">
+      <div className="flex items-center justify-between">
+        <div className="font-medium">{t('Database')}</div>
+        <span className={`text-xs px-2 py-0.5 rounded border ${connected ? 'text-emerald-400 border-emerald-500/30' : 'text-red-400 border-red-500/30'}`}>{db.connection_status || db.database}</span>
+      </div>
+      {db.database_name && <div className="text-zinc-400">{t('Name')}: <span className="font-mono">{db.database_name}</span></div>}
+      {db.database_url && <div className="text-zinc-400 break-all">URL: <span className="font-mono">{redact(db.database_url)}</span></div>}
+      {db.collections && <div className="text-zinc-400">{tn(db.collections.length, '{count} collection', '{count} collections')}{db.collections.length > 0 && `: ${db.collections.join(', ')}`}</div>}
+    </div>
+  )
+}
+
+export default function AdminHealth() {
+  const [history, setHistory] = useState({})
+  const [db, setDb] = useState(null)
+  const [dbError, setDbError] = useState('')
+  const [every, setEvery] = useState(15000)
+  const [paused, setPaused] = useState(false)
+  const [checkedAt, setCheckedAt] = useState(null)
+  const running = useRef(false)
+
+  const poll = async () => {
+    if (running.current) return
+    running.current = true
+    const [results, health] = await Promise.all([
+      Promise.all(CHECKS.map(runCheck)),
+      api.get('/admin/health').then(d => ({ data: d }), err => ({ error: err.message })),
+    ])
+    setHistory(h => Object.fromEntries(CHECKS.map((c, i) => [c.id, [...(h[c.id] || []), results[i]].slice(-HISTORY)])))
+    setDb(health.data || null)
+    setDbError(health.error || '')
+    setCheckedAt(new Date())
+    running.current = false
+  }
+
+  useEffect(()=>{
+    if (paused) return
+    poll()
+    const timer = setInterval(poll, every)
+    return () => clearInterval(timer)
+  }, [every, paused])
+
+  const down = CHECKS.filter(c => history[c.id]?.at(-1)?.ok === false)
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className={`font-medium ${!checkedAt ? '' : down.length ? 'text-red-400' : 'text-emerald-400'}`}>
+            {!checkedAt ? t('Checking...') : down.length ? tn(down.length, '{count} check failing', '{count} checks failing') : t('All systems operational')}
+          </div>
+          <div className="text-xs text-zinc-500">{redact(API)}{checkedAt && ` • ${t('checked {time}', { time: formatDate(checkedAt, { timeStyle: 'medium' }) })}`}</div>
+        </div>
+        <div className="flex items-center gap-2 text-sm">
+          <select value={every} onChange={e=>setEvery(+e.target.value)} className="bg-zinc-950 border border-zinc-800 rounded px-2 py-1">
+            {INTERVALS.map(([ms, label]) => <option key={ms} value={ms}>{t(label)}</option>)}
+          </select>
+          <button onClick={()=>setPaused(p => !p)} className="px-3 py-1 rounded bg-zinc-800 hover:bg-zinc-700">{paused ? t('Resume') : t('Pause')}</button>
+          <button onClick={poll} className="px-3 py-1 rounded bg-zinc-800 hover:bg-zinc-700">{t('Check now')}</button>
+        </div>
+      </div>
+      <Database db={db} error={dbError} />
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+        {CHECKS.map(c => <CheckCard key={c.id} check={c} samples={history[c.id] || []} />)}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,82 @@
+import { useEffect, useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import * as Dialog from '@radix-ui/react-dialog'
+import { api } from './api'
+
+// Paged admin list driven by the query string. `filters` are forwarded to `path`;
+// `detailKey` names the parameter that opens the detail drawer.
+export function useAdminList(path, { filters, detailKey, pageSize = 20 }) {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [result, setResult] = useState({ items: [], total: 0 })
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const get = (key) => searchParams.get(key) || ''
+  const page = Math.max(1, parseInt(get('page') || 1))
+
+  // Changing a filter returns to the first page; opening or closing the drawer does not.
+  const setParams = (values) => setSearchParams(prev => {
+    const next = new URLSearchParams(prev)
+    for (const [key, value] of Object.entries(values)) value ? next.set(key, value) : next.delete(key)
+    if (!('page' in values) && !(detailKey in values)) next.delete('page')
+    return next
+  })
+  const setParam = (key, value) => setParams({ [key]: value })
+
+  // Applies every named field in the search form at once.
+  const search = (e) => {
+    e.preventDefault()
+    setParams(Object.fromEntries(new FormData(e.target)))
+  }
+
+  const load = async () => {
+    const params = new URLSearchParams()
+    for (const key of filters) if (get(key)) params.set(key, get(key))
+    params.set('page', page)
+    params.set('page_size', pageSize)
+    setLoading(true)
+    setError('')
+    try {
+      const data = await api.get(`${path}?${params.toString()}`)
+      setResult(Array.isArray(data) ? { items: data, total: data.length } : data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+  useEffect(()=>{ load() }, [filters.map(get).join('|'), page])
+
+  const pages = Math.max(1, Math.ceil(result.total / pageSize))
+
+  return { result, loading, error, load, get, page, pages, setParam, search }
+}
+
+export function Pager({ page, pages, onPage }) {
+  if (pages <= 1) return null
+  return (
+    <div className="flex items-center justify-center gap-2">
+      <button onClick={()=>onPage(page - 1)} disabled={page<=1} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 disabled:opacity-50 text-sm">Previous</button>
+      <span className="text-sm text-zinc-400">Page {page} of {pages}</span>
+      <button onClick={()=>onPage(page + 1)} disabled={page>=pages} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 disabled:opacity-50 text-sm">Next</button>
+    </div>
+  )
+}
+
+// Right-hand detail panel opened from a list row.
+export function Drawer({ open, title, description, onClose, children }) {
+  return (
+    <Dialog.Root open={open} onOpenChange={o => { if (!o) onClose() }}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 bg-black/60 z-20" />
+        <Dialog.Content className="fixed right-0 top-0 h-full w-full max-w-lg bg-zinc-900 border-l border-zinc-800 text-zinc-100 p-5 overflow-y-auto z-30 space-y-4">
+          <div className="flex items-center justify-between">
+            <Dialog.Title className="font-semibold">{title}</Dialog.Title>
+            <Dialog.Close className="text-zinc-400 hover:text-zinc-200">✕</Dialog.Close>
+          </div>
+          <Dialog.Description className="sr-only">{description}</Dialog.Description>
+          {children}
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
@@ -0,0 +1,195 @@
+import { useEffect, useState } from 'react'
+import { api } from './api'
+import { Drawer, Pager, useAdminList } from './AdminList'
+import { formatAddress } from './Checkout'
+import { ORDER_TRANSITIONS, STATUS_LABELS } from './Orders'
+import { confirmAction, ErrorPanel, ListSkeleton, toast } from './Feedback'
+import { BASE_CURRENCY, formatDateTime, money as formatMoney } from './i18n'
+import { fieldClass } from './styles'
+
+const FILTER_KEYS = ['q', 'status', 'customer', 'from', 'to']
+
+const money = (n) => formatMoney(n, BASE_CURRENCY)
+function RefundForm({ order, onDone }) {
+  const refundable = +((order.total || 0) - (order.refunded_amount || 0)).toFixed(2)
+  const [amount, setAmount] = useState('')
+  const [reason, setReason] = useState('')
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const submit = async () => {
+    const value = parseFloat(amount)
+    if (!(value > 0) || value > refundable) return setError(`Enter an amount between ${money(0.01)} and ${money(refundable)}.`)
+    if (!reason.trim()) return setError('A reason is required.')
+    if (!await confirmAction(`Refund ${money(value)}?`, { description: `Order ${order._id} • ${reason.trim()}`, confirmLabel: 'Issue refund', destructive: true })) return
+    setError('')
+    setBusy(true)
+    try {
+      await api.post(`/admin/orders/${order._id}/refunds`, { amount: value, reason: reason.trim() })
+      toast(`Refunded ${money(value)}`)
+      setAmount('')
+      setReason('')
+      await onDone()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (refundable <= 0) return <div className="text-xs text-zinc-500">This order has been fully refunded.</div>
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <input placeholder="Amount" value={amount} onChange={e=>setAmount(e.target.value)} className={`${fieldClass} w-28`} />
+        <button onClick={()=>setAmount(String(refundable))} className="px-2 py-1 rounded bg-zinc-800 hover:bg-zinc-700 text-xs">Full ({money(refundable)})</button>
+      </div>
+      <input placeholder="Reason" value={reason} onChange={e=>setReason(e.target.value)} className={`${fieldClass} w-full`} />
+      {error && <p className="text-red-400 text-xs">{error}</p>}
+      <button onClick={submit} disabled={busy} className="px-3 py-1.5 rounded bg-red-600/80 hover:bg-red-600 text-sm disabled:opacity-50">{busy ? 'Please wait...' : 'Issue refund'}</button>
+    </div>
+  )
+}
+
+function OrderDrawer({ id, onClose, onChanged }) {
+  const [order, setOrder] = useState(null)
+  const [error, setError] = useState('')
+
+  const load = async () => {
+    setError('')
+    try {
+      setOrder(await api.get(`/admin/orders/${id}`))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+  useEffect(()=>{ setOrder(null); setError(''); if (id) load() }, [id])
+
+  const changeStatus = async (status) => {
+    if (!await confirmAction(`Mark order as ${(STATUS_LABELS[status] || status).toLowerCase()}?`, { description: `Order ${order._id} is currently ${(STATUS_LABELS[order.status] || order.status).toLowerCase()}.`, confirmLabel: STATUS_LABELS[status] || status, destructive: status === 'cancelled' })) return
+    setError('')
+    try {
+      await api.patch(`/admin/orders/${order._id}`, { status })
+      toast(`Order marked ${(STATUS_LABELS[status] || status).toLowerCase()}`)
+      await load()
+      onChanged()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const refunded = async () => {
+    await load()
+    onChanged()
+  }
+
+  const payments = order?.payments || (order?.payment ? [order.payment] : [])
+
+  return (
+    <Drawer open={!!id} title={`Order ${id}`} description="Order details, payment, status history and refunds" onClose={onClose}>
+      {error && (order ? <p className="text-red-400 text-sm">{error}</p> : <ErrorPanel message={error} onRetry={load} />)}
+      {!order && !error && <ListSkeleton rows={4} />}
+      {order && (
+        <>
+          <div className="text-sm space-y-1">
+            <div><span className="text-zinc-400">Customer:</span> {order.customer_name || order.user_name || order.user_id} {order.customer_email && <span className="text-zinc-500">({order.customer_email})</span>}</div>
+            <div><span className="text-zinc-400">Placed:</span> {formatDateTime(order.created_at)}</div>
+            <div><span className="text-zinc-400">Status:</span> {STATUS_LABELS[order.status] || order.status}</div>
+            <div><span className="text-zinc-400">{order.delivery_method === 'installation' ? 'Install at' : 'Ship to'}:</span> {formatAddress(order.address) || '—'}</div>
+          </div>
+
+          <div>
+            <div className="text-sm font-medium mb-1">Items</div>
+            {order.items.map(i => (
+              <div key={`${i.product_id}:${i.variant || ''}`} className="flex justify-between text-sm py-1 border-b border-zinc-800">
+                <span>{i.name || i.product_id}{i.variant ? ` (${i.variant})` : ''} × {i.qty}</span><span>{money((i.price||0) * i.qty)}</span>
+              </div>
+            ))}
+            <div className="text-sm mt-2 space-y-0.5 text-right">
+              {order.shipping != null && <div className="text-zinc-400">Shipping {money(order.shipping)}</div>}
+              {order.tax != null && <div className="text-zinc-400">Tax {money(order.tax)}</div>}
+              <div className="font-semibold">Total {money(order.total)}</div>
+              {order.refunded_amount > 0 && <div className="text-red-400">Refunded {money(order.refunded_amount)}</div>}
+            </div>
+          </div>
+
+          <div>
+            <div className="text-sm font-medium mb-1">Payments</div>
+            {payments.map(p => (
+              <div key={p._id} className="text-xs text-zinc-400">{formatDateTime(p.created_at)} • {money(p.amount)} • {p.status}{p.provider_ref ? ` • ${p.provider_ref}` : ''}</div>
+            ))}
+            {payments.length===0 && <div className="text-xs text-zinc-500">No payment recorded.</div>}
+            {(order.refunds || []).map(r => (
+              <div key={r._id} className="text-xs text-red-400">{formatDateTime(r.created_at)} • refund {money(r.amount)} • {r.reason}</div>
+            ))}
+          </div>
+
+          <div>
+            <div className="text-sm font-medium mb-1">Status history</div>
+            {(order.status_history || []).map((h, i) => (
+              <div key={i} className="text-xs text-zinc-400">{formatDateTime(h.at)} • {STATUS_LABELS[h.status] || h.status}{h.by ? ` by ${h.by}` : ''}</div>
+            ))}
+            {!order.status_history?.length && <div className="text-xs text-zinc-500">No history recorded.</div>}
+          </div>
+
+          <div>
+            <div className="text-sm font-medium mb-1">Change status</div>
+            <div className="flex flex-wrap gap-2">
+              {(ORDER_TRANSITIONS[order.status] || []).map(s => (
+                <button key={s} onClick={()=>changeStatus(s)} className="px-2 py-1 bg-zinc-800 hover:bg-zinc-700 rounded text-xs">{STATUS_LABELS[s] || s}</button>
+              ))}
+              {!ORDER_TRANSITIONS[order.status]?.length && <div className="text-xs text-zinc-500">No further status changes are allowed.</div>}
+            </div>
+          </div>
+
+          {order.status !== 'pending' && (
+            <div>
+              <div className="text-sm font-medium mb-1">Refund</div>
+              <RefundForm order={order} onDone={refunded} />
+            </div>
+          )}
+        </>
+      )}
+    </Drawer>
+  )
+}
+
+export default function AdminOrders() {
+  const { result, loading, error, load, get, page, pages, setParam, search } = useAdminList('/admin/orders', { filters: FILTER_KEYS, detailKey: 'order' })
+
+  return (
+    <div className="space-y-3">
+      <form onSubmit={search} className="flex flex-wrap gap-2 items-center">
+        <input name="q" key={get('q')} defaultValue={get('q')} placeholder="Order ID or product" className={fieldClass} />
+        <input name="customer" placeholder="Customer name or email" defaultValue={get('customer')} key={`c${get('customer')}`} onBlur={e=>{ if (e.target.value !== get('customer')) setParam('customer', e.target.value) }} className={fieldClass} />
+        <select value={get('status')} onChange={e=>setParam('status', e.target.value)} className={fieldClass}>
+          <option value="">All statuses</option>
+          {Object.entries(STATUS_LABELS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <input type="date" value={get('from')} onChange={e=>setParam('from', e.target.value)} className={fieldClass} />
+        <span className="text-zinc-500 text-sm">to</span>
+        <input type="date" value={get('to')} onChange={e=>setParam('to', e.target.value)} className={fieldClass} />
+        <button className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">Search</button>
+      </form>
+
+      {error && <ErrorPanel message={error} onRetry={load} />}
+      <div className="text-xs text-zinc-500">{loading ? 'Loading...' : `${result.total} order${result.total === 1 ? '' : 's'}`}</div>
+      {loading && result.items.length===0 && <ListSkeleton rows={5} />}
+      <div className="space-y-2">
+        {result.items.map(o => (
+          <button key={o._id} onClick={()=>setParam('order', o._id)} className="w-full text-left p-3 border border-zinc-800 rounded hover:border-zinc-700">
+            <div className="flex items-center justify-between">
+              <div className="font-medium">Order {o._id}</div>
+              <div className="text-xs text-zinc-400">{formatDateTime(o.created_at)}</div>
+            </div>
+            <div className="text-sm text-zinc-400">{o.customer_name || o.customer_email || ''}{(o.customer_name || o.customer_email) && ' • '}{o.items.length} items • {money(o.total)} • {STATUS_LABELS[o.status] || o.status}{o.refunded_amount > 0 && ` • refunded ${money(o.refunded_amount)}`}</div>
+          </button>
+        ))}
+        {result.items.length===0 && !loading && !error && <div className="text-zinc-500">No orders match these filters.</div>}
+      </div>
+      <Pager page={page} pages={pages} onPage={n => setParam('page', n)} />
+
+      <OrderDrawer id={get('order')} onClose={()=>setParam('order', '')} onChanged={load} />
+    </div>
+  )
+}
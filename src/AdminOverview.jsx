@@ -0,0 +1,148 @@
+import { useEffect, useRef, useState } from 'react'
+import { api } from './api'
+import { downloadCsv, toCsv } from './csv'
+import { ErrorPanel, ListSkeleton } from './Feedback'
+import { getPlan } from './plans'
+import { BASE_CURRENCY, money as formatMoney } from './i18n'
+
+const DAY = 86400000
+
+const PRESETS = [
+  [7, 'Last 7 days'],
+  [30, 'Last 30 days'],
+  [90, 'Last 90 days'],
+  [365, 'Last year'],
+]
+
+// Reports add up orders in the store's base currency.
+const money = (n) => formatMoney(n, BASE_CURRENCY)
+const isoDay = (d) => new Date(d).toISOString().slice(0, 10)
+
+function Bars({ rows, format = (v) => v }) {
+  const max = Math.max(1, ...rows.map(r => r.value))
+  return (
+    <div className="space-y-1">
+      {rows.map(r => (
+        <div key={r.label} className="flex items-center gap-2 text-xs">
+          <div className="w-28 shrink-0 truncate text-zinc-400" title={r.label}>{r.label}</div>
+          <div className="flex-1 bg-zinc-950 rounded h-4 overflow-hidden">
+            <div className="h-full bg-emerald-600/70" style={{ width: `${(r.value / max) * 100}%` }} />
+          </div>
+          <div className="w-20 shrink-0 text-right">{format(r.value)}</div>
+        </div>
+      ))}
+      {rows.length===0 && <div className="text-xs text-zinc-500">No data in this range.</div>}
+    </div>
+  )
+}
+
+function Columns({ rows, format = (v) => v }) {
+  const max = Math.max(1, ...rows.map(r => r.value))
+  return (
+    <div>
+      <div className="flex items-end gap-px h-32">
+        {rows.map(r => (
+          <div key={r.label} className="flex-1 bg-emerald-600/70 hover:bg-emerald-500 min-h-[1px]" style={{ height: `${(r.value / max) * 100}%` }} title={`${r.label}: ${format(r.value)}`} />
+        ))}
+      </div>
+      {rows.length > 0 && (
+        <div className="flex justify-between text-[10px] text-zinc-500 mt-1"><span>{rows[0].label}</span><span>{rows[rows.length - 1].label}</span></div>
+      )}
+    </div>
+  )
+}
+
+function Card({ title, rows, columns, children }) {
+  const exportCsv = () => downloadCsv(`${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.csv`, toCsv(rows, columns))
+  return (
+    <div className="p-4 rounded border border-zinc-800 bg-zinc-950/40">
+      <div className="flex items-center justify-between mb-3">
+        <div className="font-medium text-sm">{title}</div>
+        <button onClick={exportCsv} disabled={rows.length===0} className="text-xs text-zinc-400 hover:text-zinc-200 disabled:opacity-40">Export CSV</button>
+      </div>
+      {children}
+    </div>
+  )
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="p-3 rounded border border-zinc-800 bg-zinc-950/40">
+      <div className="text-xs text-zinc-400">{label}</div>
+      <div className="text-lg font-semibold">{value}</div>
+    </div>
+  )
+}
+
+function Report({ stats }) {
+  const plans = stats.plans.map(p => ({ label: getPlan(p.plan).name, value: p.count }))
+  return (
+    <>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        <Stat label="Revenue" value={money(stats.revenue)} />
+        <Stat label="Orders" value={stats.order_count} />
+        <Stat label="Average order value" value={money(stats.average_order_value)} />
+        <Stat label="Avg. service completion" value={stats.avg_completion_hours ? `${stats.avg_completion_hours} h` : '—'} />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-3">
+        <Card title={`Revenue per ${stats.bucket === 'week' ? 'week' : 'day'}`} rows={stats.revenue_series} columns={['label', 'value', 'count']}>
+          <Columns rows={stats.revenue_series} format={money} />
+        </Card>
+        <Card title="Orders by status" rows={stats.by_status} columns={['label', 'value']}>
+          <Bars rows={stats.by_status} />
+        </Card>
+        <Card title="Top-selling products" rows={stats.top_products} columns={['label', 'qty', 'value']}>
+          <Bars rows={stats.top_products} format={money} />
+        </Card>
+        <Card title="Revenue by category" rows={stats.top_categories} columns={['label', 'value']}>
+          <Bars rows={stats.top_categories} format={money} />
+        </Card>
+        <Card title="Service requests per week" rows={stats.service_weeks.map(r => ({ week: r.label, requests: r.requests, avg_completion_hours: r.avg_completion_hours }))} columns={['week', 'requests', 'avg_completion_hours']}>
+          <Columns rows={stats.service_weeks.map(r => ({ label: r.label, value: r.requests }))} />
+          <div className="text-xs text-zinc-500 mt-2">Bars show requests created per week; the CSV includes average completion time.</div>
+        </Card>
+        <Card title="Subscription plans" rows={plans} columns={['label', 'value']}>
+          <Bars rows={plans} />
+        </Card>
+      </div>
+    </>
+  )
+}
+
+// The backend aggregates every order, service request and subscription in the
+// range, so figures don't depend on how many records the client could fetch.
+export default function AdminOverview() {
+  const [from, setFrom] = useState(isoDay(Date.now() - 29 * DAY))
+  const [to, setTo] = useState(isoDay(Date.now()))
+  const [stats, setStats] = useState(null)
+  const [error, setError] = useState('')
+  const latest = useRef(0)
+
+  const load = async () => {
+    const id = ++latest.current
+    setError('')
+    try {
+      const data = await api.get(`/admin/analytics?from=${from}&to=${to}`)
+      if (id === latest.current) setStats(data)
+    } catch (err) {
+      if (id === latest.current) setError(err.message)
+    }
+  }
+  useEffect(()=>{ load() }, [from, to])
+
+  const preset = (days) => { setFrom(isoDay(Date.now() - (days - 1) * DAY)); setTo(isoDay(Date.now())) }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        {PRESETS.map(([d, label]) => <button key={d} onClick={()=>preset(d)} className="px-2 py-1 rounded bg-zinc-800 hover:bg-zinc-700 text-xs">{label}</button>)}
+        <input type="date" value={from} max={to} onChange={e=>setFrom(e.target.value)} className="bg-zinc-950 border border-zinc-800 rounded px-2 py-1" />
+        <span className="text-zinc-500">to</span>
+        <input type="date" value={to} min={from} onChange={e=>setTo(e.target.value)} className="bg-zinc-950 border border-zinc-800 rounded px-2 py-1" />
+      </div>
+      {error && <ErrorPanel message={error} onRetry={load} />}
+      {stats ? <Report stats={stats} /> : !error && <ListSkeleton rows={4} />}
+    </div>
+  )
+}
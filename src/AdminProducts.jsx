@@ -0,0 +1,302 @@
+import { useRef, useState } from 'react'
+import { api } from './api'
+import { BUILDER_SPEC_FIELDS, CATEGORIES, LOW_STOCK_THRESHOLD, PLACEMENTS, SPEC_FIELDS, totalStock } from './catalog'
+import { downloadCsv, parseCsv, toCsv } from './csv'
+import { confirmAction } from './Feedback'
+import { BASE_CURRENCY, money } from './i18n'
+import { inputClass } from './styles'
+
+const EMPTY_PRODUCT = { name:'', price:'', category:'camera', stock:0, description:'', images:[], variants:[], specs:{} }
+
+const ALL_SPEC_KEYS = [...SPEC_FIELDS, ...BUILDER_SPEC_FIELDS].map(([k]) => k).concat('placement')
+
+const CSV_COLUMNS = ['_id','name','category','price','stock','description','images','variants', ...ALL_SPEC_KEYS]
+
+const isNumber = (s) => s.trim() !== '' && Number.isFinite(Number(s))
+const isCount = (s) => /^\d+$/.test(s.trim())
+
+// Variants travel in CSV as "name:price:stock" entries separated by "|".
+const variantsToCsv = (vs = []) => vs.map(v => `${v.name}:${v.price ?? ''}:${v.stock ?? 0}`).join('|')
+function variantsFromCsv(s) {
+  return s.split('|').filter(e => e.trim()).map(e => {
+    const parts = e.split(':').map(x => x.trim())
+    const [name, price = '', stock = ''] = parts
+    if (parts.length > 3 || !name) throw new Error(`variant "${e}" is not name:price:stock`)
+    if (price && !isNumber(price)) throw new Error(`variant "${name}" has an invalid price "${price}"`)
+    if (stock && !isCount(stock)) throw new Error(`variant "${name}" has an invalid stock "${stock}"`)
+    return { name, price: price ? parseFloat(price) : null, stock: parseInt(stock || 0) }
+  })
+}
+
+// Builds the body for one imported row from the columns the file has. Missing or
+// empty cells keep the product's current value; spec columns are merged into its
+// existing specs.
+function rowToBody(r, existing) {
+  const has = (k) => k in r && r[k].trim() !== ''
+  const body = {}
+  if (has('name')) body.name = r.name.trim()
+  if (has('description')) body.description = r.description
+  if (has('category')) body.category = r.category.trim()
+  if (has('price')) {
+    if (!isNumber(r.price)) throw new Error(`price "${r.price}" is not a number`)
+    body.price = parseFloat(r.price)
+  }
+  if (has('stock')) {
+    if (!isCount(r.stock)) throw new Error(`stock "${r.stock}" is not a whole number`)
+    body.stock = parseInt(r.stock)
+  }
+  if (has('images')) body.images = r.images.split('|').map(s => s.trim()).filter(Boolean)
+  if (has('variants')) body.variants = variantsFromCsv(r.variants)
+  const specs = ALL_SPEC_KEYS.filter(has).map(k => [k, r[k].trim()])
+  if (specs.length) body.specs = { ...existing?.specs, ...Object.fromEntries(specs) }
+  if (existing) return body
+  if (!body.name) throw new Error('name is required for new products')
+  return { ...toBody(EMPTY_PRODUCT), ...body }
+}
+
+function toBody(f) {
+  return {
+    name: f.name.trim(),
+    description: f.description,
+    category: f.category,
+    price: parseFloat(f.price || 0),
+    stock: parseInt(f.stock || 0),
+    images: f.images,
+    specs: f.specs,
+    variants: f.variants.filter(v => v.name.trim()).map(v => ({ name: v.name.trim(), price: v.price === '' || v.price == null ? null : parseFloat(v.price), stock: parseInt(v.stock || 0) })),
+  }
+}
+
+function ImageEditor({ images, onChange }) {
+  const [url, setUrl] = useState('')
+  const [uploading, setUploading] = useState(false)
+  const [error, setError] = useState('')
+  const file = useRef(null)
+
+  const upload = async (e) => {
+    const files = [...e.target.files]
+    if (!files.length) return
+    setError('')
+    setUploading(true)
+    try {
+      const urls = []
+      for (const f of files) {
+        const form = new FormData()
+        form.append('file', f)
+        urls.push((await api.post('/admin/uploads', form)).url)
+      }
+      onChange([...images, ...urls])
+    } catch (err) {
+      setError(`Upload failed: ${err.message}`)
+    } finally {
+      setUploading(false)
+      file.current.value = ''
+    }
+  }
+
+  const move = (i, d) => {
+    const next = [...images]
+    ;[next[i], next[i + d]] = [next[i + d], next[i]]
+    onChange(next)
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="text-sm text-zinc-400">Images (first is the cover)</div>
+      <div className="grid grid-cols-3 gap-2">
+        {images.map((src, i) => (
+          <div key={src + i} className="relative border border-zinc-800 rounded overflow-hidden">
+            <img src={src} alt="" className="w-full aspect-video object-cover bg-black" />
+            <div className="flex justify-between bg-zinc-950/90 text-xs">
+              <button onClick={()=>move(i, -1)} disabled={i===0} className="px-2 py-1 disabled:opacity-30">←</button>
+              <button onClick={()=>onChange(images.filter((_, j) => j !== i))} className="px-2 py-1 text-red-400">✕</button>
+              <button onClick={()=>move(i, 1)} disabled={i===images.length-1} className="px-2 py-1 disabled:opacity-30">→</button>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <input placeholder="Image URL" value={url} onChange={e=>setUrl(e.target.value)} className={inputClass} />
+        <button onClick={()=>{ if (url.trim()) { onChange([...images, url.trim()]); setUrl('') } }} className="px-3 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">Add</button>
+      </div>
+      <input ref={file} type="file" accept="image/*" multiple onChange={upload} disabled={uploading} className="text-sm text-zinc-400" />
+      {uploading && <div className="text-xs text-zinc-400">Uploading...</div>}
+      {error && <p className="text-red-400 text-xs">{error}</p>}
+    </div>
+  )
+}
+
+function VariantEditor({ variants, onChange }) {
+  const set = (i, key, value) => onChange(variants.map((v, j) => j === i ? { ...v, [key]: value } : v))
+  return (
+    <div className="space-y-2">
+      <div className="text-sm text-zinc-400">Variants (e.g. 4MP / 2.8mm). Leave price empty to use the base price.</div>
+      {variants.map((v, i) => (
+        <div key={i} className="flex gap-2">
+          <input placeholder="Name" value={v.name} onChange={e=>set(i, 'name', e.target.value)} className={inputClass} />
+          <input placeholder="Price" value={v.price ?? ''} onChange={e=>set(i, 'price', e.target.value)} className={`${inputClass} max-w-[6rem]`} />
+          <input placeholder="Stock" value={v.stock ?? ''} onChange={e=>set(i, 'stock', e.target.value)} className={`${inputClass} max-w-[5rem]`} />
+          <button onClick={()=>onChange(variants.filter((_, j) => j !== i))} className="text-red-400 text-sm px-1">✕</button>
+        </div>
+      ))}
+      <button onClick={()=>onChange([...variants, { name:'', price:'', stock:0 }])} className="px-3 py-1 rounded bg-zinc-800 hover:bg-zinc-700 text-xs">Add variant</button>
+    </div>
+  )
+}
+
+function ProductForm({ initial, submitLabel, onSubmit, onCancel }) {
+  const [f, setF] = useState({ ...EMPTY_PRODUCT, ...initial, specs: { ...initial?.specs }, images: initial?.images || [], variants: initial?.variants || [] })
+  const [saving, setSaving] = useState(false)
+  const set = (key) => (e) => setF(v => ({ ...v, [key]: e.target.value }))
+  const setSpec = (key) => (e) => setF(v => ({ ...v, specs: { ...v.specs, [key]: e.target.value } }))
+
+  const submit = async () => {
+    if (!f.name.trim()) return
+    setSaving(true)
+    try {
+      if (await onSubmit(toBody(f)) && !initial) setF(EMPTY_PRODUCT)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <input placeholder="Name" value={f.name} onChange={set('name')} className={inputClass} />
+      <textarea placeholder="Description" value={f.description} onChange={set('description')} className={inputClass} />
+      <div className="flex gap-2">
+        <select value={f.category} onChange={set('category')} className={inputClass}>
+          {CATEGORIES.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <input placeholder="Price" value={f.price} onChange={set('price')} className={inputClass} />
+        {f.variants.length === 0 && <input placeholder="Stock" value={f.stock} onChange={set('stock')} className={inputClass} />}
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        {SPEC_FIELDS.map(([key, label]) => (
+          <input key={key} placeholder={label} value={f.specs[key] ?? ''} onChange={setSpec(key)} className={inputClass} />
+        ))}
+      </div>
+      <div className="text-sm text-zinc-400">System builder (optional)</div>
+      <div className="grid grid-cols-2 gap-2">
+        <select value={f.specs.placement ?? ''} onChange={setSpec('placement')} className={inputClass}>
+          <option value="">Placement: any</option>
+          {PLACEMENTS.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        {BUILDER_SPEC_FIELDS.map(([key, label]) => (
+          <input key={key} type="number" min="0" step="any" placeholder={label} value={f.specs[key] ?? ''} onChange={setSpec(key)} className={inputClass} />
+        ))}
+      </div>
+      <VariantEditor variants={f.variants} onChange={variants => setF(v => ({ ...v, variants }))} />
+      <ImageEditor images={f.images} onChange={images => setF(v => ({ ...v, images }))} />
+      <div className="flex gap-2">
+        {onCancel && <button onClick={onCancel} className="flex-1 bg-zinc-800 hover:bg-zinc-700 rounded py-2">Cancel</button>}
+        <button onClick={submit} disabled={saving || !f.name.trim()} className="flex-1 bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 rounded py-2">{saving ? 'Please wait...' : submitLabel}</button>
+      </div>
+    </div>
+  )
+}
+
+function CsvTools({ products, mutate }) {
+  const file = useRef(null)
+  const [result, setResult] = useState('')
+
+  const exportCsv = () => {
+    const rows = products.map(p => ({
+      ...p.specs, ...p,
+      images: (p.images || []).join('|'),
+      variants: variantsToCsv(p.variants),
+    }))
+    downloadCsv(`products-${new Date().toISOString().slice(0, 10)}.csv`, toCsv(rows, CSV_COLUMNS))
+  }
+
+  const importCsv = async (e) => {
+    const f = e.target.files[0]
+    if (!f) return
+    setResult('')
+    const rows = parseCsv(await f.text())
+    let ok = 0
+    const failed = []
+    await mutate(async () => {
+      for (const [i, r] of rows.entries()) {
+        try {
+          const existing = r._id ? products.find(p => p._id === r._id) : null
+          if (r._id && !existing) throw new Error(`no product with id ${r._id}`)
+          const body = rowToBody(r, existing)
+          if (existing) await api.patch(`/admin/products/${r._id}`, body)
+          else await api.post('/admin/products', body)
+          ok++
+        } catch (err) {
+          failed.push(`Row ${i + 2}: ${err.message}`)
+        }
+      }
+    }, 'Import failed')
+    setResult([`Imported ${ok} of ${rows.length} rows.`, ...failed].join('\n'))
+    file.current.value = ''
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <button onClick={exportCsv} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">Export CSV</button>
+        <button onClick={()=>file.current.click()} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">Import CSV</button>
+        <input ref={file} type="file" accept=".csv,text/csv" onChange={importCsv} className="hidden" />
+      </div>
+      {result && <pre className="text-xs text-zinc-400 whitespace-pre-wrap">{result}</pre>}
+    </div>
+  )
+}
+
+export default function AdminProducts({ products, mutate }) {
+  const [editing, setEditing] = useState(null)
+
+  const createProduct = (body) => mutate(() => api.post('/admin/products', body), 'Failed to create product', 'Product created')
+
+  const updateProduct = async (id, body) => {
+    const ok = await mutate(() => api.patch(`/admin/products/${id}`, body), 'Failed to update product', 'Product updated')
+    if (ok) setEditing(null)
+    return ok
+  }
+
+  const deleteProduct = async (p) => {
+    if (!await confirmAction(`Delete "${p.name}"?`, { description: 'This cannot be undone.', confirmLabel: 'Delete', destructive: true })) return
+    mutate(() => api.del(`/admin/products/${p._id}`), 'Failed to delete product', 'Product deleted')
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+      <div className="lg:col-span-2 space-y-2">
+        <CsvTools products={products} mutate={mutate} />
+        {products.map(p => {
+          const stock = totalStock(p)
+          const low = stock <= LOW_STOCK_THRESHOLD
+          return (
+            <div key={p._id} className={`p-3 border rounded ${low ? 'border-amber-500/40 bg-amber-500/5' : 'border-zinc-800'}`}>
+              {editing === p._id ? (
+                <ProductForm initial={p} submitLabel="Save" onSubmit={body => updateProduct(p._id, body)} onCancel={()=>setEditing(null)} />
+              ) : (
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="font-medium">{p.name}</div>
+                    <div className="text-xs text-zinc-400">
+                      {p.category} • {money(p.price, BASE_CURRENCY)} • <span className={low ? 'text-amber-400' : ''}>stock {stock}{low ? ' (low)' : ''}</span>
+                      {p.variants?.length > 0 && ` • ${p.variants.length} variants`}
+                    </div>
+                  </div>
+                  <div className="flex gap-3">
+                    <button onClick={()=>setEditing(p._id)} className="text-zinc-300 text-sm">Edit</button>
+                    <button onClick={()=>deleteProduct(p)} className="text-red-400 text-sm">Delete</button>
+                  </div>
+                </div>
+              )}
+            </div>
+          )
+        })}
+        {products.length===0 && <div className="text-zinc-500">No products yet.</div>}
+      </div>
+      <div className="space-y-2">
+        <div className="font-medium">New product</div>
+        <ProductForm submitLabel="Create" onSubmit={createProduct} />
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,175 @@
+import { useEffect, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { api } from './api'
+import { confirmAction, ErrorPanel, ListSkeleton, toast } from './Feedback'
+import { formatDateTime } from './i18n'
+import { ReviewPhotos, Stars } from './Reviews'
+import { fieldClass } from './styles'
+
+const PAGE_SIZE = 20
+
+const QUEUES = {
+  reviews: { label: 'Reviews', path: '/admin/reviews', statuses: [['pending', 'Pending'], ['approved', 'Approved'], ['rejected', 'Rejected']] },
+  questions: { label: 'Questions', path: '/admin/questions', statuses: [['unanswered', 'Unanswered'], ['answered', 'Answered']] },
+}
+
+function ReviewItem({ review, onChanged }) {
+  const [busy, setBusy] = useState(false)
+
+  const run = async (fn, success) => {
+    setBusy(true)
+    try {
+      await fn()
+      toast(success)
+      onChanged()
+    } catch (err) {
+      toast('Moderation failed', { type: 'error', description: err.message })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const setStatus = (status) => run(() => api.patch(`/admin/reviews/${review._id}`, { status }), status === 'approved' ? 'Review published' : 'Review rejected')
+  const remove = async () => {
+    if (!await confirmAction('Delete this review?', { description: 'The review and its photos are removed permanently.', confirmLabel: 'Delete', destructive: true })) return
+    run(() => api.del(`/admin/reviews/${review._id}`), 'Review deleted')
+  }
+
+  return (
+    <div className="p-3 border border-zinc-800 rounded space-y-1.5">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <Stars value={review.rating} />
+          {review.title && <span className="font-medium">{review.title}</span>}
+        </div>
+        <div className="text-xs text-zinc-400">{formatDateTime(review.created_at)}</div>
+      </div>
+      <div className="text-xs text-zinc-500">
+        <Link to={`/products/${review.product_id}`} className="text-emerald-400 hover:text-emerald-300">{review.product_name || review.product_id}</Link>
+        {' • '}{review.author_name || 'Customer'}{review.author_email && ` (${review.author_email})`}
+      </div>
+      <p className="text-sm text-zinc-300 whitespace-pre-line">{review.body}</p>
+      <ReviewPhotos photos={review.photos} />
+      <div className="flex gap-2 pt-1">
+        {review.status !== 'approved' && <button onClick={()=>setStatus('approved')} disabled={busy} className="px-3 py-1 rounded bg-emerald-600 hover:bg-emerald-500 text-sm disabled:opacity-50">Approve</button>}
+        {review.status !== 'rejected' && <button onClick={()=>setStatus('rejected')} disabled={busy} className="px-3 py-1 rounded bg-zinc-800 hover:bg-zinc-700 text-sm disabled:opacity-50">{review.status === 'approved' ? 'Unpublish' : 'Reject'}</button>}
+        <button onClick={remove} disabled={busy} className="px-3 py-1 rounded text-red-400 hover:bg-zinc-800 text-sm disabled:opacity-50">Delete</button>
+      </div>
+    </div>
+  )
+}
+
+function QuestionItem({ question, onChanged }) {
+  const [answer, setAnswer] = useState(question.answer || '')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const save = async () => {
+    if (!answer.trim()) return setError('Write an answer first.')
+    setError('')
+    setBusy(true)
+    try {
+      await api.patch(`/admin/questions/${question._id}`, { answer: answer.trim() })
+      toast(question.answer ? 'Answer updated' : 'Answer published')
+      onChanged()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const remove = async () => {
+    if (!await confirmAction('Delete this question?', { confirmLabel: 'Delete', destructive: true })) return
+    try {
+      await api.del(`/admin/questions/${question._id}`)
+      toast('Question deleted')
+      onChanged()
+    } catch (err) {
+      toast('Failed to delete question', { type: 'error', description: err.message })
+    }
+  }
+
+  return (
+    <div className="p-3 border border-zinc-800 rounded space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-zinc-500">
+        <span>
+          <Link to={`/products/${question.product_id}`} className="text-emerald-400 hover:text-emerald-300">{question.product_name || question.product_id}</Link>
+          {' • '}{question.author_name || 'Customer'}{question.author_email && ` (${question.author_email})`}
+        </span>
+        <span className="text-zinc-400">{formatDateTime(question.created_at)}</span>
+      </div>
+      <div className="text-sm">{question.question}</div>
+      <textarea placeholder="Answer shown publicly on the product page" value={answer} onChange={e=>setAnswer(e.target.value)} rows={3} className={`${fieldClass} w-full`} />
+      {error && <p className="text-red-400 text-xs">{error}</p>}
+      <div className="flex gap-2">
+        <button onClick={save} disabled={busy || answer.trim() === (question.answer || '')} className="px-3 py-1 rounded bg-emerald-600 hover:bg-emerald-500 text-sm disabled:opacity-50">{busy ? 'Please wait...' : question.answer ? 'Update answer' : 'Publish answer'}</button>
+        <button onClick={remove} className="px-3 py-1 rounded text-red-400 hover:bg-zinc-800 text-sm">Delete</button>
+      </div>
+    </div>
+  )
+}
+
+export default function AdminReviews() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [result, setResult] = useState({ items: [], total: 0 })
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const queueId = QUEUES[searchParams.get('queue')] ? searchParams.get('queue') : 'reviews'
+  const queue = QUEUES[queueId]
+  const status = queue.statuses.some(([id]) => id === searchParams.get('status')) ? searchParams.get('status') : queue.statuses[0][0]
+  const page = Math.max(1, parseInt(searchParams.get('page') || 1))
+
+  const setParams = (next) => setSearchParams(prev => {
+    const params = new URLSearchParams(prev)
+    for (const [k, v] of Object.entries(next)) v ? params.set(k, v) : params.delete(k)
+    if (!('page' in next)) params.delete('page')
+    return params
+  })
+
+  const load = async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const data = await api.get(`${queue.path}?status=${status}&page=${page}&page_size=${PAGE_SIZE}`)
+      setResult(Array.isArray(data) ? { items: data, total: data.length } : data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+  useEffect(()=>{ load() }, [queueId, status, page])
+
+  const pages = Math.max(1, Math.ceil(result.total / PAGE_SIZE))
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2 items-center">
+        {Object.entries(QUEUES).map(([id, q]) => (
+          <button key={id} onClick={()=>setParams({ queue: id, status: '' })} className={`px-3 py-1.5 rounded text-sm ${queueId===id ? 'bg-zinc-800 text-white' : 'text-zinc-400 hover:text-zinc-200'}`}>{q.label}</button>
+        ))}
+        <select value={status} onChange={e=>setParams({ status: e.target.value })} className={fieldClass}>
+          {queue.statuses.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+      </div>
+
+      {error && <ErrorPanel message={error} onRetry={load} />}
+      <div className="text-xs text-zinc-500">{loading ? 'Loading...' : `${result.total} ${queue.label.toLowerCase()}`}</div>
+      {loading && result.items.length===0 && <ListSkeleton rows={4} className="h-24" />}
+      <div className="space-y-2">
+        {result.items.map(item => queueId === 'reviews'
+          ? <ReviewItem key={item._id} review={item} onChanged={load} />
+          : <QuestionItem key={item._id} question={item} onChanged={load} />)}
+        {result.items.length===0 && !loading && !error && <div className="text-zinc-500 text-sm">Nothing to moderate here.</div>}
+      </div>
+      {pages > 1 && (
+        <div className="flex items-center justify-center gap-2">
+          <button onClick={()=>setParams({ page: page - 1 })} disabled={page<=1} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 disabled:opacity-50 text-sm">Previous</button>
+          <span className="text-sm text-zinc-400">Page {page} of {pages}</span>
+          <button onClick={()=>setParams({ page: page + 1 })} disabled={page>=pages} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 disabled:opacity-50 text-sm">Next</button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,141 @@
+import { useEffect, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { acknowledge, acknowledgeAll, connectEvents, eventLabel, eventLink, EVENT_TYPES, loadEvents, onEvent, unread, useEvents } from './events'
+import { ErrorPanel, ListSkeleton, toast } from './Feedback'
+import { formatDateTime, t, tn } from './i18n'
+
+const TONE_CLASSES = {
+  red: 'text-red-400 border-red-500/30',
+  amber: 'text-amber-400 border-amber-500/30',
+  emerald: 'text-emerald-400 border-emerald-500/30',
+}
+
+export function AlertBell() {
+  const count = unread(useEvents())
+  return (
+    <Link to="/alerts" className="relative px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 border border-zinc-700" aria-label={tn(count, '{count} unread alert', '{count} unread alerts')}>
+      {t('Alerts')}
+      {count > 0 && <span className="absolute -top-1.5 -right-1.5 min-w-5 h-5 px-1 rounded-full bg-red-600 text-[11px] leading-5 text-center">{count > 99 ? '99+' : count}</span>}
+    </Link>
+  )
+}
+
+// Mounted once in the dashboard: holds the event stream open and toasts new events.
+export function EventAlerts() {
+  useEffect(connectEvents, [])
+  useEffect(() => onEvent(ev => {
+    if (document.hidden) return
+    const to = eventLink(ev)
+    toast(eventLabel(ev.type), {
+      type: EVENT_TYPES[ev.type]?.tone === 'red' ? 'error' : 'info',
+      description: [ev.device_name, ev.message].filter(Boolean).join(': '),
+      action: to ? { label: t('View'), to } : undefined,
+    })
+  }), [])
+  return null
+}
+
+function NotificationPrompt() {
+  const [permission, setPermission] = useState(() => 'Notification' in window ? Notification.permission : 'unsupported')
+  if (permission !== 'default') return null
+  return (
+    <div className="p-3 rounded border border-zinc-800 bg-zinc-900 flex flex-wrap items-center justify-between gap-2 text-sm">
+      <span className="text-zinc-400">{t('Get notified about alarms while SecureView is in a background tab.')}</span>
+      <button onClick={()=>Notification.requestPermission().then(setPermission)} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700">{t('Enable notifications')}</button>
+    </div>
+  )
+}
+
+function EventRow({ event }) {
+  const [busy, setBusy] = useState(false)
+  const to = eventLink(event)
+  const tone = TONE_CLASSES[EVENT_TYPES[event.type]?.tone] || 'text-zinc-400 border-zinc-700'
+
+  const ack = async () => {
+    setBusy(true)
+    try {
+      await acknowledge(event._id)
+    } catch (err) {
+      toast(t('Could not acknowledge'), { type: 'error', description: err.message })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className={`p-3 rounded border bg-zinc-900 flex gap-3 ${event.acknowledged_at ? 'border-zinc-800 opacity-70' : 'border-zinc-700'}`}>
+      {event.thumbnail_url && <img src={event.thumbnail_url} alt="" className="w-28 aspect-video object-cover rounded bg-black shrink-0" />}
+      <div className="flex-1 min-w-0 space-y-1">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className={`text-xs px-2 py-0.5 rounded border ${tone}`}>{eventLabel(event.type)}</span>
+          {event.device_name && <span className="text-sm font-medium">{event.device_name}</span>}
+          <span className="text-xs text-zinc-500">{formatDateTime(event.created_at)}</span>
+        </div>
+        {event.message && <div className="text-sm text-zinc-400">{event.message}</div>}
+        <div className="flex gap-3 text-xs">
+          {to && <Link to={to} className="text-emerald-400 hover:text-emerald-300">{t('View')}</Link>}
+          {!event.acknowledged_at && <button onClick={ack} disabled={busy} className="text-zinc-300 hover:text-white disabled:opacity-50">{t('Acknowledge')}</button>}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default function AlertFeed() {
+  const events = useEvents()
+  const [params, setParams] = useSearchParams()
+  const [ready, setReady] = useState(false)
+  const [error, setError] = useState('')
+  const showAll = params.get('show') === 'all'
+  const type = params.get('type') || ''
+
+  const load = async () => {
+    setError('')
+    try {
+      await loadEvents()
+      setReady(true)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+  useEffect(()=>{ load() }, [])
+
+  const setParam = (key, value) => setParams(prev => {
+    const next = new URLSearchParams(prev)
+    value ? next.set(key, value) : next.delete(key)
+    return next
+  })
+
+  const ackAll = async () => {
+    try {
+      await acknowledgeAll()
+      toast(t('All alerts acknowledged'))
+    } catch (err) {
+      toast(t('Could not acknowledge alerts'), { type: 'error', description: err.message })
+    }
+  }
+
+  const count = unread(events)
+  const shown = events.filter(e => (showAll || !e.acknowledged_at) && (!type || e.type === type))
+
+  return (
+    <div className="space-y-3">
+      <NotificationPrompt />
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-sm">
+          <button onClick={()=>setParam('show', '')} className={`px-3 py-1 rounded ${!showAll ? 'bg-emerald-600' : 'bg-zinc-800 hover:bg-zinc-700'}`}>{t('Unread ({count})', { count })}</button>
+          <button onClick={()=>setParam('show', 'all')} className={`px-3 py-1 rounded ${showAll ? 'bg-emerald-600' : 'bg-zinc-800 hover:bg-zinc-700'}`}>{t('All')}</button>
+          <select value={type} onChange={e=>setParam('type', e.target.value)} className="bg-zinc-950 border border-zinc-800 rounded px-2 py-1">
+            <option value="">{t('All types')}</option>
+            {Object.keys(EVENT_TYPES).map(id => <option key={id} value={id}>{eventLabel(id)}</option>)}
+          </select>
+        </div>
+        {count > 0 && <button onClick={ackAll} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">{t('Acknowledge all')}</button>}
+      </div>
+      {error && <ErrorPanel message={error} onRetry={load} />}
+      {!ready && !error && <ListSkeleton rows={4} className="h-20" />}
+      {ready && shown.map(e => <EventRow key={e._id} event={e} />)}
+      {ready && shown.length===0 && <p className="text-zinc-500">{t(showAll ? 'No alerts yet.' : 'You are all caught up.')}</p>}
+    </div>
+  )
+}
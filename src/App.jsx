@@ -1,54 +1,82 @@
-import { useEffect, useMemo, useState } from 'react'
-
-const API = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
+import { useEffect, useState } from 'react'
+import { Link, Navigate, NavLink, Outlet, Route, Routes, useLocation, useNavigate, useParams } from 'react-router-dom'
+import { api, clearSession, getSession, onSessionChange, setSession } from './api'
+import { addToCart, forgetLocalCart, lineKey, removeFromCart, retryCartSync, syncCart, updateQty, useCart, useCartSyncError, validateCart } from './cart'
+import Checkout, { formatAddress, RetryPayment } from './Checkout'
+import Orders, { OrderDetail } from './Orders'
+import Services, { BookService, formatSchedule, serviceLabel } from './Services'
+import TechnicianJobs, { JobDetail, JOB_LABELS } from './Technician'
+import { calculateTotals, TAX_RULES } from './pricing'
+import { formatNumber, loadRates, money, setRegion, t, tn, useLocale } from './i18n'
+import LocaleSwitcher from './LocaleSwitcher'
+import { SPEC_FIELDS } from './catalog'
+import AdminProducts from './AdminProducts'
+import AdminOverview from './AdminOverview'
+import AdminOrders from './AdminOrders'
+import AdminCustomers from './AdminCustomers'
+import AdminHealth from './AdminHealth'
+import AdminReviews from './AdminReviews'
+import ProductReviews, { formatRating, ProductQuestions, Stars } from './Reviews'
+import Shop from './Shop'
+import Builder from './Builder'
+import Devices from './Devices'
+import { LiveView, Playback } from './Viewer'
+import AlertFeed, { AlertBell, EventAlerts } from './Alerts'
+import OfflineBanner from './OfflineBanner'
+import { useOnline } from './offline'
+import { ErrorPanel, ListSkeleton, Skeleton, toast } from './Feedback'
+import Plans from './Plans'
+import Account from './Account'
+import { AuthScreen, ResetPassword, VerifyBanner, VerifyEmail } from './Auth'
 
 function useAuth() {
-  const [token, setToken] = useState(localStorage.getItem('token') || '')
-  const [user, setUser] = useState(() => {
-    const d = localStorage.getItem('user')
-    return d ? JSON.parse(d) : null
-  })
+  const [session, setSessionState] = useState(getSession)
+  const [notice, setNotice] = useState('')
+
+  useEffect(() => onSessionChange((next, reason) => {
+    setSessionState(next)
+    if (reason) setNotice(reason.message)
+  }), [])
 
   const login = async (email, password) => {
-    const res = await fetch(`${API}/auth/login`, {
-      method: 'POST', headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ email, password })
+    const data = await api.post('/auth/login', { email, password }, { auth: false }).catch(err => {
+      throw err.status === 401 ? new Error(t('Invalid credentials')) : err
     })
-    if (!res.ok) throw new Error('Invalid credentials')
-    const data = await res.json()
-    localStorage.setItem('token', data.token)
-    localStorage.setItem('user', JSON.stringify(data.user))
-    setToken(data.token)
-    setUser(data.user)
+    setNotice('')
+    // Accounts with two-factor enabled get a challenge instead of a session.
+    if (data.two_factor_required) return { challenge: data.challenge_token }
+    setSession(data)
+    return null
   }
 
-  const register = async (name, email, password) => {
-    const res = await fetch(`${API}/auth/register`, {
-      method: 'POST', headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name, email, password })
+  const verifyTwoFactor = async (challenge_token, code) => {
+    const data = await api.post('/auth/2fa/verify', { challenge_token, code }, { auth: false }).catch(err => {
+      throw err.status === 401 ? new Error(t('Invalid or expired code')) : err
     })
-    if (!res.ok) throw new Error('Registration failed')
-    const data = await res.json()
-    localStorage.setItem('token', data.token)
-    localStorage.setItem('user', JSON.stringify(data.user))
-    setToken(data.token)
-    setUser(data.user)
+    setSession(data)
+  }
+
+  const register = async (name, email, password) => {
+    const data = await api.post('/auth/register', { name, email, password }, { auth: false })
+    setNotice('')
+    if (!data.token) return false
+    setSession(data)
+    return true
   }
 
   const logout = () => {
-    localStorage.removeItem('token')
-    localStorage.removeItem('user')
-    setToken('')
-    setUser(null)
+    api.post('/auth/logout').catch(() => {})
+    forgetLocalCart()
+    clearSession()
   }
 
-  return { token, user, login, register, logout }
+  return { token: session.token, user: session.user, notice, login, verifyTwoFactor, register, logout }
 }
 
 function DarkLayout({ children, title, onLogout, user }) {
   return (
     <div className="min-h-screen bg-zinc-950 text-zinc-100">
-      <header className="border-b border-zinc-800 sticky top-0 bg-zinc-950/80 backdrop-blur z-10">
+      <header className="border-b border-zinc-800 sticky top-0 bg-zinc-950/80 backdrop-blur z-10 print:hidden">
         <div className="max-w-6xl mx-auto px-4 py-4 flex items-center justify-between">
           <div className="flex items-center gap-3">
             <div className="w-8 h-8 rounded bg-emerald-500/20 border border-emerald-500/30 flex items-center justify-center">
@@ -57,448 +85,413 @@ function DarkLayout({ children, title, onLogout, user }) {
             <h1 className="text-lg font-semibold">SecureView</h1>
           </div>
           <div className="flex items-center gap-4 text-sm">
+            <LocaleSwitcher />
             {user && <span className="text-zinc-400">{user.name}</span>}
+            {user && <AlertBell />}
             {onLogout && (
-              <button onClick={onLogout} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 border border-zinc-700">Logout</button>
+              <button onClick={onLogout} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 border border-zinc-700">{t('Logout')}</button>
             )}
           </div>
         </div>
       </header>
       <main className="max-w-6xl mx-auto p-4">{children}</main>
-      <footer className="max-w-6xl mx-auto p-4 text-xs text-zinc-500">© {new Date().getFullYear()} SecureView</footer>
+      <footer className="max-w-6xl mx-auto p-4 text-xs text-zinc-500 print:hidden">© {new Date().getFullYear()} SecureView</footer>
     </div>
   )
 }
 
-function AuthScreen({ onLogin, onRegister }) {
-  const [mode, setMode] = useState('login')
-  const [name, setName] = useState('')
-  const [email, setEmail] = useState('')
-  const [password, setPassword] = useState('')
-  const [loading, setLoading] = useState(false)
-  const [error, setError] = useState('')
+const TAB_LABELS = { shop: 'Shop', cart: 'Cart', orders: 'Orders', services: 'Services', cameras: 'Cameras', account: 'Account', jobs: 'Jobs', admin: 'Admin' }
 
-  const submit = async (e) => {
-    e.preventDefault()
-    setError('')
-    setLoading(true)
-    try {
-      if (mode === 'login') await onLogin(email, password)
-      else await onRegister(name, email, password)
-    } catch (err) {
-      setError(err.message)
-    } finally {
-      setLoading(false)
-    }
-  }
-
-  return (
-    <div className="min-h-screen bg-zinc-950 text-zinc-100 flex items-center justify-center p-4">
-      <div className="w-full max-w-md bg-zinc-900 border border-zinc-800 rounded-xl p-6 shadow-xl">
-        <h2 className="text-xl font-semibold mb-1">{mode === 'login' ? 'Welcome back' : 'Create your account'}</h2>
-        <p className="text-sm text-zinc-400 mb-6">Shop CCTV products and book professional installation.</p>
-        <form onSubmit={submit} className="space-y-3">
-          {mode === 'register' && (
-            <div>
-              <label className="block text-sm text-zinc-400 mb-1">Name</label>
-              <input value={name} onChange={e=>setName(e.target.value)} className="w-full bg-zinc-950 border border-zinc-800 rounded px-3 py-2 outline-none focus:ring-2 focus:ring-emerald-500/40" required />
-            </div>
-          )}
-          <div>
-            <label className="block text-sm text-zinc-400 mb-1">Email</label>
-            <input type="email" value={email} onChange={e=>setEmail(e.target.value)} className="w-full bg-zinc-950 border border-zinc-800 rounded px-3 py-2 outline-none focus:ring-2 focus:ring-emerald-500/40" required />
-          </div>
-          <div>
-            <label className="block text-sm text-zinc-400 mb-1">Password</label>
-            <input type="password" value={password} onChange={e=>setPassword(e.target.value)} className="w-full bg-zinc-950 border border-zinc-800 rounded px-3 py-2 outline-none focus:ring-2 focus:ring-emerald-500/40" required />
-          </div>
-          {error && <p className="text-red-400 text-sm">{error}</p>}
-          <button disabled={loading} className="w-full bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-white py-2 rounded mt-2">{loading ? 'Please wait...' : (mode==='login'?'Sign in':'Create account')}</button>
-        </form>
-        <button onClick={()=>setMode(mode==='login'?'register':'login')} className="mt-4 text-sm text-zinc-400 hover:text-zinc-200">
-          {mode==='login' ? "Don't have an account? Sign up" : 'Already have an account? Sign in'}
-        </button>
-      </div>
-    </div>
-  )
-}
-
-function Dashboard({ token, user, onLogout }) {
-  const [tab, setTab] = useState('shop')
+const tabClass = ({ isActive }) => `px-3 py-1.5 rounded border ${isActive?'bg-zinc-800 border-zinc-600':'bg-zinc-900 border-zinc-800 hover:border-zinc-700'}`
 
+function Dashboard({ user, onLogout }) {
+  const tabs = ['shop','cart','orders','services','cameras','account', ...(user?.role==='technician' ? ['jobs'] : []), 'admin']
   return (
     <DarkLayout user={user} onLogout={onLogout}>
-      <div className="flex flex-wrap gap-2 mb-4">
-        {['shop','cart','services','account','admin'].map(t=> (
-          <button key={t} onClick={()=>setTab(t)} className={`px-3 py-1.5 rounded border ${tab===t?'bg-zinc-800 border-zinc-600':'bg-zinc-900 border-zinc-800 hover:border-zinc-700'}`}>{t.toUpperCase()}</button>
+      <div className="flex flex-wrap gap-2 mb-4 print:hidden">
+        {tabs.map(tab=> (
+          <NavLink key={tab} to={`/${tab}`} className={tabClass}>{t(TAB_LABELS[tab]).toLocaleUpperCase()}</NavLink>
         ))}
       </div>
 
-      {tab==='shop' && <Shop token={token} />}
-      {tab==='cart' && <Cart token={token} />}
-      {tab==='services' && <Services token={token} />}
-      {tab==='account' && <Account token={token} />}
-      {tab==='admin' && <AdminPanel token={token} user={user} />}
+      <EventAlerts />
+      <OfflineBanner />
+      <VerifyBanner user={user} />
+      <Outlet />
     </DarkLayout>
   )
 }
 
-function useAuthHeaders(token){
-  return useMemo(()=>({ 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` }), [token])
+function RequireAuth({ token, children }) {
+  const location = useLocation()
+  if (!token) return <Navigate to="/login" replace state={{ from: location }} />
+  return children
 }
 
-function Shop({ token }){
-  const [products, setProducts] = useState([])
-  const [q, setQ] = useState('')
-  const [category, setCategory] = useState('')
-  const [loading, setLoading] = useState(false)
+function RequireRole({ user, role, children }) {
+  if (user?.role !== role) return (
+    <div className="p-4 rounded border border-zinc-800 bg-zinc-900">
+      <div className="text-sm text-zinc-400">{t('This area is available for {role} accounts.', { role: t(role) })}</div>
+    </div>
+  )
+  return children
+}
 
-  const load = async () => {
-    setLoading(true)
-    const params = new URLSearchParams()
-    if (q) params.set('q', q)
-    if (category) params.set('category', category)
-    const res = await fetch(`${API}/products?${params.toString()}`)
-    const data = await res.json()
-    setProducts(data)
-    setLoading(false)
-  }
-  useEffect(()=>{ load() }, [])
-
-  const addToCart = (p) => {
-    const existing = JSON.parse(localStorage.getItem('cart') || '[]')
-    const idx = existing.findIndex(i => i.product_id === p._id)
-    if (idx >= 0) existing[idx].qty += 1
-    else existing.push({ product_id: p._id, name: p.name, price: p.price, qty: 1, image: p.images?.[0] })
-    localStorage.setItem('cart', JSON.stringify(existing))
-    alert('Added to cart')
+function ProductDetail(){
+  const { id } = useParams()
+  const [p, setP] = useState(null)
+  const [error, setError] = useState('')
+  const [image, setImage] = useState(0)
+  const [qty, setQty] = useState(1)
+  const [variantName, setVariantName] = useState('')
+
+  const [missing, setMissing] = useState(false)
+
+  const load = () => {
+    setP(null); setError(''); setMissing(false); setImage(0); setQty(1)
+    api.get(`/products/${id}`, { auth: false })
+      .then(p => { setP(p); setVariantName(p.variants?.[0]?.name || '') })
+      .catch(err => err.status === 404 ? setMissing(true) : setError(err.message))
   }
+  useEffect(load, [id])
 
-  return (
-    <div>
-      <div className="flex flex-wrap gap-2 items-center mb-4">
-        <input placeholder="Search products" value={q} onChange={e=>setQ(e.target.value)} className="bg-zinc-900 border border-zinc-800 rounded px-3 py-2" />
-        <select value={category} onChange={e=>setCategory(e.target.value)} className="bg-zinc-900 border border-zinc-800 rounded px-3 py-2">
-          <option value="">All categories</option>
-          <option value="camera">Cameras</option>
-          <option value="accessory">Accessories</option>
-          <option value="system">Systems</option>
-          <option value="dvr">DVR</option>
-          <option value="nvr">NVR</option>
-          <option value="cable">Cables</option>
-          <option value="service">Service</option>
-        </select>
-        <button onClick={load} className="px-3 py-2 rounded bg-zinc-800 hover:bg-zinc-700">Filter</button>
+  if (missing) return (
+    <div className="p-4 rounded border border-zinc-800 bg-zinc-900">
+      <div className="text-sm text-zinc-400">{t('Product not found')}</div>
+      <Link to="/shop" className="text-sm text-emerald-400 hover:text-emerald-300">{t('Back to shop')}</Link>
+    </div>
+  )
+  if (error) return <ErrorPanel message={error} onRetry={load} />
+  if (!p) return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <Skeleton className="aspect-video" />
+      <div className="space-y-3">
+        <Skeleton className="h-8 w-2/3" />
+        <Skeleton className="h-6 w-24" />
+        <Skeleton className="h-20" />
       </div>
+    </div>
+  )
+
+  const images = p.images || []
+  const specs = p.specs || {}
+  const variant = p.variants?.find(v => v.name === variantName) || null
+  const stock = variant ? (variant.stock ?? 0) : (p.stock ?? 0)
+  const price = variant?.price ?? p.price
+  const formatSpec = (v) => typeof v === 'boolean' ? t(v ? 'Yes' : 'No') : v
 
-      {loading && <div className="text-zinc-400">Loading...</div>}
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
-        {products.map(p => (
-          <div key={p._id} className="border border-zinc-800 rounded-lg overflow-hidden bg-zinc-900">
-            <div className="aspect-video bg-black">
-              {p.images?.[0] ? (
-                <img src={p.images[0]} alt={p.name} className="w-full h-full object-cover" />
-              ) : (
-                <div className="w-full h-full flex items-center justify-center text-zinc-600">No image</div>
-              )}
+  return (
+    <div className="space-y-4">
+      <Link to="/shop" className="text-sm text-zinc-400 hover:text-zinc-200">← {t('Back to shop')}</Link>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <div className="aspect-video bg-black rounded-lg overflow-hidden border border-zinc-800">
+            {images[image] ? (
+              <img src={images[image]} alt={p.name} className="w-full h-full object-contain" />
+            ) : (
+              <div className="w-full h-full flex items-center justify-center text-zinc-600">{t('No image')}</div>
+            )}
+          </div>
+          {images.length > 1 && (
+            <div className="flex gap-2 overflow-x-auto">
+              {images.map((src, i) => (
+                <button key={src + i} onClick={()=>setImage(i)} className={`w-20 h-14 shrink-0 rounded overflow-hidden border ${i===image?'border-emerald-500':'border-zinc-800 hover:border-zinc-700'}`}>
+                  <img src={src} alt={`${p.name} ${i+1}`} className="w-full h-full object-cover" />
+                </button>
+              ))}
             </div>
-            <div className="p-3">
-              <div className="font-medium">{p.name}</div>
-              <div className="text-sm text-zinc-400 line-clamp-2 min-h-[2.5rem]">{p.description}</div>
-              <div className="flex items-center justify-between mt-2">
-                <div className="text-emerald-400 font-semibold">${(p.price||0).toFixed(2)}</div>
-                <button onClick={()=>addToCart(p)} className="px-3 py-1.5 bg-emerald-600 hover:bg-emerald-500 rounded">Add to cart</button>
-              </div>
+          )}
+        </div>
+        <div className="space-y-3">
+          <div>
+            <div className="text-xs text-zinc-500 uppercase">{p.category}</div>
+            <h2 className="text-2xl font-semibold">{p.name}</h2>
+            {p.rating_count > 0 && (
+              <a href="#reviews" className="flex items-center gap-2 text-sm text-zinc-400 hover:text-zinc-200">
+                <Stars value={p.rating_average} /> {formatRating(p.rating_average)} ({tn(p.rating_count, '{count} review', '{count} reviews')})
+              </a>
+            )}
+          </div>
+          <div className="text-emerald-400 text-xl font-semibold">{money(price)}</div>
+          {p.variants?.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {p.variants.map(v => (
+                <button key={v.name} onClick={()=>{ setVariantName(v.name); setQty(1) }} className={`px-3 py-1.5 rounded border text-sm ${v.name===variantName?'border-emerald-500 bg-zinc-800':'border-zinc-800 hover:border-zinc-700'} ${(v.stock ?? 0) <= 0 ? 'text-zinc-500' : ''}`}>{v.name}</button>
+              ))}
             </div>
+          )}
+          <div className={`text-sm ${stock > 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+            {stock > 0 ? t('In stock ({count} available)', { count: stock }) : t('Out of stock')}
           </div>
-        ))}
-        {products.length===0 && !loading && (
-          <div className="text-zinc-500">No products found.</div>
-        )}
+          <p className="text-sm text-zinc-400 whitespace-pre-line">{p.description}</p>
+          <div className="flex items-center gap-2">
+            <button onClick={()=>setQty(q=>Math.max(1, q-1))} className="px-2 py-1 bg-zinc-800 rounded">-</button>
+            <span>{qty}</span>
+            <button onClick={()=>setQty(q=>Math.min(stock, q+1))} className="px-2 py-1 bg-zinc-800 rounded">+</button>
+            <button onClick={()=>{ addToCart(p, qty, variant); toast(t('Added to cart'), { description: `${qty} × ${p.name}${variant ? ` (${variant.name})` : ''}`, action: { label: t('View cart'), to: '/cart' } }) }} disabled={stock <= 0} className="ml-2 px-3 py-1.5 bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 rounded">{t('Add to cart')}</button>
+          </div>
+        </div>
       </div>
+      <div className="p-4 rounded border border-zinc-800 bg-zinc-900">
+        <div className="font-medium mb-2">{t('Specifications')}</div>
+        <table className="w-full text-sm">
+          <tbody>
+            {SPEC_FIELDS.map(([key, label]) => (
+              <tr key={key} className="border-t border-zinc-800 first:border-t-0">
+                <td className="py-2 text-zinc-400 w-1/3">{t(label)}</td>
+                <td className="py-2">{specs[key] != null && specs[key] !== '' ? formatSpec(specs[key]) : '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <ProductReviews productId={p._id} />
+      <ProductQuestions productId={p._id} />
     </div>
   )
 }
 
-function Cart({ token }){
-  const headers = useAuthHeaders(token)
-  const [items, setItems] = useState(() => JSON.parse(localStorage.getItem('cart') || '[]'))
-  const [address, setAddress] = useState('')
-
-  const updateQty = (product_id, delta) => {
-    const next = items.map(i => i.product_id===product_id ? { ...i, qty: Math.max(1, i.qty + delta)} : i)
-    setItems(next)
-    localStorage.setItem('cart', JSON.stringify(next))
-  }
-  const removeItem = (product_id) => {
-    const next = items.filter(i => i.product_id !== product_id)
-    setItems(next)
-    localStorage.setItem('cart', JSON.stringify(next))
+function Cart(){
+  const items = useCart()
+  const syncError = useCartSyncError()
+  const navigate = useNavigate()
+  const [error, setError] = useState('')
+  const [checking, setChecking] = useState(false)
+  const [checks, setChecks] = useState({})
+  const online = useOnline()
+  const { region } = useLocale()
+
+  // Returns false when any line blocks checkout or changed since it was added.
+  const revalidate = async () => {
+    const { lines, changed, blocking } = await validateCart()
+    setChecks(Object.fromEntries(lines.map(l => [lineKey(l), l])))
+    return !changed && !blocking
   }
+  useEffect(()=>{ if (online) revalidate().catch(err => setError(err.message)) }, [online])
 
-  const subtotal = items.reduce((s,i)=> s + i.price * i.qty, 0)
-  const tax = +(subtotal * 0.07).toFixed(2)
-  const total = +(subtotal + tax).toFixed(2)
+  const { subtotal, tax, taxLabel, taxRate } = calculateTotals(items, 'shipping', region)
 
-  const placeOrder = async () => {
+  const checkout = async () => {
     if (items.length===0) return
-    const res = await fetch(`${API}/orders`, { method:'POST', headers, body: JSON.stringify({ items: items.map(i=>({ product_id: i.product_id, qty: i.qty })), address }) })
-    if (!res.ok) { alert('Order failed'); return }
-    const order = await res.json()
-    const pay = await fetch(`${API}/payments/checkout`, { method:'POST', headers, body: JSON.stringify({ amount: order.total, description: `Order ${order._id}`, order_id: order._id }) })
-    if (!pay.ok) { alert('Payment failed'); return }
-    localStorage.removeItem('cart')
-    setItems([])
-    alert('Order placed and paid successfully!')
+    setError('')
+    setChecking(true)
+    try {
+      if (await revalidate()) navigate('/checkout')
+      else setError(t('Some items in your cart changed. Please review them before checking out.'))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setChecking(false)
+    }
   }
 
   return (
     <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
       <div className="md:col-span-2 space-y-2">
+        {syncError && <ErrorPanel message={t('Your cart could not be saved to your account: {error}', { error: syncError })} onRetry={retryCartSync} />}
         {items.map(i => (
-          <div key={i.product_id} className="p-3 border border-zinc-800 rounded bg-zinc-900 flex items-center gap-3">
+          <div key={lineKey(i)} className="p-3 border border-zinc-800 rounded bg-zinc-900 flex items-center gap-3">
             <div className="w-20 h-16 bg-black rounded overflow-hidden flex items-center justify-center">
-              {i.image ? <img src={i.image} className="w-full h-full object-cover" /> : <span className="text-zinc-600 text-xs">No image</span>}
+              {i.image ? <img src={i.image} className="w-full h-full object-cover" /> : <span className="text-zinc-600 text-xs">{t('No image')}</span>}
             </div>
             <div className="flex-1">
-              <div className="font-medium">{i.name}</div>
-              <div className="text-xs text-zinc-400">${i.price.toFixed(2)} each</div>
+              <div className="font-medium">{i.name}{i.variant && <span className="text-zinc-400 text-sm"> ({i.variant})</span>}</div>
+              <div className="text-xs text-zinc-400">{t('{price} each', { price: money(i.price) })}</div>
+              {checks[lineKey(i)]?.warning && <div className="text-xs text-amber-400 mt-1">{checks[lineKey(i)].warning}</div>}
             </div>
             <div className="flex items-center gap-2">
-              <button onClick={()=>updateQty(i.product_id, -1)} className="px-2 py-1 bg-zinc-800 rounded">-</button>
+              <button onClick={()=>updateQty(lineKey(i), -1)} className="px-2 py-1 bg-zinc-800 rounded">-</button>
               <span>{i.qty}</span>
-              <button onClick={()=>updateQty(i.product_id, 1)} className="px-2 py-1 bg-zinc-800 rounded">+</button>
+              <button onClick={()=>updateQty(lineKey(i), 1)} disabled={checks[lineKey(i)] && i.qty >= checks[lineKey(i)].stock} className="px-2 py-1 bg-zinc-800 rounded disabled:opacity-50">+</button>
             </div>
-            <div className="w-20 text-right">${(i.price*i.qty).toFixed(2)}</div>
-            <button onClick={()=>removeItem(i.product_id)} className="text-red-400 text-sm">Remove</button>
+            <div className="w-24 text-right">{money(i.price*i.qty)}</div>
+            <button onClick={()=>removeFromCart(lineKey(i))} className="text-red-400 text-sm">{t('Remove')}</button>
           </div>
         ))}
-        {items.length===0 && <div className="text-zinc-500">Your cart is empty.</div>}
+        {items.length===0 && <div className="text-zinc-500">{t('Your cart is empty.')}</div>}
       </div>
       <div className="p-4 border border-zinc-800 rounded bg-zinc-900 h-fit">
-        <div className="font-medium mb-2">Order summary</div>
-        <div className="text-sm flex justify-between"><span>Subtotal</span><span>${subtotal.toFixed(2)}</span></div>
-        <div className="text-sm flex justify-between text-zinc-400"><span>Tax</span><span>${tax.toFixed(2)}</span></div>
-        <div className="text-sm flex justify-between mt-1 pt-2 border-t border-zinc-800"><span>Total</span><span className="font-semibold">${total.toFixed(2)}</span></div>
-        <div className="mt-3">
-          <textarea placeholder="Shipping/installation address" value={address} onChange={e=>setAddress(e.target.value)} className="w-full bg-zinc-950 border border-zinc-800 rounded px-3 py-2" />
-        </div>
-        <button onClick={placeOrder} disabled={items.length===0} className="w-full mt-3 bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 rounded py-2">Place order</button>
+        <div className="font-medium mb-2">{t('Order summary')}</div>
+        <label className="text-sm flex items-center justify-between gap-2 mb-2 text-zinc-400">
+          {t('Ship to')}
+          <select value={region} onChange={e=>setRegion(e.target.value)} className="bg-zinc-950 border border-zinc-800 rounded px-2 py-1 text-zinc-200">
+            {Object.entries(TAX_RULES).map(([id, r]) => <option key={id} value={id}>{t(r.name)}</option>)}
+          </select>
+        </label>
+        <div className="text-sm flex justify-between"><span>{t('Subtotal')}</span><span>{money(subtotal)}</span></div>
+        <div className="text-sm flex justify-between text-zinc-400"><span>{t('Estimated {tax}', { tax: t(taxLabel) })} ({formatNumber(taxRate, { style: 'percent', maximumFractionDigits: 2 })})</span><span>{money(tax)}</span></div>
+        <div className="text-xs text-zinc-500 mt-1">{t('Shipping or installation is calculated at checkout.')}</div>
+        {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+        {!online && <p className="text-amber-400 text-sm mt-2">{t("You're offline. Cart changes are saved and synced later; checkout needs a connection.")}</p>}
+        <button onClick={checkout} disabled={items.length===0 || checking || !online} className="w-full mt-3 bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 rounded py-2">{checking ? t('Please wait...') : t('Checkout')}</button>
       </div>
     </div>
   )
 }
 
-function Services({ token }){
-  const headers = useAuthHeaders(token)
-  const [services, setServices] = useState([])
+const ADMIN_TABS = ['overview','products','orders','customers','services','reviews','health']
+const ADMIN_TAB_LABELS = { overview: 'Overview', products: 'Products', orders: 'Orders', customers: 'Customers', services: 'Services', reviews: 'Reviews', health: 'Health' }
 
-  const load = async () => {
-    const res = await fetch(`${API}/services`, { headers })
-    setServices(await res.json())
-  }
-  useEffect(()=>{ load() }, [])
+const LISTED_TABS = ['products','services']
 
-  const book = async () => {
-    const address = prompt('Service address')
-    if (!address) return
-    await fetch(`${API}/services`, { method:'POST', headers, body: JSON.stringify({ service_type:'installation', address }) })
-    await load()
-  }
-
-  return (
-    <div>
-      <button onClick={book} className="mb-3 px-3 py-1.5 rounded bg-emerald-600 hover:bg-emerald-500">Book installation</button>
-      <div className="space-y-2">
-        {services.map(s => (
-          <div key={s._id} className="p-3 rounded border border-zinc-800 bg-zinc-900 flex items-center justify-between">
-            <div>
-              <div className="font-medium">{s.service_type}</div>
-              <div className="text-sm text-zinc-400">{s.address}</div>
-            </div>
-            <span className="text-xs text-zinc-400">{s.status}</span>
-          </div>
-        ))}
-        {services.length===0 && <p className="text-zinc-500">No service bookings yet.</p>}
-      </div>
-    </div>
-  )
-}
-
-function Account({ token }){
-  const headers = useAuthHeaders(token)
-  const [sub, setSub] = useState(null)
-  const load = async () => {
-    const res = await fetch(`${API}/subscription`, { headers })
-    setSub(await res.json())
-  }
-  useEffect(()=>{ load() }, [])
-
-  const changePlan = async (plan) => {
-    await fetch(`${API}/subscription`, { method:'POST', headers, body: JSON.stringify({ plan }) })
-    await load()
-  }
-
-  return (
-    <div className="space-y-3">
-      <div className="p-4 rounded border border-zinc-800 bg-zinc-900">
-        <div className="text-sm text-zinc-400">Subscription</div>
-        <div className="text-lg">{sub?.plan || 'basic'}</div>
-        <div className="text-xs text-zinc-500">Status: {sub?.status || 'active'}</div>
-      </div>
-      <div className="flex gap-2">
-        {['basic','standard','pro'].map(p => (
-          <button key={p} onClick={()=>changePlan(p)} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700">{p}</button>
-        ))}
-      </div>
-    </div>
-  )
-}
+// Admin list endpoints return either a bare array or a page object.
+const listItems = (data) => Array.isArray(data) ? data : data.items
 
-function AdminPanel({ token, user }){
-  const headers = useAuthHeaders(token)
+function AdminPanel({ user }){
   const isAdmin = user?.role === 'admin'
-  const [tab, setTab] = useState('products')
-  const [users, setUsers] = useState([])
+  const verified = isAdmin && user.two_factor_enabled
+  const { section: tab } = useParams()
+  const [technicians, setTechnicians] = useState([])
   const [products, setProducts] = useState([])
-  const [orders, setOrders] = useState([])
   const [svcs, setSvcs] = useState([])
+  const [loaded, setLoaded] = useState(null)
+  const [error, setError] = useState('')
 
-  const [pForm, setPForm] = useState({ name:'', price:'', category:'camera', stock:0, description:'', images:'' })
-
+  // Only the products and services tabs share data loaded here; the other sections load their own.
   const load = async () => {
-    if (!isAdmin) return
-    const [u, p, o, s] = await Promise.all([
-      fetch(`${API}/admin/users`, { headers }),
-      fetch(`${API}/products`),
-      fetch(`${API}/admin/orders`, { headers }),
-      fetch(`${API}/admin/services`, { headers }),
-    ])
-    setUsers(await u.json())
-    setProducts(await p.json())
-    setOrders(await o.json())
-    setSvcs(await s.json())
-  }
-  useEffect(()=>{ load() }, [isAdmin])
-
-  const createProduct = async () => {
-    const body = { ...pForm, price: parseFloat(pForm.price||0), stock: parseInt(pForm.stock||0), images: pForm.images? pForm.images.split(',').map(s=>s.trim()).filter(Boolean): [] }
-    const res = await fetch(`${API}/admin/products`, { method:'POST', headers, body: JSON.stringify(body) })
-    if (!res.ok) { alert('Failed to create product'); return }
-    setPForm({ name:'', price:'', category:'camera', stock:0, description:'', images:'' })
-    await load()
+    if (!verified || !LISTED_TABS.includes(tab)) return
+    setError('')
+    try {
+      if (tab === 'products') {
+        setProducts(listItems(await api.get('/products?page_size=1000', { auth: false })))
+      } else {
+        const [u, s] = await Promise.all([
+          api.get('/admin/users?role=technician&page_size=1000'),
+          api.get('/admin/services'),
+        ])
+        setTechnicians(listItems(u))
+        setSvcs(listItems(s))
+      }
+      setLoaded(tab)
+    } catch (err) {
+      setError(err.message)
+    }
   }
+  useEffect(()=>{ load() }, [verified, tab])
 
-  const deleteProduct = async (id) => {
-    await fetch(`${API}/admin/products/${id}`, { method:'DELETE', headers })
-    await load()
+  // Runs an admin mutation, reloads on success and reports the outcome as a toast.
+  const mutate = async (fn, failure, success) => {
+    try {
+      await fn()
+      await load()
+      if (success) toast(success)
+      return true
+    } catch (err) {
+      toast(failure, { type: 'error', description: err.message })
+      return false
+    }
   }
 
-  const updateOrderStatus = async (id, status) => {
-    await fetch(`${API}/admin/orders/${id}`, { method:'PATCH', headers, body: JSON.stringify({ status }) })
-    await load()
-  }
+  const assignTechnician = (id, technician_id) => mutate(() => api.patch(`/admin/services/${id}`, { technician_id: technician_id || null }), t('Failed to assign technician'), t(technician_id ? 'Technician assigned' : 'Technician unassigned'))
 
   if (!isAdmin) return (
     <div className="p-4 rounded border border-zinc-800 bg-zinc-900">
-      <div className="text-sm text-zinc-400">Admin dashboard is available for admin accounts.</div>
+      <div className="text-sm text-zinc-400">{t('Admin dashboard is available for admin accounts.')}</div>
     </div>
   )
 
+  // Admin access requires two-factor; the backend rejects admin calls without it too.
+  if (!verified) return (
+    <div className="p-4 rounded border border-amber-500/30 bg-amber-500/10 space-y-2">
+      <div className="text-sm text-amber-300">{t('Admin accounts must turn on two-factor authentication before using the admin dashboard.')}</div>
+      <Link to="/account#security" className="text-sm text-emerald-400 hover:text-emerald-300">{t('Set up two-factor authentication')}</Link>
+    </div>
+  )
+
+  if (!ADMIN_TABS.includes(tab)) return <Navigate to="/admin/overview" replace />
+
   return (
     <div className="p-4 rounded border border-zinc-800 bg-zinc-900">
       <div className="flex flex-wrap gap-2 mb-3">
-        {['products','orders','customers','services'].map(t => (
-          <button key={t} onClick={()=>setTab(t)} className={`px-3 py-1.5 rounded border ${tab===t?'bg-zinc-800 border-zinc-600':'bg-zinc-900 border-zinc-800 hover:border-zinc-700'}`}>{t.toUpperCase()}</button>
+        {ADMIN_TABS.map(id => (
+          <NavLink key={id} to={`/admin/${id}`} className={tabClass}>{t(ADMIN_TAB_LABELS[id]).toLocaleUpperCase()}</NavLink>
         ))}
       </div>
+      {tab==='overview' && <AdminOverview />}
 
-      {tab==='products' && (
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
-          <div className="lg:col-span-2 space-y-2">
-            {products.map(p => (
-              <div key={p._id} className="p-3 border border-zinc-800 rounded flex items-center justify-between">
-                <div>
-                  <div className="font-medium">{p.name}</div>
-                  <div className="text-xs text-zinc-400">{p.category} • ${p.price?.toFixed(2)} • stock {p.stock}</div>
-                </div>
-                <button onClick={()=>deleteProduct(p._id)} className="text-red-400 text-sm">Delete</button>
-              </div>
-            ))}
-            {products.length===0 && <div className="text-zinc-500">No products yet.</div>}
-          </div>
-          <div className="space-y-2">
-            <div className="font-medium">New product</div>
-            <input placeholder="Name" value={pForm.name} onChange={e=>setPForm(v=>({...v,name:e.target.value}))} className="w-full bg-zinc-950 border border-zinc-800 rounded px-3 py-2" />
-            <textarea placeholder="Description" value={pForm.description} onChange={e=>setPForm(v=>({...v,description:e.target.value}))} className="w-full bg-zinc-950 border border-zinc-800 rounded px-3 py-2" />
-            <div className="flex gap-2">
-              <input placeholder="Category" value={pForm.category} onChange={e=>setPForm(v=>({...v,category:e.target.value}))} className="w-full bg-zinc-950 border border-zinc-800 rounded px-3 py-2" />
-              <input placeholder="Price" value={pForm.price} onChange={e=>setPForm(v=>({...v,price:e.target.value}))} className="w-full bg-zinc-950 border border-zinc-800 rounded px-3 py-2" />
-            </div>
-            <div className="flex gap-2">
-              <input placeholder="Stock" value={pForm.stock} onChange={e=>setPForm(v=>({...v,stock:e.target.value}))} className="w-full bg-zinc-950 border border-zinc-800 rounded px-3 py-2" />
-              <input placeholder="Images (comma-separated URLs)" value={pForm.images} onChange={e=>setPForm(v=>({...v,images:e.target.value}))} className="w-full bg-zinc-950 border border-zinc-800 rounded px-3 py-2" />
-            </div>
-            <button onClick={createProduct} className="w-full bg-emerald-600 hover:bg-emerald-500 rounded py-2">Create</button>
-          </div>
-        </div>
-      )}
+      {tab==='orders' && <AdminOrders />}
 
-      {tab==='orders' && (
-        <div className="space-y-2">
-          {orders.map(o => (
-            <div key={o._id} className="p-3 border border-zinc-800 rounded">
-              <div className="flex items-center justify-between">
-                <div className="font-medium">Order {o._id}</div>
-                <div className="text-xs text-zinc-400">{new Date(o.created_at).toLocaleString?.() || ''}</div>
-              </div>
-              <div className="text-sm text-zinc-400">{o.items.length} items • ${o.total?.toFixed(2)} • {o.status}</div>
-              <div className="mt-2 flex gap-2">
-                {['paid','processing','shipped','completed','cancelled'].map(s => (
-                  <button key={s} onClick={()=>updateOrderStatus(o._id, s)} className="px-2 py-1 bg-zinc-800 hover:bg-zinc-700 rounded text-xs">{s}</button>
-                ))}
-              </div>
-            </div>
-          ))}
-          {orders.length===0 && <div className="text-zinc-500">No orders yet.</div>}
-        </div>
-      )}
+      {tab==='customers' && <AdminCustomers user={user} />}
 
-      {tab==='customers' && (
-        <div className="space-y-2">
-          {users.map(u => (
-            <div key={u._id} className="p-3 border border-zinc-800 rounded flex items-center justify-between">
-              <div>
-                <div className="font-medium">{u.name}</div>
-                <div className="text-xs text-zinc-400">{u.email}</div>
-              </div>
-              <span className="text-xs text-zinc-500">{u.role}</span>
-            </div>
-          ))}
-          {users.length===0 && <div className="text-zinc-500">No customers yet.</div>}
-        </div>
-      )}
+      {tab==='reviews' && <AdminReviews />}
+
+      {tab==='health' && <AdminHealth />}
 
-      {tab==='services' && (
+      {LISTED_TABS.includes(tab) && loaded !== tab && (error ? <ErrorPanel message={error} onRetry={load} /> : <ListSkeleton rows={4} />)}
+      {loaded === tab && error && <p className="text-red-400 text-sm mb-3">{error}</p>}
+
+      {loaded === tab && tab==='products' && <AdminProducts products={products} mutate={mutate} />}
+
+      {loaded === tab && tab==='services' && (
         <div className="space-y-2">
           {svcs.map(s => (
             <div key={s._id} className="p-3 border border-zinc-800 rounded flex items-center justify-between">
               <div>
-                <div className="font-medium">{s.service_type}</div>
-                <div className="text-xs text-zinc-400">{s.address}</div>
+                <div className="font-medium">{serviceLabel(s.service_type)}</div>
+                <div className="text-xs text-zinc-400">{formatAddress(s.address)}</div>
+                <div className="text-xs text-zinc-500">{formatSchedule(s)}</div>
+              </div>
+              <div className="flex items-center gap-3">
+                <select value={s.technician_id || ''} onChange={e=>assignTechnician(s._id, e.target.value)} disabled={['completed','cancelled'].includes(s.status)} className="bg-zinc-950 border border-zinc-800 rounded px-2 py-1 text-xs">
+                  <option value="">{t('Unassigned')}</option>
+                  {technicians.map(tech => <option key={tech._id} value={tech._id}>{tech.name}</option>)}
+                </select>
+                <span className="text-xs text-zinc-500 w-20 text-right">{t(JOB_LABELS[s.status] || s.status)}</span>
               </div>
-              <span className="text-xs text-zinc-500">{s.status}</span>
             </div>
           ))}
-          {svcs.length===0 && <div className="text-zinc-500">No service requests.</div>}
+          {svcs.length===0 && <div className="text-zinc-500">{t('No service requests.')}</div>}
         </div>
       )}
     </div>
   )
 }
 
+function LoginRoute({ token, notice, onLogin, onVerify, onRegister }) {
+  const location = useLocation()
+  if (token) {
+    const from = location.state?.from
+    return <Navigate to={from ? `${from.pathname}${from.search || ''}` : '/shop'} replace />
+  }
+  return <AuthScreen notice={notice} onLogin={onLogin} onVerify={onVerify} onRegister={onRegister} />
+}
+
 export default function App() {
-  const { token, user, login, register, logout } = useAuth()
-  if (!token) return <AuthScreen onLogin={login} onRegister={register} />
-  return <Dashboard token={token} user={user} onLogout={logout} />
+  const { token, user, notice, login, verifyTwoFactor, register, logout } = useAuth()
+  useEffect(()=>{ if (token) syncCart() }, [token])
+  useEffect(()=>{ loadRates() }, [])
+  // Subscribing here re-renders every page when the language or currency changes.
+  useLocale()
+
+  return (
+    <Routes>
+      <Route path="login" element={<LoginRoute token={token} notice={notice} onLogin={login} onVerify={verifyTwoFactor} onRegister={register} />} />
+      <Route path="reset-password" element={<ResetPassword />} />
+      <Route path="verify-email" element={<VerifyEmail />} />
+      <Route element={<RequireAuth token={token}><Dashboard user={user} onLogout={logout} /></RequireAuth>}>
+        <Route index element={<Navigate to="/shop" replace />} />
+        <Route path="shop" element={<Shop />} />
+        <Route path="products/:id" element={<ProductDetail />} />
+        <Route path="builder" element={<Builder />} />
+        <Route path="cart" element={<Cart />} />
+        <Route path="checkout" element={<Checkout />} />
+        <Route path="checkout/pay/:orderId" element={<RetryPayment />} />
+        <Route path="orders" element={<Orders />} />
+        <Route path="orders/:id" element={<OrderDetail />} />
+        <Route path="services" element={<Services />} />
+        <Route path="services/book" element={<BookService />} />
+        <Route path="cameras" element={<Devices />} />
+        <Route path="cameras/live" element={<LiveView />} />
+        <Route path="cameras/:id/playback" element={<Playback />} />
+        <Route path="alerts" element={<AlertFeed />} />
+        <Route path="account" element={<Account />} />
+        <Route path="account/plans" element={<Plans />} />
+        <Route path="jobs" element={<RequireRole user={user} role="technician"><TechnicianJobs /></RequireRole>} />
+        <Route path="jobs/:id" element={<RequireRole user={user} role="technician"><JobDetail /></RequireRole>} />
+        <Route path="admin" element={<Navigate to="/admin/overview" replace />} />
+        <Route path="admin/:section" element={<AdminPanel user={user} />} />
+        <Route path="*" element={<Navigate to="/shop" replace />} />
+      </Route>
+    </Routes>
+  )
 }
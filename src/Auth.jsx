@@ -0,0 +1,233 @@
+import { useEffect, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { api, getSession, updateUser } from './api'
+import { checkPassword, passwordError } from './password'
+import { t } from './i18n'
+import LocaleSwitcher from './LocaleSwitcher'
+import { inputClass } from './styles'
+
+function AuthCard({ title, subtitle, children }) {
+  return (
+    <div className="min-h-screen bg-zinc-950 text-zinc-100 flex items-center justify-center p-4">
+      <div className="w-full max-w-md bg-zinc-900 border border-zinc-800 rounded-xl p-6 shadow-xl">
+        <h2 className="text-xl font-semibold mb-1">{title}</h2>
+        {subtitle && <p className="text-sm text-zinc-400 mb-6">{subtitle}</p>}
+        {children}
+      </div>
+      <div className="fixed top-4 right-4"><LocaleSwitcher currency={false} /></div>
+    </div>
+  )
+}
+
+export function PasswordChecklist({ password }) {
+  if (!password) return null
+  return (
+    <ul className="mt-2 space-y-0.5 text-xs">
+      {checkPassword(password).map(r => (
+        <li key={r.id} className={r.ok ? 'text-emerald-400' : 'text-zinc-500'}>{r.ok ? '✓' : '•'} {t(r.label)}</li>
+      ))}
+    </ul>
+  )
+}
+
+export function AuthScreen({ notice, onLogin, onVerify, onRegister }) {
+  const [mode, setMode] = useState('login')
+  const [name, setName] = useState('')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [code, setCode] = useState('')
+  const [challenge, setChallenge] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+
+  const switchMode = (next) => { setMode(next); setError(''); setMessage('') }
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setMessage('')
+    if (mode === 'register') {
+      const weak = passwordError(password, { email })
+      if (weak) return setError(weak)
+    }
+    setLoading(true)
+    try {
+      if (mode === 'login') {
+        const result = await onLogin(email, password)
+        if (result?.challenge) {
+          setChallenge(result.challenge)
+          setCode('')
+          setMode('two_factor')
+        }
+      } else if (mode === 'two_factor') await onVerify(challenge, code.replace(/\s/g, ''))
+      else if (mode === 'register') {
+        // Backends that require verification before sign-in return no session.
+        if (!await onRegister(name, email, password)) {
+          setMessage(t('We sent a verification link to {email}. Open it, then sign in.', { email }))
+          setMode('login')
+          setPassword('')
+        }
+      } else {
+        await api.post('/auth/forgot-password', { email }, { auth: false })
+        setMessage(t("If an account exists for {email}, we've emailed a link to reset the password.", { email }))
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const titles = { login: 'Welcome back', register: 'Create your account', forgot: 'Reset your password', two_factor: 'Two-factor authentication' }
+  const actions = { login: 'Sign in', register: 'Create account', forgot: 'Send reset link', two_factor: 'Verify' }
+  const subtitles = {
+    forgot: "Enter your account email and we'll send you a reset link.",
+    two_factor: 'Enter the 6-digit code from your authenticator app, or one of your backup codes.',
+  }
+
+  return (
+    <AuthCard title={t(titles[mode])} subtitle={t(subtitles[mode] || 'Shop CCTV products and book professional installation.')}>
+      {notice && <p className="text-amber-400 text-sm mb-4 p-2 rounded border border-amber-500/30 bg-amber-500/10">{notice}</p>}
+      {message && <p className="text-emerald-400 text-sm mb-4 p-2 rounded border border-emerald-500/30 bg-emerald-500/10">{message}</p>}
+      <form onSubmit={submit} className="space-y-3">
+        {mode === 'register' && (
+          <div>
+            <label className="block text-sm text-zinc-400 mb-1">{t('Name')}</label>
+            <input value={name} onChange={e=>setName(e.target.value)} className={inputClass} required />
+          </div>
+        )}
+        {mode === 'two_factor' ? (
+          <div>
+            <label className="block text-sm text-zinc-400 mb-1">{t('Authentication code')}</label>
+            <input value={code} onChange={e=>setCode(e.target.value)} autoComplete="one-time-code" autoFocus className={`${inputClass} tracking-widest`} required />
+          </div>
+        ) : (
+          <div>
+            <label className="block text-sm text-zinc-400 mb-1">{t('Email')}</label>
+            <input type="email" value={email} onChange={e=>setEmail(e.target.value)} className={inputClass} required />
+          </div>
+        )}
+        {(mode === 'login' || mode === 'register') && (
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm text-zinc-400">{t('Password')}</label>
+              {mode === 'login' && <button type="button" onClick={()=>switchMode('forgot')} className="text-xs text-zinc-400 hover:text-zinc-200">{t('Forgot password?')}</button>}
+            </div>
+            <input type="password" value={password} onChange={e=>setPassword(e.target.value)} className={inputClass} required />
+            {mode === 'register' && <PasswordChecklist password={password} />}
+          </div>
+        )}
+        {error && <p className="text-red-400 text-sm">{error}</p>}
+        <button disabled={loading} className="w-full bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-white py-2 rounded mt-2">{t(loading ? 'Please wait...' : actions[mode])}</button>
+      </form>
+      <button onClick={()=>switchMode(mode==='login'?'register':'login')} className="mt-4 text-sm text-zinc-400 hover:text-zinc-200">
+        {t(mode==='login' ? "Don't have an account? Sign up" : mode==='register' ? 'Already have an account? Sign in' : 'Back to sign in')}
+      </button>
+    </AuthCard>
+  )
+}
+
+export function ResetPassword() {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token') || ''
+  const [password, setPassword] = useState('')
+  const [confirm, setConfirm] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [done, setDone] = useState(false)
+
+  const submit = async (e) => {
+    e.preventDefault()
+    const weak = passwordError(password)
+    if (weak) return setError(weak)
+    if (password !== confirm) return setError(t('Passwords do not match'))
+    setError('')
+    setLoading(true)
+    try {
+      await api.post('/auth/reset-password', { token, password }, { auth: false })
+      setDone(true)
+    } catch (err) {
+      setError(err.status === 400 || err.status === 404 ? t('This reset link is invalid or has expired. Request a new one from the sign-in page.') : err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (!token) return (
+    <AuthCard title={t('Reset your password')} subtitle={t('This link is missing its reset token.')}>
+      <Link to="/login" className="text-sm text-emerald-400 hover:text-emerald-300">{t('Back to sign in')}</Link>
+    </AuthCard>
+  )
+  if (done) return (
+    <AuthCard title={t('Password updated')} subtitle={t('You can now sign in with your new password.')}>
+      <Link to="/login" className="text-sm text-emerald-400 hover:text-emerald-300">{t('Sign in')}</Link>
+    </AuthCard>
+  )
+  return (
+    <AuthCard title={t('Choose a new password')}>
+      <form onSubmit={submit} className="space-y-3">
+        <div>
+          <label className="block text-sm text-zinc-400 mb-1">{t('New password')}</label>
+          <input type="password" value={password} onChange={e=>setPassword(e.target.value)} className={inputClass} required />
+          <PasswordChecklist password={password} />
+        </div>
+        <div>
+          <label className="block text-sm text-zinc-400 mb-1">{t('Confirm password')}</label>
+          <input type="password" value={confirm} onChange={e=>setConfirm(e.target.value)} className={inputClass} required />
+        </div>
+        {error && <p className="text-red-400 text-sm">{error}</p>}
+        <button disabled={loading} className="w-full bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-white py-2 rounded mt-2">{loading ? t('Please wait...') : t('Update password')}</button>
+      </form>
+    </AuthCard>
+  )
+}
+
+export function VerifyEmail() {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token') || ''
+  const [state, setState] = useState(token ? 'verifying' : 'invalid')
+
+  useEffect(()=>{
+    if (!token) return
+    api.post('/auth/verify-email', { token }, { auth: false })
+      .then(() => {
+        const { user } = getSession()
+        if (user) updateUser({ ...user, email_verified: true })
+        setState('verified')
+      })
+      .catch(() => setState('invalid'))
+  }, [token])
+
+  const titles = { verifying: 'Verifying your email...', verified: 'Email verified', invalid: 'Verification failed' }
+  return (
+    <AuthCard title={t(titles[state])} subtitle={state === 'invalid' ? t('This link is invalid or has expired. Sign in and request a new one from the banner at the top of the page.') : ''}>
+      {state !== 'verifying' && <Link to="/shop" className="text-sm text-emerald-400 hover:text-emerald-300">{t('Continue to SecureView')}</Link>}
+    </AuthCard>
+  )
+}
+
+// Shown across the dashboard until the signed-in user confirms their email.
+export function VerifyBanner({ user }) {
+  const [sent, setSent] = useState(false)
+  const [error, setError] = useState('')
+  if (!user || user.email_verified !== false) return null
+
+  const resend = async () => {
+    setError('')
+    try {
+      await api.post('/auth/verify-email/resend')
+      setSent(true)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <div className="mb-4 p-3 rounded border border-amber-500/30 bg-amber-500/10 text-sm flex flex-wrap items-center justify-between gap-2 print:hidden">
+      <span className="text-amber-300">{t('Please verify your email address. We sent a link to {email}.', { email: user.email })}</span>
+      {sent ? <span className="text-zinc-400">{t('Sent — check your inbox.')}</span> : <button onClick={resend} className="text-emerald-400 hover:text-emerald-300">{t('Resend link')}</button>}
+      {error && <span className="text-red-400 w-full">{error}</span>}
+    </div>
+  )
+}
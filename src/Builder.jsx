@@ -0,0 +1,135 @@
+import { useEffect, useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { api } from './api'
+import { addToCart } from './cart'
+import { ErrorPanel, toast } from './Feedback'
+import { formatNumber, money, t, tn } from './i18n'
+import { PROPERTY_SIZES, proposeBundle, purchasable, RESOLUTIONS, RETENTION_OPTIONS } from './builder'
+import { inputClass } from './styles'
+
+const BUNDLE_CATEGORIES = ['camera', 'nvr', 'accessory', 'cable']
+
+const choiceClass = (on) => `px-3 py-1.5 rounded border text-sm ${on?'border-emerald-500 bg-zinc-800':'border-zinc-800 bg-zinc-900 hover:border-zinc-700'}`
+
+export default function Builder() {
+  const navigate = useNavigate()
+  const [input, setInput] = useState({ size: 'house', indoor: 2, outdoor: 4, resolution: '4MP', retentionDays: 14 })
+  const [catalog, setCatalog] = useState(null)
+  const [bundle, setBundle] = useState(null)
+  const [install, setInstall] = useState(true)
+  const [error, setError] = useState('')
+  const [catalogError, setCatalogError] = useState('')
+
+  const loadCatalog = () => {
+    setCatalogError('')
+    Promise.all(BUNDLE_CATEGORIES.map(c => api.get(`/products?category=${c}&page_size=200`, { auth: false })))
+      .then(res => setCatalog(Object.fromEntries(res.map((r, i) => [BUNDLE_CATEGORIES[i], purchasable(Array.isArray(r) ? r : r.items)]))))
+      .catch(err => setCatalogError(err.message))
+  }
+  useEffect(loadCatalog, [])
+
+  const set = (key, value) => { setInput(v => ({ ...v, [key]: value })); setBundle(null) }
+  const count = (key) => (e) => set(key, Math.max(0, Math.min(32, parseInt(e.target.value || 0))))
+
+  const propose = () => {
+    if (input.indoor + input.outdoor === 0) return setError(t('Add at least one coverage point.'))
+    setError('')
+    setBundle(proposeBundle(input, catalog))
+  }
+
+  const updateLine = (i, patch) => setBundle(b => ({ ...b, lines: b.lines.map((l, j) => j === i ? { ...l, ...patch } : l) }))
+  const removeLine = (i) => setBundle(b => ({ ...b, lines: b.lines.filter((_, j) => j !== i) }))
+
+  const addBundle = async () => {
+    for (const l of bundle.lines) if (l.qty > 0) await addToCart(l.product, l.qty, l.product.variant)
+    toast(t('Bundle added to cart'), { description: tn(bundle.lines.filter(l => l.qty > 0).length, '{count} product', '{count} products') })
+    if (install) {
+      const params = new URLSearchParams({ service_type: 'installation', indoor: input.indoor, outdoor: input.outdoor })
+      navigate(`/services/book?${params.toString()}`)
+    } else {
+      navigate('/cart')
+    }
+  }
+
+  const total = bundle ? bundle.lines.reduce((s, l) => s + (l.product.price || 0) * l.qty, 0) : 0
+
+  return (
+    <div className="space-y-4 max-w-4xl">
+      <div>
+        <h2 className="text-xl font-semibold">{t('Build your camera system')}</h2>
+        <p className="text-sm text-zinc-400">{t("Tell us about your property and we'll propose cameras, a recorder, storage and cabling that work together.")}</p>
+      </div>
+
+      <div className="p-4 rounded border border-zinc-800 bg-zinc-900 space-y-4">
+        <div>
+          <div className="text-sm text-zinc-400 mb-1">{t('Property')}</div>
+          <div className="flex flex-wrap gap-2">
+            {PROPERTY_SIZES.map(p => <button key={p.id} onClick={()=>set('size', p.id)} className={choiceClass(input.size===p.id)}>{t(p.label)}</button>)}
+          </div>
+        </div>
+        <div className="grid grid-cols-2 gap-3 max-w-sm">
+          <div>
+            <label className="block text-sm text-zinc-400 mb-1">{t('Indoor coverage points')}</label>
+            <input type="number" min="0" max="32" value={input.indoor} onChange={count('indoor')} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm text-zinc-400 mb-1">{t('Outdoor coverage points')}</label>
+            <input type="number" min="0" max="32" value={input.outdoor} onChange={count('outdoor')} className={inputClass} />
+          </div>
+        </div>
+        <div>
+          <div className="text-sm text-zinc-400 mb-1">{t('Camera resolution')}</div>
+          <div className="flex gap-2">
+            {RESOLUTIONS.map(r => <button key={r} onClick={()=>set('resolution', r)} className={choiceClass(input.resolution===r)}>{r}</button>)}
+          </div>
+        </div>
+        <div>
+          <div className="text-sm text-zinc-400 mb-1">{t('Keep recordings for')}</div>
+          <div className="flex gap-2">
+            {RETENTION_OPTIONS.map(d => <button key={d} onClick={()=>set('retentionDays', d)} className={choiceClass(input.retentionDays===d)}>{tn(d, '{count} day', '{count} days')}</button>)}
+          </div>
+        </div>
+        {error && <p className="text-red-400 text-sm">{error}</p>}
+        {catalogError && <ErrorPanel message={catalogError} onRetry={loadCatalog} />}
+        <button onClick={propose} disabled={!catalog} className="px-4 py-2 rounded bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50">{catalog ? t('Propose a system') : t('Loading catalog...')}</button>
+      </div>
+
+      {bundle && (
+        <div className="p-4 rounded border border-zinc-800 bg-zinc-900 space-y-3">
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-sm">
+            <div><div className="text-zinc-400">{t('Recorder')}</div>{tn(bundle.req.channels, '{count} channel', '{count} channels')}</div>
+            <div><div className="text-zinc-400">{t('PoE budget')}</div>{formatNumber(bundle.req.poeWatts)} W</div>
+            <div><div className="text-zinc-400">{t('Storage')}</div>{formatNumber(bundle.req.storageTb)} TB</div>
+            <div><div className="text-zinc-400">{t('Cabling')}</div>{formatNumber(bundle.req.cableMeters)} m</div>
+          </div>
+          <div className="space-y-2">
+            {bundle.lines.map((l, i) => (
+              <div key={i} className="flex flex-wrap items-center gap-2 p-2 border border-zinc-800 rounded">
+                <div className="w-32">
+                  <div className="text-sm font-medium">{l.role}</div>
+                  <div className="text-xs text-zinc-500">{l.note}</div>
+                </div>
+                <select value={l.product._id} onChange={e=>updateLine(i, { product: catalog[l.category].find(p => p._id === e.target.value) })} className="flex-1 min-w-[12rem] bg-zinc-950 border border-zinc-800 rounded px-2 py-1 text-sm">
+                  {catalog[l.category].map(p => <option key={p._id} value={p._id}>{p.name}{p.variant ? ` (${p.variant.name})` : ''} — {money(p.price)}</option>)}
+                </select>
+                <input type="number" min="0" value={l.qty} onChange={e=>updateLine(i, { qty: Math.max(0, parseInt(e.target.value || 0)) })} className="w-16 bg-zinc-950 border border-zinc-800 rounded px-2 py-1 text-sm" />
+                <div className="w-24 text-right text-sm">{money((l.product.price||0) * l.qty)}</div>
+                <button onClick={()=>removeLine(i)} className="text-red-400 text-sm">{t('Remove')}</button>
+              </div>
+            ))}
+            {bundle.lines.length===0 && <p className="text-zinc-500 text-sm">{t('No matching products are in the catalog.')} <Link to="/shop" className="text-emerald-400">{t('Browse the shop')}</Link></p>}
+          </div>
+          <div className="flex flex-wrap items-center justify-between gap-3 pt-2 border-t border-zinc-800">
+            <label className="flex items-center gap-2 text-sm text-zinc-400">
+              <input type="checkbox" checked={install} onChange={e=>setInstall(e.target.checked)} /> {t('Book professional installation')}
+            </label>
+            <div className="flex items-center gap-3">
+              <span className="font-semibold">{money(total)}</span>
+              <button onClick={addBundle} disabled={bundle.lines.length===0} className="px-4 py-2 rounded bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50">{t('Add bundle to cart')}</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
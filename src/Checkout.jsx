@@ -0,0 +1,305 @@
+import { useEffect, useState } from 'react'
+import { Link, Navigate, useNavigate, useParams } from 'react-router-dom'
+import { api } from './api'
+import { clearCart, lineKey, useCart, validateCart } from './cart'
+import { calculateTotals, DELIVERY_METHODS, deliveryFee, PRICING, regionFor } from './pricing'
+import { BASE_CURRENCY, currentRegion, displayCurrency, money, t } from './i18n'
+import { ErrorPanel, Skeleton, toast } from './Feedback'
+import { STATUS_LABELS } from './Orders'
+import { inputClass } from './styles'
+
+const STEPS = ['Address', 'Delivery', 'Review']
+
+export const EMPTY_ADDRESS = { full_name:'', phone:'', line1:'', line2:'', city:'', state:'', postal_code:'', country:'' }
+
+const ADDRESS_FIELDS = [
+  ['full_name', 'Full name', true],
+  ['phone', 'Phone', true],
+  ['line1', 'Address line 1', true],
+  ['line2', 'Address line 2', false],
+  ['city', 'City', true],
+  ['state', 'State / region', true],
+  ['postal_code', 'Postal code', true],
+  ['country', 'Country', true],
+]
+
+export function validateAddress(a) {
+  const errors = {}
+  for (const [key, label, required] of ADDRESS_FIELDS) {
+    if (required && !a[key]?.trim()) errors[key] = t('{field} is required', { field: t(label) })
+  }
+  if (a.phone && !/^[+\d][\d\s().-]{6,}$/.test(a.phone.trim())) errors.phone = t('Enter a valid phone number')
+  if (a.postal_code && !/^[A-Za-z0-9][A-Za-z0-9 -]{1,9}$/.test(a.postal_code.trim())) errors.postal_code = t('Enter a valid postal code')
+  return errors
+}
+
+export function formatAddress(a) {
+  if (!a) return ''
+  if (typeof a === 'string') return a
+  return [a.full_name, a.line1, a.line2, [a.city, a.state, a.postal_code].filter(Boolean).join(' '), a.country].filter(Boolean).join(', ')
+}
+
+export function payOrder(order) {
+  return api.post('/payments/checkout', { amount: order.total, currency: BASE_CURRENCY, description: `Order ${order._id}`, order_id: order._id })
+}
+
+export function AddressFields({ address, errors, onChange }) {
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+      {ADDRESS_FIELDS.map(([key, label, required]) => (
+        <div key={key} className={key==='line1' || key==='line2' ? 'sm:col-span-2' : ''}>
+          <label className="block text-sm text-zinc-400 mb-1">{required ? t(label) : t('{field} (optional)', { field: t(label) })}</label>
+          <input value={address[key] || ''} onChange={e=>onChange(key, e.target.value)} className={inputClass} />
+          {errors[key] && <p className="text-red-400 text-xs mt-1">{errors[key]}</p>}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export function AddressStep({ address, setAddress, onNext }) {
+  const [saved, setSaved] = useState([])
+  const [save, setSave] = useState(false)
+  const [errors, setErrors] = useState({})
+  const [error, setError] = useState('')
+
+  useEffect(()=>{ api.get('/addresses').then(setSaved).catch(() => setSaved([])) }, [])
+
+  const next = async () => {
+    const errs = validateAddress(address)
+    setErrors(errs)
+    if (Object.keys(errs).length) return
+    setError('')
+    if (save) {
+      try {
+        await api.post('/addresses', address)
+      } catch (err) {
+        setError(t('Could not save address: {error}', { error: err.message }))
+        return
+      }
+    }
+    onNext()
+  }
+
+  return (
+    <div className="space-y-3">
+      {saved.length > 0 && (
+        <div className="space-y-2">
+          <div className="text-sm text-zinc-400">{t('Saved addresses')}</div>
+          {saved.map(a => (
+            <button key={a._id} onClick={()=>{ setAddress({ ...EMPTY_ADDRESS, ...a }); setErrors({}) }} className={`w-full text-left p-3 rounded border text-sm ${address._id===a._id?'border-emerald-500 bg-zinc-800':'border-zinc-800 hover:border-zinc-700'}`}>
+              {formatAddress(a)}
+            </button>
+          ))}
+        </div>
+      )}
+      <AddressFields address={address} errors={errors} onChange={(key, value)=>setAddress(v=>({ ...v, _id: undefined, [key]: value }))} />
+      {!address._id && (
+        <label className="flex items-center gap-2 text-sm text-zinc-400">
+          <input type="checkbox" checked={save} onChange={e=>setSave(e.target.checked)} /> {t('Save this address for next time')}
+        </label>
+      )}
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      <button onClick={next} className="px-4 py-2 rounded bg-emerald-600 hover:bg-emerald-500">{t('Continue')}</button>
+    </div>
+  )
+}
+
+function DeliveryStep({ delivery, setDelivery, subtotal, onBack, onNext }) {
+  return (
+    <div className="space-y-3">
+      {DELIVERY_METHODS.map(m => {
+        const shipping = deliveryFee(subtotal, m.id)
+        return (
+          <label key={m.id} className={`flex items-start gap-3 p-3 rounded border cursor-pointer ${delivery===m.id?'border-emerald-500 bg-zinc-800':'border-zinc-800 hover:border-zinc-700'}`}>
+            <input type="radio" name="delivery" checked={delivery===m.id} onChange={()=>setDelivery(m.id)} className="mt-1" />
+            <div className="flex-1">
+              <div className="font-medium">{t(m.label)}</div>
+              <div className="text-sm text-zinc-400">{t(m.description, { amount: money(PRICING.freeShippingOver) })}</div>
+            </div>
+            <div className="text-sm">{shipping === 0 ? t('Free') : money(shipping)}</div>
+          </label>
+        )
+      })}
+      <div className="flex gap-2">
+        <button onClick={onBack} className="px-4 py-2 rounded bg-zinc-800 hover:bg-zinc-700">{t('Back')}</button>
+        <button onClick={onNext} className="px-4 py-2 rounded bg-emerald-600 hover:bg-emerald-500">{t('Continue')}</button>
+      </div>
+    </div>
+  )
+}
+
+function Summary({ totals, delivery }) {
+  return (
+    <div className="p-4 border border-zinc-800 rounded bg-zinc-900 h-fit">
+      <div className="font-medium mb-2">{t('Order summary')}</div>
+      <div className="text-sm flex justify-between"><span>{t('Subtotal')}</span><span>{money(totals.subtotal)}</span></div>
+      <div className="text-sm flex justify-between text-zinc-400"><span>{t(delivery==='installation' ? 'Installation' : 'Shipping')}</span><span>{money(totals.shipping)}</span></div>
+      <div className="text-sm flex justify-between text-zinc-400"><span>{t(totals.taxLabel)}</span><span>{money(totals.tax)}</span></div>
+      <div className="text-sm flex justify-between mt-1 pt-2 border-t border-zinc-800"><span>{t('Total')}</span><span className="font-semibold">{money(totals.total)}</span></div>
+      {displayCurrency() !== BASE_CURRENCY && <div className="text-xs text-zinc-500 mt-2">{t('Prices converted from {base} at current rates; you are charged in {base}.', { base: BASE_CURRENCY })}</div>}
+    </div>
+  )
+}
+
+function PaymentFailed({ order, error, onRetry, retrying }) {
+  return (
+    <div className="p-4 rounded border border-amber-500/30 bg-amber-500/10 space-y-2">
+      <div className="font-medium">{t('Order {id} was created but payment did not go through.', { id: order._id })}</div>
+      <p className="text-sm text-zinc-300">{error}</p>
+      <p className="text-sm text-zinc-400">{t('Your order is saved. You can retry the payment now or later from your orders.')} <Link to="/orders" className="text-emerald-400 hover:text-emerald-300">{t('View orders')}</Link></p>
+      <button onClick={onRetry} disabled={retrying} className="px-4 py-2 rounded bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50">{retrying ? t('Please wait...') : t('Retry payment')}</button>
+    </div>
+  )
+}
+
+export default function Checkout() {
+  const items = useCart()
+  const navigate = useNavigate()
+  const [step, setStep] = useState(0)
+  const [address, setAddress] = useState(EMPTY_ADDRESS)
+  const [delivery, setDelivery] = useState('shipping')
+  const [error, setError] = useState('')
+  const [placing, setPlacing] = useState(false)
+  const [order, setOrder] = useState(null)
+
+  // Tax follows the shipping address once a recognised country is entered.
+  const totals = calculateTotals(items, delivery, regionFor(address.country) || currentRegion())
+
+  const pay = async (order) => {
+    setPlacing(true)
+    setError('')
+    try {
+      await payOrder(order)
+      toast(t('Order placed'), { description: t('Order {id} is paid and confirmed.', { id: order._id }) })
+      navigate(`/orders/${order._id}`)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setPlacing(false)
+    }
+  }
+
+  const placeOrder = async () => {
+    setError('')
+    setPlacing(true)
+    let created
+    try {
+      const { changed, blocking } = await validateCart()
+      if (changed || blocking) throw new Error(t('Some items in your cart changed. Please review your cart before ordering.'))
+      const { _id, ...shippingAddress } = address
+      created = await api.post('/orders', {
+        items: items.map(i=>({ product_id: i.product_id, variant: i.variant, qty: i.qty })),
+        address: shippingAddress,
+        delivery_method: delivery,
+      })
+      // The order now exists server-side; a failed payment is retried against it rather than re-ordering.
+      setOrder(created)
+      await clearCart()
+    } catch (err) {
+      setError(t('Order failed: {error}', { error: err.message }))
+      setPlacing(false)
+      return
+    }
+    // The server prices the order; if that differs from the estimate, show it before charging.
+    if (Math.abs(created.total - totals.total) >= 0.01) return setPlacing(false)
+    await pay(created)
+  }
+
+  if (order) {
+    const charged = { subtotal: order.subtotal, shipping: order.shipping, tax: order.tax, total: order.total, taxLabel: order.tax_label || totals.taxLabel }
+    return (
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="md:col-span-2">
+          {error ? <PaymentFailed order={order} error={error} onRetry={()=>pay(order)} retrying={placing} />
+            : placing ? <div className="text-zinc-400">{t('Processing payment...')}</div>
+            : (
+              <div className="p-4 rounded border border-zinc-800 bg-zinc-900 space-y-2">
+                <div className="font-medium">{t('Order {id} was created with an updated total.', { id: order._id })}</div>
+                <p className="text-sm text-zinc-400">{t('Shipping or tax changed since your cart was priced. Check the summary, then pay to confirm the order.')}</p>
+                <button onClick={()=>pay(order)} className="px-4 py-2 rounded bg-emerald-600 hover:bg-emerald-500">{t('Pay {amount}', { amount: money(order.total) })}</button>
+              </div>
+            )}
+        </div>
+        <Summary totals={charged} delivery={order.delivery_method || delivery} />
+      </div>
+    )
+  }
+  if (items.length === 0) return <Navigate to="/cart" replace />
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className="md:col-span-2 space-y-4">
+        <div className="flex gap-2 text-sm">
+          {STEPS.map((s, i) => (
+            <div key={s} className={`px-3 py-1.5 rounded border ${i===step?'bg-zinc-800 border-zinc-600':'bg-zinc-900 border-zinc-800 text-zinc-500'}`}>{i+1}. {t(s)}</div>
+          ))}
+        </div>
+        {step===0 && <AddressStep address={address} setAddress={setAddress} onNext={()=>setStep(1)} />}
+        {step===1 && <DeliveryStep delivery={delivery} setDelivery={setDelivery} subtotal={totals.subtotal} onBack={()=>setStep(0)} onNext={()=>setStep(2)} />}
+        {step===2 && (
+          <div className="space-y-3">
+            <div className="p-3 rounded border border-zinc-800 bg-zinc-900">
+              <div className="flex justify-between text-sm"><span className="text-zinc-400">{t(delivery==='installation' ? 'Installation address' : 'Ship to')}</span><button onClick={()=>setStep(0)} className="text-emerald-400">{t('Edit')}</button></div>
+              <div className="text-sm">{formatAddress(address)}</div>
+              <div className="text-sm text-zinc-400">{address.phone}</div>
+            </div>
+            <div className="p-3 rounded border border-zinc-800 bg-zinc-900">
+              <div className="flex justify-between text-sm"><span className="text-zinc-400">{t('Delivery')}</span><button onClick={()=>setStep(1)} className="text-emerald-400">{t('Edit')}</button></div>
+              <div className="text-sm">{t(DELIVERY_METHODS.find(m=>m.id===delivery)?.label)}</div>
+            </div>
+            <div className="space-y-2">
+              {items.map(i => (
+                <div key={lineKey(i)} className="flex justify-between text-sm p-2 border-b border-zinc-800">
+                  <span>{i.name}{i.variant ? ` (${i.variant})` : ''} × {i.qty}</span><span>{money(i.price*i.qty)}</span>
+                </div>
+              ))}
+            </div>
+            {error && <p className="text-red-400 text-sm">{error}</p>}
+            <div className="flex gap-2">
+              <button onClick={()=>setStep(1)} className="px-4 py-2 rounded bg-zinc-800 hover:bg-zinc-700">{t('Back')}</button>
+              <button onClick={placeOrder} disabled={placing} className="px-4 py-2 rounded bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50">{placing ? t('Please wait...') : t('Place order and pay {amount}', { amount: money(totals.total) })}</button>
+            </div>
+          </div>
+        )}
+        <Link to="/cart" className="block text-sm text-zinc-400 hover:text-zinc-200">← {t('Back to cart')}</Link>
+      </div>
+      <Summary totals={totals} delivery={delivery} />
+    </div>
+  )
+}
+
+// Pays for an order that was created earlier but never paid.
+export function RetryPayment() {
+  const { orderId } = useParams()
+  const navigate = useNavigate()
+  const [order, setOrder] = useState(null)
+  const [error, setError] = useState('')
+  const [paying, setPaying] = useState(false)
+
+  const load = () => {
+    setError('')
+    api.get(`/orders/${orderId}`).then(setOrder).catch(err => setError(err.message))
+  }
+  useEffect(load, [orderId])
+
+  const retry = async () => {
+    setPaying(true)
+    setError('')
+    try {
+      await payOrder(order)
+      toast(t('Payment successful'), { description: t('Order {id} is paid.', { id: order._id }) })
+      navigate(`/orders/${order._id}`)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setPaying(false)
+    }
+  }
+
+  if (!order) return error ? <ErrorPanel message={error} onRetry={load} /> : <Skeleton className="h-32" />
+  if (order.status !== 'pending') return (
+    <div className="p-4 rounded border border-zinc-800 bg-zinc-900 text-sm text-zinc-400">{t('Order {id}: {status}. No payment is due.', { id: order._id, status: t(STATUS_LABELS[order.status] || order.status) })}</div>
+  )
+  return <PaymentFailed order={order} error={error || t('Amount due: {amount}', { amount: money(order.total, BASE_CURRENCY) })} onRetry={retry} retrying={paying} />
+}
@@ -0,0 +1,213 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { api } from './api'
+import { getPlan } from './plans'
+import { confirmAction, ErrorPanel, ListSkeleton, toast } from './Feedback'
+import { useEventRefresh } from './events'
+import { formatDate, formatNumber, locale, t, tn } from './i18n'
+import { inputClass } from './styles'
+
+// Device status is refreshed in the background while the page is open.
+const POLL_MS = 30000
+
+const RECORDING_LABELS = {
+  continuous: 'Recording continuously',
+  motion: 'Recording on motion',
+  off: 'Not recording',
+}
+
+function lastSeen(d) {
+  if (!d) return t('never')
+  const minutes = Math.round((Date.now() - new Date(d)) / 60000)
+  if (minutes < 2) return t('just now')
+  const ago = new Intl.RelativeTimeFormat(locale(), { style: 'short' })
+  if (minutes < 60) return ago.format(-minutes, 'minute')
+  if (minutes < 48 * 60) return ago.format(-Math.round(minutes / 60), 'hour')
+  return formatDate(d)
+}
+
+const storage = (gb) => gb >= 1000
+  ? `${formatNumber(gb / 1000, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} TB`
+  : `${formatNumber(gb, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} GB`
+
+function groupBySite(devices) {
+  const sites = new Map()
+  for (const d of devices) {
+    const key = d.site_id || d.site_name || ''
+    if (!sites.has(key)) sites.set(key, { id: key, name: d.site_name || t('Unassigned'), devices: [] })
+    sites.get(key).devices.push(d)
+  }
+  return [...sites.values()].sort((a, b) => a.name.localeCompare(b.name))
+}
+
+function PlanLimits({ plan, count }) {
+  const full = count >= plan.cameras
+  return (
+    <div className="p-4 rounded border border-zinc-800 bg-zinc-900 flex flex-wrap items-center justify-between gap-3">
+      <div className="space-y-1">
+        <div className="text-sm text-zinc-400">{t('{plan} plan', { plan: plan.name })}</div>
+        <div className={`text-lg ${full ? 'text-amber-400' : ''}`}>{t('{count} of {total} cameras', { count: formatNumber(count), total: formatNumber(plan.cameras) })}</div>
+        <div className="text-xs text-zinc-500">
+          {tn(plan.retentionDays, '{count} day cloud retention', '{count} days cloud retention')} • {t(plan.remoteViewing ? 'Remote viewing included' : 'No remote viewing')}
+        </div>
+      </div>
+      <div className="w-full sm:w-48">
+        <div className="h-2 rounded bg-zinc-950 overflow-hidden">
+          <div className={`h-full ${full ? 'bg-amber-500' : 'bg-emerald-600'}`} style={{ width: `${Math.min(100, (count / plan.cameras) * 100)}%` }} />
+        </div>
+        {full && <Link to="/account/plans" className="block mt-1 text-xs text-emerald-400 hover:text-emerald-300">{t('Upgrade to add more cameras')}</Link>}
+      </div>
+    </div>
+  )
+}
+
+function RegisterDevice({ sites, disabled, onRegistered }) {
+  const [open, setOpen] = useState(false)
+  const [form, setForm] = useState({ serial: '', name: '', location: '', site_name: '' })
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const set = (key) => (e) => setForm(f => ({ ...f, [key]: e.target.value }))
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setSaving(true)
+    try {
+      const device = await api.post('/devices', { ...form, serial: form.serial.trim().toUpperCase() })
+      toast(t('Camera registered'), { description: t('{camera} at {site}', { camera: device.name, site: device.site_name || t('your site') }) })
+      setForm({ serial: '', name: '', location: '', site_name: '' })
+      setOpen(false)
+      await onRegistered()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!open) return (
+    <button onClick={()=>setOpen(true)} disabled={disabled} className="px-3 py-1.5 rounded bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50">{t('Register a camera')}</button>
+  )
+  return (
+    <form onSubmit={submit} className="p-4 rounded border border-zinc-800 bg-zinc-900 space-y-3 max-w-xl">
+      <div className="font-medium">{t('Register a camera')}</div>
+      <div>
+        <label className="block text-sm text-zinc-400 mb-1">{t('Serial number')}</label>
+        <input value={form.serial} onChange={set('serial')} placeholder="SV-XXXX-XXXX" className={`${inputClass} font-mono uppercase`} required />
+        <p className="text-xs text-zinc-500 mt-1">{t('Printed on the label under the camera and on the box.')}</p>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <label className="block text-sm text-zinc-400 mb-1">{t('Name')}</label>
+          <input value={form.name} onChange={set('name')} placeholder={t('Front door')} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm text-zinc-400 mb-1">{t('Location')}</label>
+          <input value={form.location} onChange={set('location')} placeholder={t('Porch')} className={inputClass} />
+        </div>
+      </div>
+      <div>
+        <label className="block text-sm text-zinc-400 mb-1">{t('Site')}</label>
+        <input value={form.site_name} onChange={set('site_name')} list="device-sites" placeholder={t('Home')} className={inputClass} />
+        <datalist id="device-sites">{sites.map(s => <option key={s.id} value={s.name} />)}</datalist>
+      </div>
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      <div className="flex gap-2">
+        <button type="button" onClick={()=>setOpen(false)} className="px-4 py-2 rounded bg-zinc-800 hover:bg-zinc-700">{t('Cancel')}</button>
+        <button disabled={saving} className="px-4 py-2 rounded bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50">{saving ? t('Please wait...') : t('Register')}</button>
+      </div>
+    </form>
+  )
+}
+
+function DeviceCard({ device, remoteViewing, onRemove }) {
+  const online = device.status === 'online'
+  return (
+    <div className="p-3 rounded border border-zinc-800 bg-zinc-900 space-y-2">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <div className="font-medium">{device.name}</div>
+          <div className="text-xs text-zinc-500">{device.location}{device.location && ' • '}{device.model}</div>
+        </div>
+        <span className={`text-xs px-2 py-0.5 rounded border ${online ? 'text-emerald-400 border-emerald-500/30' : 'text-red-400 border-red-500/30'}`}>{t(online ? 'Online' : 'Offline')}</span>
+      </div>
+      <div className="text-xs text-zinc-400 space-y-0.5">
+        <div>{t(online ? RECORDING_LABELS[device.recording] || device.recording : 'Not recording')}</div>
+        <div>{t('Last seen {when}', { when: lastSeen(device.last_seen_at) })}</div>
+        <div>{t('{size} stored', { size: storage(device.storage_used_gb) })}</div>
+        <div className="font-mono text-zinc-500">{device.serial}</div>
+      </div>
+      <div className="flex gap-3 text-xs">
+        {remoteViewing && <Link to={`/cameras/${device._id}/playback`} className="text-emerald-400 hover:text-emerald-300">{t('Recordings')}</Link>}
+        <button onClick={()=>onRemove(device)} className="text-red-400">{t('Remove')}</button>
+      </div>
+    </div>
+  )
+}
+
+export default function Devices() {
+  const [devices, setDevices] = useState(null)
+  const [sub, setSub] = useState(null)
+  const [error, setError] = useState('')
+
+  const load = async () => {
+    try {
+      const [d, s] = await Promise.all([api.get('/devices'), api.get('/subscription')])
+      setDevices(d)
+      setSub(s)
+      setError('')
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+  useEffect(()=>{
+    load()
+    const timer = setInterval(load, POLL_MS)
+    return () => clearInterval(timer)
+  }, [])
+  useEventRefresh(['camera_offline', 'tamper', 'storage_full'], load)
+
+  const remove = async (device) => {
+    if (!await confirmAction(t('Remove {camera}?', { camera: device.name }), { description: t('It stops recording to the cloud and frees a camera slot on your plan. Existing recordings are kept until they expire.'), confirmLabel: t('Remove'), destructive: true })) return
+    try {
+      await api.del(`/devices/${device._id}`)
+      toast(t('Camera removed'))
+      await load()
+    } catch (err) {
+      toast(t('Could not remove camera'), { type: 'error', description: err.message })
+    }
+  }
+
+  if (!devices) return error ? <ErrorPanel message={error} onRetry={load} /> : <ListSkeleton rows={3} className="h-24" />
+
+  const plan = getPlan(sub?.plan)
+  const sites = groupBySite(devices)
+  const online = devices.filter(d => d.status === 'online').length
+
+  return (
+    <div className="space-y-4">
+      <PlanLimits plan={plan} count={devices.length} />
+      {error && <p className="text-red-400 text-sm">{t('Could not refresh: {error}', { error })}</p>}
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm text-zinc-400">{t('{count} of {total} online', { count: formatNumber(online), total: formatNumber(devices.length) })}</div>
+        <div className="flex flex-wrap items-start gap-2">
+          {plan.remoteViewing && devices.length > 0 && <Link to="/cameras/live" className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700">{t('Live view')}</Link>}
+          <RegisterDevice sites={sites} disabled={devices.length >= plan.cameras} onRegistered={load} />
+        </div>
+      </div>
+      {sites.map(site => (
+        <div key={site.id} className="space-y-2">
+          <div className="text-sm font-medium">{site.name} <span className="text-zinc-500">({formatNumber(site.devices.length)})</span></div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+            {site.devices.map(d => <DeviceCard key={d._id} device={d} remoteViewing={plan.remoteViewing} onRemove={remove} />)}
+          </div>
+        </div>
+      ))}
+      {devices.length===0 && (
+        <div className="p-6 rounded border border-zinc-800 bg-zinc-900 text-sm text-zinc-400">
+          {t('No cameras registered yet. Register one by serial number, or build a system first.')} <Link to="/builder" className="text-emerald-400 hover:text-emerald-300">{t('Build a system')}</Link>
+        </div>
+      )}
+    </div>
+  )
+}
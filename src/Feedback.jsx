@@ -0,0 +1,106 @@
+import { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import * as Toast from '@radix-ui/react-toast'
+import * as Dialog from '@radix-ui/react-dialog'
+import { t } from './i18n'
+
+const toastListeners = new Set()
+const confirmListeners = new Set()
+let nextId = 0
+
+const TOAST_STYLES = {
+  success: 'border-emerald-500/40',
+  error: 'border-red-500/50',
+  info: 'border-zinc-700',
+}
+
+// Shows a toast from anywhere. `action` is an optional { label, to } link.
+export function toast(title, { type = 'success', description, action } = {}) {
+  const t = { id: ++nextId, title, type, description, action }
+  toastListeners.forEach(fn => fn(t))
+}
+
+// Dialog-based replacement for window.confirm; resolves to true when confirmed.
+export function confirmAction(title, { description, confirmLabel = t('Confirm'), destructive = false } = {}) {
+  return new Promise(resolve => {
+    if (!confirmListeners.size) return resolve(window.confirm(title))
+    confirmListeners.forEach(fn => fn({ title, description, confirmLabel, destructive, resolve }))
+  })
+}
+
+export function Skeleton({ className = '' }) {
+  return <div className={`animate-pulse rounded bg-zinc-800/70 ${className}`} />
+}
+
+export function ListSkeleton({ rows = 3, className = 'h-16' }) {
+  return (
+    <div className="space-y-2" aria-busy="true">
+      {Array.from({ length: rows }, (_, i) => <Skeleton key={i} className={className} />)}
+    </div>
+  )
+}
+
+export function ErrorPanel({ message, onRetry }) {
+  return (
+    <div className="p-4 rounded border border-red-500/30 bg-red-500/10 flex flex-wrap items-center justify-between gap-3" role="alert">
+      <div className="text-sm text-red-300">{message}</div>
+      {onRetry && <button onClick={onRetry} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">{t('Try again')}</button>}
+    </div>
+  )
+}
+
+// Mounted once near the root; renders queued toasts and the pending confirmation.
+export function FeedbackHost() {
+  const navigate = useNavigate()
+  const [toasts, setToasts] = useState([])
+  const [pending, setPending] = useState(null)
+
+  useEffect(()=>{
+    const add = (t) => setToasts(v => [...v.slice(-3), t])
+    // A newer confirmation replaces the open one, which counts as cancelled.
+    const ask = (next) => setPending(prev => { prev?.resolve(false); return next })
+    toastListeners.add(add)
+    confirmListeners.add(ask)
+    return () => { toastListeners.delete(add); confirmListeners.delete(ask) }
+  }, [])
+
+  const dismiss = (id) => setToasts(v => v.filter(t => t.id !== id))
+  const settle = (ok) => {
+    pending?.resolve(ok)
+    setPending(null)
+  }
+  // Destructive confirmations open with Cancel focused so Enter can't confirm them by accident.
+  const focusCancel = !!pending?.destructive
+
+  return (
+    <Toast.Provider swipeDirection="right">
+      {toasts.map(item => (
+        <Toast.Root key={item.id} duration={item.type === 'error' ? 8000 : 4000} onOpenChange={open => { if (!open) dismiss(item.id) }} className={`p-3 rounded border bg-zinc-900 text-zinc-100 shadow-xl flex items-start gap-3 animate-fade-in ${TOAST_STYLES[item.type]}`}>
+          <div className="flex-1">
+            <Toast.Title className={`text-sm font-medium ${item.type === 'error' ? 'text-red-300' : ''}`}>{item.title}</Toast.Title>
+            {item.description && <Toast.Description className="text-xs text-zinc-400 mt-0.5">{item.description}</Toast.Description>}
+          </div>
+          {item.action && (
+            <Toast.Action altText={item.action.label} onClick={()=>navigate(item.action.to)} className="text-sm text-emerald-400 hover:text-emerald-300 shrink-0">{item.action.label}</Toast.Action>
+          )}
+          <Toast.Close aria-label={t('Dismiss')} className="text-zinc-500 hover:text-zinc-300">✕</Toast.Close>
+        </Toast.Root>
+      ))}
+      <Toast.Viewport className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 w-80 max-w-[calc(100vw-2rem)] outline-none print:hidden" />
+
+      <Dialog.Root open={!!pending} onOpenChange={open => { if (!open) settle(false) }}>
+        <Dialog.Portal>
+          <Dialog.Overlay className="fixed inset-0 bg-black/60 z-40" />
+          <Dialog.Content className="fixed left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-full max-w-sm bg-zinc-900 border border-zinc-800 rounded-xl p-5 text-zinc-100 z-50 space-y-3">
+            <Dialog.Title className="font-semibold">{pending?.title}</Dialog.Title>
+            <Dialog.Description className={pending?.description ? 'text-sm text-zinc-400' : 'sr-only'}>{pending?.description || pending?.title}</Dialog.Description>
+            <div className="flex justify-end gap-2 pt-2">
+              <button onClick={()=>settle(false)} autoFocus={focusCancel} className="px-4 py-2 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">{t('Cancel')}</button>
+              <button onClick={()=>settle(true)} autoFocus={!focusCancel} className={`px-4 py-2 rounded text-sm ${pending?.destructive ? 'bg-red-600 hover:bg-red-500' : 'bg-emerald-600 hover:bg-emerald-500'}`}>{pending?.confirmLabel}</button>
+            </div>
+          </Dialog.Content>
+        </Dialog.Portal>
+      </Dialog.Root>
+    </Toast.Provider>
+  )
+}
@@ -0,0 +1,19 @@
+import { CURRENCIES, LANGUAGES, setCurrency, setLanguage, t, useLocale } from './i18n'
+
+const selectClass = 'bg-zinc-900 border border-zinc-800 rounded px-2 py-1 text-sm text-zinc-300'
+
+export default function LocaleSwitcher({ currency = true }) {
+  const current = useLocale()
+  return (
+    <div className="flex items-center gap-2">
+      <select value={current.language} onChange={e=>setLanguage(e.target.value)} aria-label={t('Language')} className={selectClass}>
+        {LANGUAGES.map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+      </select>
+      {currency && (
+        <select value={current.currency} onChange={e=>setCurrency(e.target.value)} aria-label={t('Currency')} className={selectClass}>
+          {CURRENCIES.map(c => <option key={c} value={c} disabled={!current.rates[c]}>{c}</option>)}
+        </select>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react'
+import { getSession, onSessionChange } from './api'
+import { replayQueue, useOnline, useQueue } from './offline'
+import { toast } from './Feedback'
+import { t, tn } from './i18n'
+
+// Shows connection state and sends queued changes once the connection returns.
+export default function OfflineBanner() {
+  const online = useOnline()
+  const queue = useQueue()
+  const [sending, setSending] = useState(false)
+  const [signedIn, setSignedIn] = useState(!!getSession().token)
+
+  const send = async () => {
+    setSending(true)
+    const { sent, failed } = await replayQueue()
+    setSending(false)
+    if (sent.length) toast(tn(sent.length, 'Sent {count} change made offline', 'Sent {count} changes made offline'), { description: sent.map(e => e.label).join(', ') })
+    for (const e of failed) toast(t('{change} could not be sent', { change: e.label }), { type: 'error', description: e.error })
+  }
+  useEffect(() => onSessionChange(s => setSignedIn(!!s.token)), [])
+  useEffect(()=>{ if (online && signedIn && queue.length) send() }, [online, signedIn])
+
+  if (online && !queue.length) return null
+  return (
+    <div className={`mb-4 p-3 rounded border text-sm print:hidden ${online ? 'border-zinc-700 bg-zinc-900 text-zinc-300' : 'border-amber-500/30 bg-amber-500/10 text-amber-200'}`} role="status">
+      {!online && <>{t("You're offline. The catalog, your orders and bookings show the last saved copy and are read-only.")}{queue.length > 0 && ` ${tn(queue.length, '{count} change will be sent when you reconnect.', '{count} changes will be sent when you reconnect.')}`}</>}
+      {online && !signedIn && tn(queue.length, '{count} change made offline will be sent after you sign in.', '{count} changes made offline will be sent after you sign in.')}
+      {online && signedIn && (sending ? tn(queue.length, 'Sending {count} change made offline...', 'Sending {count} changes made offline...') : (
+        <span className="flex flex-wrap items-center justify-between gap-2">
+          {tn(queue.length, '{count} change made offline could not be sent yet.', '{count} changes made offline could not be sent yet.')}
+          <button onClick={send} className="px-3 py-1 rounded bg-zinc-800 hover:bg-zinc-700">{t('Try again')}</button>
+        </span>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,197 @@
+import { useEffect, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { api } from './api'
+import { downloadFile } from './csv'
+import { formatAddress } from './Checkout'
+import { ErrorPanel, ListSkeleton, Skeleton } from './Feedback'
+import { useEventRefresh } from './events'
+import { BASE_CURRENCY, formatDateTime, formatNumber, money as formatMoney, t, tn } from './i18n'
+
+// Statuses an admin may move an order to from each status; completed and cancelled are final.
+export const ORDER_TRANSITIONS = {
+  pending: ['paid','cancelled'],
+  paid: ['processing','cancelled'],
+  processing: ['shipped','cancelled'],
+  shipped: ['completed'],
+  completed: [],
+  cancelled: [],
+}
+
+const TIMELINE = ['pending','paid','processing','shipped','completed']
+
+export const STATUS_LABELS = {
+  pending: 'Awaiting payment',
+  paid: 'Paid',
+  processing: 'Processing',
+  shipped: 'Shipped',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+}
+
+// Orders are charged and shown in the base currency.
+const money = (n) => formatMoney(n, BASE_CURRENCY)
+function isPaid(o) {
+  if (o.payment_status) return o.payment_status === 'paid'
+  return o.status !== 'pending' && o.status !== 'cancelled'
+}
+
+function StatusBadge({ status }) {
+  const color = status === 'cancelled' ? 'text-red-400 border-red-500/30' : status === 'completed' ? 'text-emerald-400 border-emerald-500/30' : status === 'pending' ? 'text-amber-400 border-amber-500/30' : 'text-zinc-300 border-zinc-700'
+  return <span className={`text-xs px-2 py-0.5 rounded border ${color}`}>{t(STATUS_LABELS[status] || status)}</span>
+}
+
+// Timestamps come from status_history when the backend records it.
+function StatusTimeline({ order }) {
+  const history = Object.fromEntries((order.status_history || []).map(h => [h.status, h.at]))
+  if (!history.pending) history.pending = order.created_at
+  const reached = TIMELINE.indexOf(order.status)
+  const cancelled = order.status === 'cancelled'
+
+  return (
+    <ol className="space-y-3">
+      {TIMELINE.map((s, i) => {
+        const done = cancelled ? !!history[s] : i <= reached
+        return (
+          <li key={s} className="flex items-start gap-3">
+            <span className={`mt-1 w-3 h-3 rounded-full border ${done ? 'bg-emerald-500 border-emerald-500' : 'border-zinc-700'}`} />
+            <div>
+              <div className={`text-sm ${done ? '' : 'text-zinc-500'}`}>{t(STATUS_LABELS[s])}</div>
+              {history[s] && <div className="text-xs text-zinc-500">{formatDateTime(history[s])}</div>}
+            </div>
+          </li>
+        )
+      })}
+      {cancelled && (
+        <li className="flex items-start gap-3">
+          <span className="mt-1 w-3 h-3 rounded-full bg-red-500 border border-red-500" />
+          <div>
+            <div className="text-sm text-red-400">{t(STATUS_LABELS.cancelled)}</div>
+            {history.cancelled && <div className="text-xs text-zinc-500">{formatDateTime(history.cancelled)}</div>}
+          </div>
+        </li>
+      )}
+    </ol>
+  )
+}
+
+function invoiceHtml(o) {
+  const esc = (v) => String(v ?? '').replace(/[&<>"]/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;' })[c])
+  const rows = o.items.map(i => `<tr><td>${esc(i.name || i.product_id)}${i.variant ? ` (${esc(i.variant)})` : ''}</td><td>${formatNumber(i.qty)}</td><td>${money(i.price)}</td><td>${money((i.price||0) * i.qty)}</td></tr>`).join('')
+  return `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>${esc(t('Invoice {id}', { id: o._id }))}</title>
+<style>body{font-family:system-ui,sans-serif;max-width:720px;margin:2rem auto;color:#111}table{width:100%;border-collapse:collapse}td,th{padding:6px;border-bottom:1px solid #ddd;text-align:left}.r{text-align:right}</style>
+</head><body><h1>${esc(t('SecureView invoice'))}</h1><p>${esc(t('Order {id}', { id: o._id }))}<br>${esc(formatDateTime(o.created_at))}</p>
+<p>${esc(formatAddress(o.address))}</p>
+<table><thead><tr><th>${esc(t('Item'))}</th><th>${esc(t('Qty'))}</th><th>${esc(t('Price'))}</th><th>${esc(t('Amount'))}</th></tr></thead><tbody>${rows}</tbody></table>
+<p class="r">${esc(t('Subtotal'))}: ${money(o.subtotal)}<br>${esc(t('Shipping'))}: ${money(o.shipping)}<br>${esc(t('Tax'))}: ${money(o.tax)}<br><strong>${esc(t('Total'))}: ${money(o.total)}</strong></p>
+<p>${esc(t('Payment'))}: ${esc(t(isPaid(o) ? 'Paid' : 'Unpaid'))}</p></body></html>`
+}
+
+export default function Orders() {
+  const [orders, setOrders] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const load = () => {
+    setLoading(true)
+    setError('')
+    api.get('/orders')
+      .then(setOrders)
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false))
+  }
+  useEffect(load, [])
+  useEventRefresh(['order_shipped'], () => api.get('/orders').then(setOrders).catch(() => {}))
+
+  if (loading) return <ListSkeleton rows={4} />
+  if (error) return <ErrorPanel message={error} onRetry={load} />
+
+  return (
+    <div className="space-y-2">
+      {orders.map(o => (
+        <Link key={o._id} to={`/orders/${o._id}`} className="block p-3 rounded border border-zinc-800 bg-zinc-900 hover:border-zinc-700">
+          <div className="flex items-center justify-between">
+            <div className="font-medium">{t('Order {id}', { id: o._id })}</div>
+            <StatusBadge status={o.status} />
+          </div>
+          <div className="text-sm text-zinc-400">{formatDateTime(o.created_at)} • {tn(o.items.length, '{count} item', '{count} items')} • {money(o.total)} • {t(isPaid(o) ? 'Paid' : 'Unpaid')}</div>
+        </Link>
+      ))}
+      {orders.length===0 && <p className="text-zinc-500">{t('You have not placed any orders yet.')}</p>}
+    </div>
+  )
+}
+
+export function OrderDetail() {
+  const { id } = useParams()
+  const [order, setOrder] = useState(null)
+  const [error, setError] = useState('')
+
+  const load = () => {
+    setOrder(null)
+    setError('')
+    api.get(`/orders/${id}`).then(setOrder).catch(err => setError(err.message))
+  }
+  useEffect(load, [id])
+  useEventRefresh(['order_shipped'], ev => ev.order_id === id && api.get(`/orders/${id}`).then(setOrder).catch(() => {}))
+
+  if (error) return <ErrorPanel message={error} onRetry={load} />
+  if (!order) return <Skeleton className="h-64" />
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 print:hidden">
+        <Link to="/orders" className="text-sm text-zinc-400 hover:text-zinc-200">← {t('All orders')}</Link>
+        <div className="flex gap-2">
+          {order.status === 'pending' && (
+            <Link to={`/checkout/pay/${order._id}`} className="px-3 py-1.5 rounded bg-emerald-600 hover:bg-emerald-500 text-sm">{t('Pay now')}</Link>
+          )}
+          <button onClick={()=>window.print()} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">{t('Print invoice')}</button>
+          <button onClick={()=>downloadFile(`invoice-${order._id}.html`, invoiceHtml(order), 'text/html')} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">{t('Download invoice')}</button>
+        </div>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="md:col-span-2 p-4 rounded border border-zinc-800 bg-zinc-900 print:border-0 print:bg-white print:text-black">
+          <div className="flex items-center justify-between mb-3">
+            <div>
+              <div className="font-medium">{t('Order {id}', { id: order._id })}</div>
+              <div className="text-xs text-zinc-400">{formatDateTime(order.created_at)}</div>
+            </div>
+            <StatusBadge status={order.status} />
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-zinc-400 text-left"><th className="py-1 font-normal">{t('Item')}</th><th className="py-1 font-normal">{t('Qty')}</th><th className="py-1 font-normal text-right">{t('Price')}</th><th className="py-1 font-normal text-right">{t('Amount')}</th></tr>
+            </thead>
+            <tbody>
+              {order.items.map(i => (
+                <tr key={`${i.product_id}:${i.variant || ''}`} className="border-t border-zinc-800">
+                  <td className="py-2"><Link to={`/products/${i.product_id}`} className="hover:text-emerald-400">{i.name || i.product_id}</Link>{i.variant && <span className="text-zinc-400"> ({i.variant})</span>}</td>
+                  <td className="py-2">{i.qty}</td>
+                  <td className="py-2 text-right">{money(i.price)}</td>
+                  <td className="py-2 text-right">{money((i.price||0) * i.qty)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="mt-3 text-sm space-y-1 ml-auto max-w-xs">
+            {order.subtotal != null && <div className="flex justify-between"><span>{t('Subtotal')}</span><span>{money(order.subtotal)}</span></div>}
+            {order.shipping != null && <div className="flex justify-between text-zinc-400"><span>{t(order.delivery_method === 'installation' ? 'Installation' : 'Shipping')}</span><span>{money(order.shipping)}</span></div>}
+            {order.tax != null && <div className="flex justify-between text-zinc-400"><span>{t('Tax')}</span><span>{money(order.tax)}</span></div>}
+            <div className="flex justify-between pt-2 border-t border-zinc-800 font-semibold"><span>{t('Total')}</span><span>{money(order.total)}</span></div>
+            <div className="text-xs text-zinc-400">{t('Payment: {status}', { status: t(isPaid(order) ? 'Paid' : 'Unpaid') })}</div>
+          </div>
+          {order.address && (
+            <div className="mt-4 text-sm">
+              <div className="text-zinc-400">{t(order.delivery_method === 'installation' ? 'Installation address' : 'Shipping address')}</div>
+              <div>{formatAddress(order.address)}</div>
+            </div>
+          )}
+        </div>
+        <div className="p-4 rounded border border-zinc-800 bg-zinc-900 h-fit print:hidden">
+          <div className="font-medium mb-3">{t('Status')}</div>
+          <StatusTimeline order={order} />
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,184 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { api } from './api'
+import { confirmAction, ErrorPanel, Skeleton, toast } from './Feedback'
+import { annualSavings, BILLING_CYCLES, getPlan, PLANS, planPrice } from './plans'
+import { BASE_CURRENCY, formatDate, money, t, tn } from './i18n'
+
+const FEATURES = [
+  ['Cloud retention', p => tn(p.retentionDays, '{count} day', '{count} days')],
+  ['Cameras', p => t('Up to {count}', { count: p.cameras })],
+  ['Remote viewing', p => p.remoteViewing ? '✓' : '—'],
+  ['Priority support', p => p.prioritySupport ? '✓' : '—'],
+]
+
+export function SubscriptionSummary({ sub, onChanged }) {
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const plan = getPlan(sub?.plan)
+  const cancelling = sub?.cancel_at_period_end
+
+  const act = async (path, done, question) => {
+    if (question && !await confirmAction(question.title, { description: question.description, confirmLabel: question.confirmLabel, destructive: true })) return
+    setError('')
+    setBusy(true)
+    try {
+      await api.post(path)
+      toast(t(done))
+      await onChanged()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="p-4 rounded border border-zinc-800 bg-zinc-900 space-y-1">
+      <div className="text-sm text-zinc-400">{t('Subscription')}</div>
+      <div className="text-lg">{plan.name}{sub?.billing_cycle && plan.monthly > 0 && <span className="text-sm text-zinc-400"> • {t('billed {cycle}', { cycle: t(sub.billing_cycle) })}</span>}</div>
+      <div className="text-xs text-zinc-500">{t('Status: {status}', { status: t(sub?.status || 'active') })}</div>
+      {sub?.current_period_end && (
+        <div className={`text-xs ${cancelling ? 'text-amber-400' : 'text-zinc-500'}`}>
+          {cancelling ? t('Cancels on {date}; you keep {plan} until then.', { date: formatDate(sub.current_period_end), plan: plan.name }) : t('Renews on {date}', { date: formatDate(sub.current_period_end) })}
+        </div>
+      )}
+      <div className="flex gap-2 pt-2">
+        <Link to="/account/plans" className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">{t('Compare plans')}</Link>
+        {plan.monthly > 0 && (cancelling
+          ? <button onClick={()=>act('/subscription/resume', 'Subscription resumed')} disabled={busy} className="px-3 py-1.5 rounded bg-emerald-600 hover:bg-emerald-500 text-sm disabled:opacity-50">{t('Resume subscription')}</button>
+          : <button onClick={()=>act('/subscription/cancel', 'Subscription cancelled', { title: t('Cancel {plan}?', { plan: plan.name }), description: t('It stays active until the end of the current billing period.'), confirmLabel: t('Cancel subscription') })} disabled={busy} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm text-red-400 disabled:opacity-50">{t('Cancel subscription')}</button>)}
+      </div>
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+    </div>
+  )
+}
+
+// Shows what a plan change costs today, as computed by the backend, and charges it.
+function ChangePlan({ plan, cycle, paid, onPaid, onDone, onCancel }) {
+  const [preview, setPreview] = useState(null)
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+  const key = `${plan.id}:${cycle}`
+  const alreadyPaid = paid?.key === key
+
+  useEffect(()=>{
+    setPreview(null)
+    setError('')
+    api.post('/subscription/preview', { plan: plan.id, billing_cycle: cycle })
+      .then(setPreview)
+      .catch(err => setError(err.message))
+  }, [plan.id, cycle])
+
+  const confirmChange = async () => {
+    setError('')
+    setBusy(true)
+    try {
+      let payment = alreadyPaid ? paid.payment : null
+      if (!payment && preview.amount_due > 0) {
+        payment = await api.post('/payments/checkout', { amount: preview.amount_due, currency: BASE_CURRENCY, description: `${plan.name} plan (${cycle})`, subscription_plan: plan.id })
+        onPaid({ key, payment })
+      }
+      await api.post('/subscription', { plan: plan.id, billing_cycle: cycle, payment_id: payment?._id })
+      toast(t('Switched to {plan}', { plan: plan.name }), { description: t('Billed {cycle}.', { cycle: t(cycle) }) })
+      onDone()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="p-4 rounded border border-emerald-500/30 bg-zinc-900 space-y-2">
+      <div className="font-medium">{t('Switch to {plan} ({cycle})', { plan: plan.name, cycle: t(cycle) })}</div>
+      {!preview && !error && <Skeleton className="h-16" />}
+      {preview && (
+        <div className="text-sm space-y-1">
+          <div className="flex justify-between"><span className="text-zinc-400">{t('{plan} {cycle} price', { plan: plan.name, cycle: t(cycle) })}</span><span>{money(planPrice(plan, cycle))}</span></div>
+          {preview.credit > 0 && <div className="flex justify-between"><span className="text-zinc-400">{t('Credit for unused time on current plan')}</span><span>−{money(preview.credit)}</span></div>}
+          <div className="flex justify-between pt-1 border-t border-zinc-800 font-semibold"><span>{t('Due today')}</span><span>{money(Math.max(0, preview.amount_due))}</span></div>
+          {preview.amount_due < 0 && <div className="text-xs text-zinc-400">{t('{amount} will be credited to your next invoice.', { amount: money(-preview.amount_due) })}</div>}
+          {preview.period_end && <div className="text-xs text-zinc-400">{t('Next renewal: {date}', { date: formatDate(preview.period_end) })}</div>}
+        </div>
+      )}
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      {alreadyPaid && error && <p className="text-xs text-zinc-400">{t('Your payment went through; trying again will not charge you a second time.')}</p>}
+      <div className="flex gap-2">
+        <button onClick={onCancel} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">{t('Back')}</button>
+        <button onClick={confirmChange} disabled={!preview || busy} className="px-3 py-1.5 rounded bg-emerald-600 hover:bg-emerald-500 text-sm disabled:opacity-50">{busy ? t('Please wait...') : alreadyPaid ? t('Retry switch') : preview?.amount_due > 0 ? t('Pay {amount} and switch', { amount: money(preview.amount_due) }) : t('Confirm switch')}</button>
+      </div>
+    </div>
+  )
+}
+
+export default function Plans() {
+  const [sub, setSub] = useState(null)
+  const [cycle, setCycle] = useState('monthly')
+  const [selected, setSelected] = useState(null)
+  const [error, setError] = useState('')
+  // A payment already taken for a plan change; retries reuse it instead of charging again.
+  const [paid, setPaid] = useState(null)
+
+  const load = async () => {
+    setError('')
+    try {
+      const s = await api.get('/subscription')
+      setSub(s)
+      if (s?.billing_cycle) setCycle(s.billing_cycle)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+  useEffect(()=>{ load() }, [])
+
+  const current = getPlan(sub?.plan)
+  const isCurrent = (p) => p.id === current.id && (p.monthly === 0 || (sub?.billing_cycle || 'monthly') === cycle)
+
+  return (
+    <div className="space-y-4">
+      <Link to="/account" className="text-sm text-zinc-400 hover:text-zinc-200">← {t('Account')}</Link>
+      {error && <ErrorPanel message={error} onRetry={load} />}
+      <div className="flex gap-2">
+        {BILLING_CYCLES.map(([id, label]) => (
+          <button key={id} onClick={()=>{ setCycle(id); setSelected(null) }} className={`px-3 py-1.5 rounded border text-sm ${cycle===id?'bg-zinc-800 border-zinc-600':'bg-zinc-900 border-zinc-800 hover:border-zinc-700'}`}>{t(label)}</button>
+        ))}
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm border border-zinc-800 rounded">
+          <thead>
+            <tr className="bg-zinc-900">
+              <th className="p-3 text-left font-normal text-zinc-400">{t('Plan')}</th>
+              {PLANS.map(p => (
+                <th key={p.id} className={`p-3 text-left ${p.id===current.id ? 'text-emerald-400' : ''}`}>
+                  <div className="font-semibold">{p.name}</div>
+                  <div className="font-normal">{p.monthly === 0 ? t('Free') : t(cycle==='annual' ? '{price}/yr' : '{price}/mo', { price: money(planPrice(p, cycle)) })}</div>
+                  {cycle==='annual' && annualSavings(p) > 0 && <div className="text-xs font-normal text-emerald-400">{t('Save {percent}%', { percent: annualSavings(p) })}</div>}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {FEATURES.map(([label, value]) => (
+              <tr key={label} className="border-t border-zinc-800">
+                <td className="p-3 text-zinc-400">{t(label)}</td>
+                {PLANS.map(p => <td key={p.id} className="p-3">{value(p)}</td>)}
+              </tr>
+            ))}
+            <tr className="border-t border-zinc-800">
+              <td className="p-3" />
+              {PLANS.map(p => (
+                <td key={p.id} className="p-3">
+                  {isCurrent(p)
+                    ? <span className="text-xs text-zinc-500">{t('Current plan')}</span>
+                    : <button onClick={()=>setSelected(p)} className="px-3 py-1.5 rounded bg-emerald-600 hover:bg-emerald-500 text-sm">{t(PLANS.indexOf(p) > PLANS.indexOf(current) ? 'Upgrade' : p.id===current.id ? 'Switch billing' : 'Downgrade')}</button>}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      {selected && <ChangePlan plan={selected} cycle={cycle} paid={paid} onPaid={setPaid} onCancel={()=>setSelected(null)} onDone={()=>{ setSelected(null); setPaid(null); load() }} />}
+    </div>
+  )
+}
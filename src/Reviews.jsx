@@ -0,0 +1,304 @@
+import { useEffect, useRef, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { api, getSession, onSessionChange } from './api'
+import { ErrorPanel, ListSkeleton, toast } from './Feedback'
+import { formatDate, formatNumber, t, tn } from './i18n'
+import { inputClass } from './styles'
+
+const PAGE_SIZE = 10
+
+const MAX_PHOTOS = 4
+
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024
+
+const REVIEW_SORTS = [
+  ['newest', 'Newest'],
+  ['highest', 'Highest rated'],
+  ['lowest', 'Lowest rated'],
+  ['photos', 'With photos'],
+]
+
+// Average ratings are shown with one decimal in the locale's number format.
+export const formatRating = (n) => formatNumber(n, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+
+export function Stars({ value = 0, className = '' }) {
+  const pct = Math.max(0, Math.min(5, value || 0)) / 5 * 100
+  return (
+    <span className={`relative inline-block leading-none whitespace-nowrap ${className}`} role="img" aria-label={t('{rating} out of 5 stars', { rating: formatRating(value || 0) })}>
+      <span className="text-zinc-700">★★★★★</span>
+      <span className="absolute inset-y-0 left-0 overflow-hidden text-amber-400" style={{ width: `${pct}%` }}>★★★★★</span>
+    </span>
+  )
+}
+
+function StarInput({ value, onChange }) {
+  const [hover, setHover] = useState(0)
+  return (
+    <div className="flex text-2xl leading-none" onMouseLeave={()=>setHover(0)}>
+      {[1, 2, 3, 4, 5].map(n => (
+        <button key={n} type="button" onClick={()=>onChange(n)} onMouseEnter={()=>setHover(n)} aria-label={tn(n, '{count} star', '{count} stars')} className={n <= (hover || value) ? 'text-amber-400' : 'text-zinc-700 hover:text-zinc-500'}>★</button>
+      ))}
+    </div>
+  )
+}
+
+function RatingSummary({ summary }) {
+  const count = summary.count || 0
+  return (
+    <div className="flex flex-wrap items-center gap-6">
+      <div>
+        <div className="text-3xl font-semibold">{count ? formatRating(summary.average) : '—'}</div>
+        <Stars value={summary.average} />
+        <div className="text-xs text-zinc-500 mt-1">{tn(count, '{count} review', '{count} reviews')}</div>
+      </div>
+      {count > 0 && summary.distribution && (
+        <div className="flex-1 min-w-[12rem] space-y-1 text-xs">
+          {[5, 4, 3, 2, 1].map(n => (
+            <div key={n} className="flex items-center gap-2">
+              <span className="w-3 text-zinc-400">{n}</span>
+              <div className="flex-1 h-1.5 rounded bg-zinc-800 overflow-hidden">
+                <div className="h-full bg-amber-400" style={{ width: `${(summary.distribution[n] || 0) / count * 100}%` }} />
+              </div>
+              <span className="w-6 text-right text-zinc-500">{formatNumber(summary.distribution[n])}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export function ReviewPhotos({ photos }) {
+  if (!photos?.length) return null
+  return (
+    <div className="flex gap-2 flex-wrap">
+      {photos.map(src => (
+        <a key={src} href={src} target="_blank" rel="noreferrer" className="w-20 h-20 rounded overflow-hidden border border-zinc-800 hover:border-zinc-700">
+          <img src={src} alt="" className="w-full h-full object-cover" />
+        </a>
+      ))}
+    </div>
+  )
+}
+
+function ReviewForm({ productId, onDone }) {
+  const [rating, setRating] = useState(0)
+  const [title, setTitle] = useState('')
+  const [body, setBody] = useState('')
+  const [photos, setPhotos] = useState([])
+  const [uploading, setUploading] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const file = useRef(null)
+
+  const upload = async (e) => {
+    const files = [...e.target.files].slice(0, MAX_PHOTOS - photos.length)
+    file.current.value = ''
+    if (!files.length) return
+    if (files.some(f => f.size > MAX_PHOTO_BYTES)) return setError(t('Photos must be 5 MB or smaller.'))
+    setError('')
+    setUploading(true)
+    try {
+      const urls = []
+      for (const f of files) {
+        const form = new FormData()
+        form.append('file', f)
+        urls.push((await api.post('/reviews/uploads', form)).url)
+      }
+      setPhotos(p => [...p, ...urls])
+    } catch (err) {
+      setError(t('Upload failed: {error}', { error: err.message }))
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  const submit = async (e) => {
+    e.preventDefault()
+    if (!rating) return setError(t('Choose a star rating.'))
+    if (!body.trim()) return setError(t('Tell other customers about the product.'))
+    setError('')
+    setBusy(true)
+    try {
+      await api.post(`/products/${productId}/reviews`, { rating, title: title.trim(), body: body.trim(), photos })
+      toast(t('Thanks for your review'), { description: t("It will appear once it's been checked by our team.") })
+      onDone()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <form onSubmit={submit} className="p-3 rounded border border-zinc-800 bg-zinc-950 space-y-2">
+      <StarInput value={rating} onChange={setRating} />
+      <input placeholder={t('Title (optional)')} value={title} onChange={e=>setTitle(e.target.value)} maxLength={120} className={inputClass} />
+      <textarea placeholder={t('What did you like or dislike? How is the picture at night?')} value={body} onChange={e=>setBody(e.target.value)} rows={4} maxLength={4000} className={inputClass} />
+      {photos.length > 0 && (
+        <div className="flex gap-2 flex-wrap">
+          {photos.map(src => (
+            <div key={src} className="relative w-20 h-20 rounded overflow-hidden border border-zinc-800">
+              <img src={src} alt="" className="w-full h-full object-cover" />
+              <button type="button" onClick={()=>setPhotos(p => p.filter(x => x !== src))} aria-label={t('Remove photo')} className="absolute top-0 right-0 px-1 bg-zinc-950/80 text-red-400 text-xs">✕</button>
+            </div>
+          ))}
+        </div>
+      )}
+      {photos.length < MAX_PHOTOS && <input ref={file} type="file" accept="image/*" multiple onChange={upload} disabled={uploading} className="text-sm text-zinc-400" />}
+      {uploading && <div className="text-xs text-zinc-400">{t('Uploading...')}</div>}
+      {error && <p className="text-red-400 text-xs">{error}</p>}
+      <div className="flex gap-2">
+        <button disabled={busy || uploading} className="px-3 py-1.5 rounded bg-emerald-600 hover:bg-emerald-500 text-sm disabled:opacity-50">{busy ? t('Please wait...') : t('Submit review')}</button>
+        <button type="button" onClick={onDone} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">{t('Cancel')}</button>
+      </div>
+    </form>
+  )
+}
+
+// Only customers with a completed order for the product may review it. The
+// backend enforces this; the check here just decides whether to offer the form.
+function useCanReview(productId) {
+  const [user, setUser] = useState(() => getSession().user)
+  const [eligible, setEligible] = useState(false)
+  useEffect(() => onSessionChange(s => setUser(s.user)), [])
+  useEffect(()=>{
+    setEligible(false)
+    if (!user) return
+    api.get('/orders')
+      .then(orders => setEligible(orders.some(o => o.status === 'completed' && o.items.some(i => i.product_id === productId))))
+      .catch(() => {})
+  }, [productId, user?._id])
+  return { signedIn: !!user, eligible }
+}
+
+function ReviewList({ productId, summary, onSummary }) {
+  const [sort, setSort] = useState('newest')
+  const [result, setResult] = useState(null)
+  const [page, setPage] = useState(1)
+  const [error, setError] = useState('')
+  const [loadingMore, setLoadingMore] = useState(false)
+
+  const load = async (nextPage = 1) => {
+    setError('')
+    if (nextPage > 1) setLoadingMore(true)
+    try {
+      const data = await api.get(`/products/${productId}/reviews?sort=${sort}&page=${nextPage}&page_size=${PAGE_SIZE}`)
+      setResult(r => nextPage > 1 && r ? { ...data, items: [...r.items, ...data.items] } : data)
+      setPage(nextPage)
+      onSummary({ average: data.average || 0, count: data.count ?? data.total, distribution: data.distribution })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+  useEffect(()=>{ setResult(null); load() }, [productId, sort])
+
+  if (error && !result) return <ErrorPanel message={error} onRetry={()=>load()} />
+  if (!result) return <ListSkeleton rows={2} className="h-20" />
+
+  return (
+    <div className="space-y-3">
+      {summary.count > 1 && (
+        <select value={sort} onChange={e=>setSort(e.target.value)} className="bg-zinc-950 border border-zinc-800 rounded px-2 py-1 text-sm">
+          {REVIEW_SORTS.map(([id, label]) => <option key={id} value={id}>{t(label)}</option>)}
+        </select>
+      )}
+      {result.items.map(r => (
+        <div key={r._id} className="border-t border-zinc-800 pt-3 space-y-1.5">
+          <div className="flex flex-wrap items-center gap-2">
+            <Stars value={r.rating} />
+            {r.title && <span className="font-medium">{r.title}</span>}
+          </div>
+          <div className="text-xs text-zinc-500">{r.author_name || t('Customer')} • {formatDate(r.created_at)} • <span className="text-emerald-400">{t('Verified purchase')}</span></div>
+          <p className="text-sm text-zinc-300 whitespace-pre-line">{r.body}</p>
+          <ReviewPhotos photos={r.photos} />
+        </div>
+      ))}
+      {result.items.length===0 && <div className="text-sm text-zinc-500">{t('No reviews yet.')}</div>}
+      {error && <p className="text-red-400 text-xs">{error}</p>}
+      {result.items.length < result.total && (
+        <button onClick={()=>load(page + 1)} disabled={loadingMore} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm disabled:opacity-50">{loadingMore ? t('Loading...') : t('Show more reviews')}</button>
+      )}
+    </div>
+  )
+}
+
+export default function ProductReviews({ productId }) {
+  const { signedIn, eligible } = useCanReview(productId)
+  const [summary, setSummary] = useState({ average: 0, count: 0 })
+  const [writing, setWriting] = useState(false)
+
+  return (
+    <div id="reviews" className="p-4 rounded border border-zinc-800 bg-zinc-900 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="font-medium">{t('Customer reviews')}</div>
+        {eligible && !writing && <button onClick={()=>setWriting(true)} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">{t('Write a review')}</button>}
+      </div>
+      <RatingSummary summary={summary} />
+      {writing && <ReviewForm productId={productId} onDone={()=>setWriting(false)} />}
+      {!signedIn && <div className="text-xs text-zinc-500"><Link to="/login" className="text-emerald-400 hover:text-emerald-300">{t('Sign in')}</Link> {t("to review a product you've bought.")}</div>}
+      {signedIn && !eligible && <div className="text-xs text-zinc-500">{t('Reviews are open to customers once their order for this product is completed.')}</div>}
+      <ReviewList productId={productId} summary={summary} onSummary={setSummary} />
+    </div>
+  )
+}
+
+export function ProductQuestions({ productId }) {
+  const { user } = getSession()
+  const [questions, setQuestions] = useState(null)
+  const [error, setError] = useState('')
+  const [question, setQuestion] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [formError, setFormError] = useState('')
+
+  const load = () => {
+    setError('')
+    api.get(`/products/${productId}/questions`).then(setQuestions).catch(err => setError(err.message))
+  }
+  useEffect(()=>{ setQuestions(null); load() }, [productId])
+
+  const ask = async (e) => {
+    e.preventDefault()
+    if (question.trim().length < 10) return setFormError(t('Please write out your question in a little more detail.'))
+    setFormError('')
+    setBusy(true)
+    try {
+      await api.post(`/products/${productId}/questions`, { question: question.trim() })
+      setQuestion('')
+      toast(t('Question sent'), { description: t('It will appear here once our team has answered it.') })
+    } catch (err) {
+      setFormError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div id="questions" className="p-4 rounded border border-zinc-800 bg-zinc-900 space-y-3">
+      <div className="font-medium">{t('Questions and answers')}</div>
+      {user ? (
+        <form onSubmit={ask} className="space-y-2">
+          <div className="flex gap-2">
+            <input placeholder={t('Ask about night vision, weatherproofing, compatibility...')} value={question} onChange={e=>setQuestion(e.target.value)} maxLength={500} className={inputClass} />
+            <button disabled={busy} className="px-3 rounded bg-zinc-800 hover:bg-zinc-700 text-sm shrink-0 disabled:opacity-50">{busy ? t('Sending...') : t('Ask')}</button>
+          </div>
+          {formError && <p className="text-red-400 text-xs">{formError}</p>}
+        </form>
+      ) : (
+        <div className="text-xs text-zinc-500"><Link to="/login" className="text-emerald-400 hover:text-emerald-300">{t('Sign in')}</Link> {t('to ask a question.')}</div>
+      )}
+      {error && <ErrorPanel message={error} onRetry={load} />}
+      {!questions && !error && <ListSkeleton rows={2} className="h-12" />}
+      {questions?.map(q => (
+        <div key={q._id} className="border-t border-zinc-800 pt-3 text-sm space-y-1">
+          <div><span className="text-zinc-500">{t('Q:')}</span> {q.question}</div>
+          <div className="text-zinc-300 whitespace-pre-line"><span className="text-zinc-500">{t('A:')}</span> {q.answer}</div>
+          <div className="text-xs text-zinc-500">{t('Answered by SecureView')} • {formatDate(q.answered_at || q.created_at)}</div>
+        </div>
+      ))}
+      {questions?.length===0 && <div className="text-sm text-zinc-500">{t('No questions yet.')}</div>}
+    </div>
+  )
+}
@@ -0,0 +1,161 @@
+import { useEffect, useState } from 'react'
+import { api, getSession, SessionExpiredError, updateUser } from './api'
+import { downloadFile } from './csv'
+import { confirmAction, ErrorPanel, ListSkeleton, toast } from './Feedback'
+import { formatDateTime, t } from './i18n'
+import { inputClass } from './styles'
+
+function BackupCodes({ codes, onDone }) {
+  return (
+    <div className="space-y-2">
+      <p className="text-sm text-zinc-300">{t("Store these backup codes somewhere safe. Each one signs you in once if you lose your authenticator. They won't be shown again.")}</p>
+      <div className="grid grid-cols-2 gap-1 font-mono text-sm p-3 rounded bg-zinc-950 border border-zinc-800">
+        {codes.map(c => <div key={c}>{c}</div>)}
+      </div>
+      <div className="flex gap-2">
+        <button onClick={()=>downloadFile('secureview-backup-codes.txt', codes.join('\n'))} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">{t('Download')}</button>
+        <button onClick={()=>navigator.clipboard?.writeText(codes.join('\n'))} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">{t('Copy')}</button>
+        <button onClick={onDone} className="px-3 py-1.5 rounded bg-emerald-600 hover:bg-emerald-500 text-sm">{t("I've saved them")}</button>
+      </div>
+    </div>
+  )
+}
+
+export function TwoFactorSettings() {
+  const user = getSession().user || {}
+  const [setup, setSetup] = useState(null)
+  const [codes, setCodes] = useState(null)
+  const [code, setCode] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const run = async (fn) => {
+    setError('')
+    setBusy(true)
+    try {
+      await fn()
+    } catch (err) {
+      setError((err.status === 401 && !(err instanceof SessionExpiredError)) || err.status === 400 ? t('Invalid code') : err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  // The backend returns the secret, an otpauth:// URL and a QR code image for it.
+  const start = () => run(async () => {
+    setSetup(await api.post('/auth/2fa/setup'))
+    setCode('')
+  })
+
+  const enable = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const res = await api.post('/auth/2fa/enable', { code: code.replace(/\s/g, '') }, { refresh: false })
+      updateUser({ ...user, two_factor_enabled: true })
+      toast(t('Two-factor authentication turned on'))
+      setSetup(null)
+      setCode('')
+      setCodes(res.backup_codes || [])
+    })
+  }
+
+  const disable = async () => {
+    if (!code) return setError(t('Enter a current code to turn off two-factor authentication.'))
+    if (!await confirmAction(t('Turn off two-factor authentication?'), { description: t('Your account will be protected by your password only.'), confirmLabel: t('Turn off'), destructive: true })) return
+    run(async () => {
+      await api.post('/auth/2fa/disable', { code: code.replace(/\s/g, '') }, { refresh: false })
+      updateUser({ ...user, two_factor_enabled: false })
+      toast(t('Two-factor authentication turned off'))
+      setCode('')
+    })
+  }
+
+  const regenerate = () => {
+    if (!code) return setError(t('Enter a current code to generate new backup codes.'))
+    run(async () => {
+      const res = await api.post('/auth/2fa/backup-codes', { code: code.replace(/\s/g, '') }, { refresh: false })
+      setCode('')
+      setCodes(res.backup_codes || [])
+    })
+  }
+
+  if (codes) return <BackupCodes codes={codes} onDone={()=>setCodes(null)} />
+
+  if (setup) return (
+    <form onSubmit={enable} className="space-y-3 max-w-md">
+      <p className="text-sm text-zinc-400">{t('Scan this code with an authenticator app such as Google Authenticator, 1Password or Authy, then enter the 6-digit code it shows.')}</p>
+      {setup.qr_code && <img src={setup.qr_code} alt={t('Two-factor QR code')} className="w-44 h-44 bg-white p-2 rounded" />}
+      <div className="text-xs text-zinc-500">{t("Can't scan? Enter this key manually:")} <span className="font-mono text-zinc-300 break-all">{setup.secret}</span></div>
+      <input value={code} onChange={e=>setCode(e.target.value)} placeholder="123456" autoComplete="one-time-code" className={`${inputClass} tracking-widest`} required />
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      <div className="flex gap-2">
+        <button type="button" onClick={()=>setSetup(null)} className="px-4 py-2 rounded bg-zinc-800 hover:bg-zinc-700">{t('Cancel')}</button>
+        <button disabled={busy} className="px-4 py-2 rounded bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50">{busy ? t('Please wait...') : t('Turn on')}</button>
+      </div>
+    </form>
+  )
+
+  if (!user.two_factor_enabled) return (
+    <div className="space-y-2">
+      <p className="text-sm text-zinc-400">{t('Protect your account with a code from your phone in addition to your password.')}{user.role === 'admin' && ` ${t('Admin accounts must turn this on before using the admin dashboard.')}`}</p>
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      <button onClick={start} disabled={busy} className="px-4 py-2 rounded bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50">{busy ? t('Please wait...') : t('Set up two-factor authentication')}</button>
+    </div>
+  )
+
+  return (
+    <div className="space-y-2 max-w-md">
+      <p className="text-sm text-emerald-400">{t('Two-factor authentication is on.')}</p>
+      <input value={code} onChange={e=>setCode(e.target.value)} placeholder={t('Current code')} autoComplete="one-time-code" className={`${inputClass} tracking-widest`} />
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      <div className="flex gap-2">
+        <button onClick={regenerate} disabled={busy} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm disabled:opacity-50">{t('New backup codes')}</button>
+        {user.role !== 'admin' && <button onClick={disable} disabled={busy} className="px-3 py-1.5 rounded bg-red-600/80 hover:bg-red-600 text-sm disabled:opacity-50">{t('Turn off')}</button>}
+      </div>
+    </div>
+  )
+}
+
+export function ActiveSessions() {
+  const [sessions, setSessions] = useState(null)
+  const [error, setError] = useState('')
+
+  const load = async () => {
+    setError('')
+    try {
+      setSessions(await api.get('/auth/sessions'))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+  useEffect(()=>{ load() }, [])
+
+  const revoke = async (s) => {
+    if (!await confirmAction(t('Sign out {device}?', { device: s.device || t('this device') }), { description: t('That device will need to sign in again.'), confirmLabel: t('Sign out'), destructive: true })) return
+    setError('')
+    try {
+      await api.del(`/auth/sessions/${s._id}`)
+      toast(t('Session revoked'))
+      await load()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  if (!sessions) return error ? <ErrorPanel message={error} onRetry={load} /> : <ListSkeleton rows={2} className="h-12" />
+  return (
+    <div className="space-y-2">
+      {sessions.map(s => (
+        <div key={s._id} className="p-3 rounded border border-zinc-800 text-sm flex items-center justify-between gap-3">
+          <div>
+            <div>{s.device || t('Unknown device')}{s.current && <span className="ml-2 text-xs text-emerald-400">{t('This device')}</span>}</div>
+            <div className="text-xs text-zinc-500">{s.ip}{s.location ? ` • ${s.location}` : ''} • {t('last active {date}', { date: formatDateTime(s.last_seen_at || s.created_at) })}</div>
+          </div>
+          {!s.current && <button onClick={()=>revoke(s)} className="text-red-400 shrink-0">{t('Revoke')}</button>}
+        </div>
+      ))}
+      {sessions.length===0 && <div className="text-sm text-zinc-500">{t('No active sessions.')}</div>}
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,338 @@
+import { useEffect, useRef, useState } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { api, NetworkError } from './api'
+import { AddressStep, EMPTY_ADDRESS, formatAddress } from './Checkout'
+import { JOB_LABELS } from './Technician'
+import { confirmAction, ErrorPanel, ListSkeleton, Skeleton, toast } from './Feedback'
+import { useEventRefresh } from './events'
+import { enqueue, useQueue } from './offline'
+import { formatDate, formatTime, t } from './i18n'
+import { inputClass } from './styles'
+
+export const SERVICE_TYPES = [
+  { id: 'installation', label: 'Installation', description: 'Mount, cable and configure new cameras and recorders.' },
+  { id: 'maintenance', label: 'Maintenance', description: 'Cleaning, firmware updates and a health check of your system.' },
+  { id: 'repair', label: 'Repair', description: 'Diagnose and fix a faulty camera, recorder or cabling.' },
+  { id: 'site_survey', label: 'Site survey', description: 'A technician visits to plan coverage and quote an installation.' },
+]
+
+const WIRING = [
+  ['none', 'No existing wiring'],
+  ['partial', 'Some cabling in place'],
+  ['full', 'Fully cabled (replacing equipment)'],
+]
+
+const STEPS = ['Service', 'Premises', 'Schedule', 'Address', 'Review']
+
+export const serviceLabel = (type) => t(SERVICE_TYPES.find(s => s.id === type)?.label || type)
+export const wiringLabel = (id) => t(WIRING.find(w => w[0] === id)?.[1] || id)
+
+const slotLabel = (s) => `${formatTime(s.start)} – ${formatTime(s.end)}`
+
+export const formatSchedule = (b) => b.scheduled_start ? `${formatDate(b.scheduled_start)} ${slotLabel({ start: b.scheduled_start, end: b.scheduled_end })}` : t('Not scheduled')
+
+// Dates are the customer's local calendar days, as the date input shows them.
+const localDate = (d = new Date()) => new Date(d).toLocaleDateString('en-CA')
+
+const count = (v) => Math.max(0, parseInt(v) || 0)
+
+// Lets the user pick a day and one of the technician slots the backend offers for it.
+function SlotPicker({ serviceType, slot, onChange }) {
+  const [day, setDay] = useState(slot ? localDate(slot.start) : localDate())
+  const [slots, setSlots] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [attempt, setAttempt] = useState(0)
+  const latest = useRef(0)
+
+  // Only the response for the latest day is shown when the customer clicks through dates.
+  useEffect(()=>{
+    const id = ++latest.current
+    setLoading(true)
+    setError('')
+    const params = new URLSearchParams({ date: day, service_type: serviceType })
+    api.get(`/services/availability?${params.toString()}`)
+      .then(s => { if (id === latest.current) setSlots(s) })
+      .catch(err => { if (id === latest.current) { setSlots([]); setError(err.message) } })
+      .finally(() => { if (id === latest.current) setLoading(false) })
+  }, [day, serviceType, attempt])
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label className="block text-sm text-zinc-400 mb-1">{t('Date')}</label>
+        <input type="date" min={localDate()} value={day} onChange={e=>setDay(e.target.value)} className="bg-zinc-950 border border-zinc-800 rounded px-3 py-2" />
+      </div>
+      {error && <ErrorPanel message={error} onRetry={()=>setAttempt(a => a + 1)} />}
+      {!loading && !error && slots.length===0 && <p className="text-zinc-500 text-sm">{t('No technicians are available on this day. Try another date.')}</p>}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+        {loading && Array.from({ length: 4 }, (_, i) => <Skeleton key={i} className="h-9" />)}
+        {!loading && slots.map(s => (
+          <button key={s.start} onClick={()=>onChange(s)} className={`px-3 py-2 rounded border text-sm ${slot?.start===s.start?'border-emerald-500 bg-zinc-800':'border-zinc-800 hover:border-zinc-700'}`}>{slotLabel(s)}</button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function PremisesStep({ premises, setPremises }) {
+  const set = (key) => (e) => setPremises(v => ({ ...v, [key]: e.target.type === 'number' ? count(e.target.value) : e.target.value }))
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-sm text-zinc-400 mb-1">{t('Indoor cameras')}</label>
+          <input type="number" min="0" value={premises.indoor_cameras} onChange={set('indoor_cameras')} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm text-zinc-400 mb-1">{t('Outdoor cameras')}</label>
+          <input type="number" min="0" value={premises.outdoor_cameras} onChange={set('outdoor_cameras')} className={inputClass} />
+        </div>
+      </div>
+      <div>
+        <label className="block text-sm text-zinc-400 mb-1">{t('Existing wiring')}</label>
+        <select value={premises.wiring} onChange={set('wiring')} className={inputClass}>
+          {WIRING.map(([id, label]) => <option key={id} value={id}>{t(label)}</option>)}
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm text-zinc-400 mb-1">{t('Notes for the technician (optional)')}</label>
+        <textarea value={premises.notes} onChange={set('notes')} placeholder={t('Access instructions, property type, areas to cover...')} className={inputClass} />
+      </div>
+    </div>
+  )
+}
+
+// Lets the user attach equipment they bought in an earlier order.
+function ProductPicker({ orderId, setOrderId, products, setProducts }) {
+  const [orders, setOrders] = useState([])
+
+  useEffect(()=>{ api.get('/orders').then(o => setOrders(o.filter(x => x.status !== 'cancelled'))).catch(() => setOrders([])) }, [])
+
+  const order = orders.find(o => o._id === orderId)
+  const toggle = (i) => setProducts(list => list.some(p => p.product_id === i.product_id)
+    ? list.filter(p => p.product_id !== i.product_id)
+    : [...list, { product_id: i.product_id, name: i.name, qty: i.qty }])
+
+  if (orders.length === 0) return null
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm text-zinc-400">{t('Equipment from a past order (optional)')}</label>
+      <select value={orderId} onChange={e=>{ setOrderId(e.target.value); setProducts([]) }} className={inputClass}>
+        <option value="">{t('None')}</option>
+        {orders.map(o => <option key={o._id} value={o._id}>{t('Order {id}', { id: o._id })} • {formatDate(o.created_at)}</option>)}
+      </select>
+      {order?.items.map(i => (
+        <label key={i.product_id} className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={products.some(p => p.product_id === i.product_id)} onChange={()=>toggle(i)} />
+          {i.name || i.product_id} × {i.qty}
+        </label>
+      ))}
+    </div>
+  )
+}
+
+export function BookService() {
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const [step, setStep] = useState(0)
+  // The system builder links here with the service type and camera counts filled in.
+  const [serviceType, setServiceType] = useState(() => SERVICE_TYPES.some(s => s.id === searchParams.get('service_type')) ? searchParams.get('service_type') : 'installation')
+  const [premises, setPremises] = useState(() => ({
+    indoor_cameras: count(searchParams.get('indoor')),
+    outdoor_cameras: count(searchParams.get('outdoor')),
+    wiring: 'none',
+    notes: '',
+  }))
+  const [slot, setSlot] = useState(null)
+  const [address, setAddress] = useState(EMPTY_ADDRESS)
+  const [orderId, setOrderId] = useState('')
+  const [products, setProducts] = useState([])
+  const [error, setError] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const cameraCount = premises.indoor_cameras + premises.outdoor_cameras
+
+  const next = () => {
+    setError('')
+    if (step===1 && serviceType==='installation' && cameraCount===0) return setError(t('Tell us how many cameras to install.'))
+    if (step===2 && !slot) return setError(t('Pick a time slot.'))
+    setStep(step + 1)
+  }
+
+  const submit = async () => {
+    setError('')
+    setSubmitting(true)
+    try {
+      const { _id, ...serviceAddress } = address
+      const body = {
+        service_type: serviceType,
+        scheduled_start: slot.start,
+        scheduled_end: slot.end,
+        address: serviceAddress,
+        premises: { ...premises, camera_count: cameraCount },
+        order_id: orderId || undefined,
+        products,
+      }
+      const when = t('{service} on {when}', { service: serviceLabel(serviceType), when: formatSchedule(body) })
+      try {
+        await api.post('/services', body)
+        toast(t('Booking requested'), { description: when })
+      } catch (err) {
+        if (!(err instanceof NetworkError)) throw err
+        enqueue({ method: 'post', path: '/services', body, label: t('{service} booking', { service: serviceLabel(serviceType) }) })
+        toast(t('Booking saved offline'), { type: 'info', description: t('{booking} will be requested when you reconnect.', { booking: when }) })
+      }
+      navigate('/services')
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="max-w-3xl space-y-4">
+      <div className="flex flex-wrap gap-2 text-sm">
+        {STEPS.map((s, i) => (
+          <div key={s} className={`px-3 py-1.5 rounded border ${i===step?'bg-zinc-800 border-zinc-600':'bg-zinc-900 border-zinc-800 text-zinc-500'}`}>{i+1}. {t(s)}</div>
+        ))}
+      </div>
+
+      {step===0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          {SERVICE_TYPES.map(s => (
+            <button key={s.id} onClick={()=>{ setServiceType(s.id); setSlot(null) }} className={`text-left p-3 rounded border ${serviceType===s.id?'border-emerald-500 bg-zinc-800':'border-zinc-800 bg-zinc-900 hover:border-zinc-700'}`}>
+              <div className="font-medium">{t(s.label)}</div>
+              <div className="text-sm text-zinc-400">{t(s.description)}</div>
+            </button>
+          ))}
+        </div>
+      )}
+      {step===1 && <PremisesStep premises={premises} setPremises={setPremises} />}
+      {step===2 && <SlotPicker serviceType={serviceType} slot={slot} onChange={setSlot} />}
+      {step===3 && <AddressStep address={address} setAddress={setAddress} onNext={()=>setStep(4)} />}
+      {step===4 && (
+        <div className="space-y-3">
+          <div className="p-3 rounded border border-zinc-800 bg-zinc-900 text-sm space-y-1">
+            <div><span className="text-zinc-400">{t('Service')}:</span> {serviceLabel(serviceType)}</div>
+            <div><span className="text-zinc-400">{t('When')}:</span> {formatSchedule({ scheduled_start: slot.start, scheduled_end: slot.end })}</div>
+            <div><span className="text-zinc-400">{t('Where')}:</span> {formatAddress(address)}</div>
+            <div><span className="text-zinc-400">{t('Cameras')}:</span> {t('{indoor} indoor, {outdoor} outdoor', { indoor: premises.indoor_cameras, outdoor: premises.outdoor_cameras })} • {wiringLabel(premises.wiring)}</div>
+            {premises.notes && <div><span className="text-zinc-400">{t('Notes')}:</span> {premises.notes}</div>}
+          </div>
+          <ProductPicker orderId={orderId} setOrderId={setOrderId} products={products} setProducts={setProducts} />
+        </div>
+      )}
+
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      <div className="flex gap-2">
+        {step > 0 ? <button onClick={()=>setStep(step - 1)} className="px-4 py-2 rounded bg-zinc-800 hover:bg-zinc-700">{t('Back')}</button>
+          : <Link to="/services" className="px-4 py-2 rounded bg-zinc-800 hover:bg-zinc-700">{t('Cancel')}</Link>}
+        {step < 3 && <button onClick={next} className="px-4 py-2 rounded bg-emerald-600 hover:bg-emerald-500">{t('Continue')}</button>}
+        {step===4 && <button onClick={submit} disabled={submitting} className="px-4 py-2 rounded bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50">{submitting ? t('Please wait...') : t('Confirm booking')}</button>}
+      </div>
+    </div>
+  )
+}
+
+function Booking({ booking, onChanged }) {
+  const [rescheduling, setRescheduling] = useState(false)
+  const [slot, setSlot] = useState(null)
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+  const editable = !['en_route', 'in_progress', 'completed', 'cancelled'].includes(booking.status)
+
+  const update = async (body, done) => {
+    setError('')
+    setBusy(true)
+    try {
+      await api.patch(`/services/${booking._id}`, body)
+      setRescheduling(false)
+      toast(t(done))
+      await onChanged()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const cancel = async () => {
+    if (!await confirmAction(t('Cancel this booking?'), { description: `${serviceLabel(booking.service_type)} • ${formatSchedule(booking)}`, confirmLabel: t('Cancel booking'), destructive: true })) return
+    update({ status: 'cancelled' }, 'Booking cancelled')
+  }
+
+  return (
+    <div className="p-3 rounded border border-zinc-800 bg-zinc-900 space-y-2">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="font-medium">{serviceLabel(booking.service_type)}</div>
+          <div className="text-sm text-zinc-400">{formatAddress(booking.address)}</div>
+          <div className="text-xs text-zinc-500">{formatSchedule(booking)}</div>
+        </div>
+        <div className="text-right">
+          <div className="text-xs text-zinc-400">{t(JOB_LABELS[booking.status] || booking.status)}</div>
+          {booking.technician_name && <div className="text-xs text-zinc-500">{t('Technician: {name}', { name: booking.technician_name })}</div>}
+        </div>
+      </div>
+      {editable && !rescheduling && (
+        <div className="flex gap-2">
+          <button onClick={()=>setRescheduling(true)} className="px-2 py-1 bg-zinc-800 hover:bg-zinc-700 rounded text-xs">{t('Reschedule')}</button>
+          <button onClick={cancel} disabled={busy} className="px-2 py-1 bg-zinc-800 hover:bg-zinc-700 rounded text-xs text-red-400">{t('Cancel booking')}</button>
+        </div>
+      )}
+      {rescheduling && (
+        <div className="pt-2 border-t border-zinc-800 space-y-2">
+          <SlotPicker serviceType={booking.service_type} slot={slot} onChange={setSlot} />
+          <div className="flex gap-2">
+            <button onClick={()=>setRescheduling(false)} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm">{t('Keep current time')}</button>
+            <button onClick={()=>update({ scheduled_start: slot.start, scheduled_end: slot.end }, 'Booking rescheduled')} disabled={!slot || busy} className="px-3 py-1.5 rounded bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-sm">{t('Confirm new time')}</button>
+          </div>
+        </div>
+      )}
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+    </div>
+  )
+}
+
+export default function Services(){
+  const [services, setServices] = useState(null)
+  const [error, setError] = useState('')
+  const queued = useQueue().filter(e => e.method === 'post' && e.path === '/services')
+
+  const load = async () => {
+    setError('')
+    try {
+      setServices(await api.get('/services'))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+  // Reloads when queued bookings are sent as well as on first render.
+  useEffect(()=>{ load() }, [queued.length])
+  useEventRefresh(['technician_en_route'], load)
+
+  return (
+    <div>
+      <Link to="/services/book" className="inline-block mb-3 px-3 py-1.5 rounded bg-emerald-600 hover:bg-emerald-500">{t('Book a service')}</Link>
+      {error && <ErrorPanel message={error} onRetry={load} />}
+      {!services && !error && <ListSkeleton rows={3} />}
+      {queued.map(e => (
+        <div key={e.id} className="mb-2 p-3 rounded border border-dashed border-amber-500/40 bg-zinc-900">
+          <div className="flex items-center justify-between">
+            <div className="font-medium">{serviceLabel(e.body.service_type)}</div>
+            <span className="text-xs px-2 py-0.5 rounded border text-amber-400 border-amber-500/30">{t('Waiting for connection')}</span>
+          </div>
+          <div className="text-sm text-zinc-400">{formatSchedule(e.body)} • {formatAddress(e.body.address)}</div>
+        </div>
+      ))}
+      {services && (
+        <div className="space-y-2">
+          {services.map(s => <Booking key={s._id} booking={s} onChanged={load} />)}
+          {services.length===0 && queued.length===0 && <p className="text-zinc-500">{t('No service bookings yet.')}</p>}
+        </div>
+      )}
+    </div>
+  )
+}
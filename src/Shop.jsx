@@ -0,0 +1,227 @@
+import { useEffect, useRef, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { api } from './api'
+import { addToCart } from './cart'
+import { CATEGORIES, PLACEMENTS } from './catalog'
+import { ErrorPanel, Skeleton, toast } from './Feedback'
+import { money, t, tn } from './i18n'
+import { formatRating, Stars } from './Reviews'
+import { fieldClass } from './styles'
+
+const PAGE_SIZE = 24
+
+const SORTS = [
+  ['', 'Relevance'],
+  ['price_asc', 'Price: low to high'],
+  ['price_desc', 'Price: high to low'],
+  ['popular', 'Most popular'],
+  ['rating', 'Top rated'],
+  ['newest', 'Newest'],
+]
+
+// Used until the backend reports facet values for the current result set.
+const DEFAULT_RESOLUTIONS = ['2MP', '4MP', '5MP', '8MP']
+
+// Every query-string key the shop understands; all of them are forwarded to /products.
+const FILTER_KEYS = ['q', 'category', 'min_price', 'max_price', 'resolution', 'placement', 'brand', 'in_stock', 'sort']
+
+const FILTER_LABELS = { q: 'Search', category: 'Category', min_price: 'Min price', max_price: 'Max price', resolution: 'Resolution', placement: 'Placement', brand: 'Brand', in_stock: 'In stock only' }
+
+function useDebounced(value, ms) {
+  const [v, setV] = useState(value)
+  useEffect(()=>{
+    const timer = setTimeout(() => setV(value), ms)
+    return () => clearTimeout(timer)
+  }, [value, ms])
+  return v
+}
+
+function ProductCard({ p }) {
+  return (
+    <div className="border border-zinc-800 rounded-lg overflow-hidden bg-zinc-900">
+      <Link to={`/products/${p._id}`} className="block aspect-video bg-black">
+        {p.images?.[0] ? (
+          <img src={p.images[0]} alt={p.name} className="w-full h-full object-cover" />
+        ) : (
+          <div className="w-full h-full flex items-center justify-center text-zinc-600">{t('No image')}</div>
+        )}
+      </Link>
+      <div className="p-3">
+        <Link to={`/products/${p._id}`} className="font-medium hover:text-emerald-400">{p.name}</Link>
+        <div className="flex items-center gap-1.5 text-xs text-zinc-500 h-5">
+          {p.rating_count > 0 && <><Stars value={p.rating_average} /> {formatRating(p.rating_average)} ({p.rating_count})</>}
+        </div>
+        <div className="text-sm text-zinc-400 line-clamp-2 min-h-[2.5rem]">{p.description}</div>
+        <div className="flex items-center justify-between mt-2">
+          <div className="text-emerald-400 font-semibold">{money(p.price)}</div>
+          {p.variants?.length > 0 ? (
+            <Link to={`/products/${p._id}`} className="px-3 py-1.5 bg-zinc-800 hover:bg-zinc-700 rounded">{t('Choose options')}</Link>
+          ) : (
+            <button onClick={()=>{ addToCart(p); toast(t('Added to cart'), { description: p.name, action: { label: t('View cart'), to: '/cart' } }) }} disabled={(p.stock ?? 0) <= 0} className="px-3 py-1.5 bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 rounded">{t((p.stock ?? 0) > 0 ? 'Add to cart' : 'Out of stock')}</button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function EmptyState({ active, suggestions, clear, clearAll }) {
+  return (
+    <div className="p-6 rounded border border-zinc-800 bg-zinc-900 space-y-3 text-sm">
+      <div className="text-zinc-300">{t('No products match your search.')}</div>
+      {suggestions?.length > 0 && (
+        <div>
+          <span className="text-zinc-400">{t('Did you mean')} </span>
+          {suggestions.map((s, i) => (
+            <span key={s}>{i > 0 && ', '}<Link to={`/shop?q=${encodeURIComponent(s)}`} className="text-emerald-400 hover:text-emerald-300">{s}</Link></span>
+          ))}
+          <span className="text-zinc-400">?</span>
+        </div>
+      )}
+      {active.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-zinc-400">{t('Try removing a filter:')}</span>
+          {active.map(([key, value]) => (
+            <button key={key} onClick={()=>clear(key)} className="px-2 py-1 rounded bg-zinc-800 hover:bg-zinc-700 text-xs">{t(FILTER_LABELS[key])}: {value} ✕</button>
+          ))}
+          <button onClick={clearAll} className="text-emerald-400 hover:text-emerald-300 text-xs">{t('Clear all')}</button>
+        </div>
+      )}
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-zinc-400">{t('Or browse:')}</span>
+        {CATEGORIES.map(([id, label]) => (
+          <Link key={id} to={`/shop?category=${id}`} className="px-2 py-1 rounded border border-zinc-800 hover:border-zinc-700 text-xs">{t(label)}</Link>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default function Shop(){
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [result, setResult] = useState({ items: [], total: 0, facets: {} })
+  const [q, setQ] = useState(searchParams.get('q') || '')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [attempt, setAttempt] = useState(0)
+  const latest = useRef(0)
+  const debouncedQ = useDebounced(q, 300)
+
+  const page = Math.max(1, parseInt(searchParams.get('page') || 1))
+  const get = (key) => searchParams.get(key) || ''
+
+  // Changing any filter returns to the first page.
+  const setParam = (key, value, opts) => setSearchParams(prev => {
+    const next = new URLSearchParams(prev)
+    if (value) next.set(key, value)
+    else next.delete(key)
+    if (key !== 'page') next.delete('page')
+    return next
+  }, opts)
+
+  // The search box follows the URL (back/forward) and writes to it once typing pauses.
+  const urlQ = get('q')
+  useEffect(()=>{ setQ(urlQ) }, [urlQ])
+  useEffect(()=>{ if (debouncedQ !== urlQ) setParam('q', debouncedQ, { replace: true }) }, [debouncedQ])
+
+  useEffect(()=>{
+    const id = ++latest.current
+    const params = new URLSearchParams()
+    for (const key of FILTER_KEYS) if (get(key)) params.set(key, get(key))
+    params.set('page', page)
+    params.set('page_size', PAGE_SIZE)
+    setLoading(true)
+    setError('')
+    api.get(`/products?${params.toString()}`, { auth: false })
+      .then(data => {
+        if (id !== latest.current) return
+        // Older backends return a bare array with no paging metadata.
+        setResult(Array.isArray(data) ? { items: data, total: data.length, facets: {} } : data)
+      })
+      .catch(err => { if (id === latest.current) setError(err.message) })
+      .finally(() => { if (id === latest.current) setLoading(false) })
+  }, [searchParams, attempt])
+
+  const pages = Math.max(1, Math.ceil(result.total / PAGE_SIZE))
+  const active = FILTER_KEYS.filter(k => k !== 'sort' && get(k)).map(k => [k, get(k)])
+  const brands = result.facets?.brands || []
+  const resolutions = result.facets?.resolutions || DEFAULT_RESOLUTIONS
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+      <aside className="space-y-3 text-sm">
+        <div>
+          <div className="text-zinc-400 mb-1">{t('Category')}</div>
+          <select value={get('category')} onChange={e=>setParam('category', e.target.value)} className={`${fieldClass} w-full`}>
+            <option value="">{t('All categories')}</option>
+            {CATEGORIES.map(([id, label]) => <option key={id} value={id}>{t(label)}</option>)}
+          </select>
+        </div>
+        <div>
+          <div className="text-zinc-400 mb-1">{t('Price')}</div>
+          <div className="flex gap-2">
+            <input type="number" min="0" placeholder={t('Min')} defaultValue={get('min_price')} key={`min${get('min_price')}`} onBlur={e=>{ if (e.target.value !== get('min_price')) setParam('min_price', e.target.value) }} className={`${fieldClass} w-full`} />
+            <input type="number" min="0" placeholder={t('Max')} defaultValue={get('max_price')} key={`max${get('max_price')}`} onBlur={e=>{ if (e.target.value !== get('max_price')) setParam('max_price', e.target.value) }} className={`${fieldClass} w-full`} />
+          </div>
+        </div>
+        <div>
+          <div className="text-zinc-400 mb-1">{t('Resolution')}</div>
+          <select value={get('resolution')} onChange={e=>setParam('resolution', e.target.value)} className={`${fieldClass} w-full`}>
+            <option value="">{t('Any')}</option>
+            {resolutions.map(r => <option key={r} value={r}>{r}</option>)}
+          </select>
+        </div>
+        <div>
+          <div className="text-zinc-400 mb-1">{t('Placement')}</div>
+          <div className="flex gap-2">
+            {PLACEMENTS.map(([id, label]) => (
+              <button key={id} onClick={()=>setParam('placement', get('placement')===id ? '' : id)} className={`px-3 py-1.5 rounded border ${get('placement')===id?'bg-zinc-800 border-zinc-600':'bg-zinc-900 border-zinc-800 hover:border-zinc-700'}`}>{t(label)}</button>
+            ))}
+          </div>
+        </div>
+        {brands.length > 0 && (
+          <div>
+            <div className="text-zinc-400 mb-1">{t('Brand')}</div>
+            <select value={get('brand')} onChange={e=>setParam('brand', e.target.value)} className={`${fieldClass} w-full`}>
+              <option value="">{t('Any')}</option>
+              {brands.map(b => <option key={b} value={b}>{b}</option>)}
+            </select>
+          </div>
+        )}
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={get('in_stock')==='true'} onChange={e=>setParam('in_stock', e.target.checked ? 'true' : '')} /> {t('In stock only')}
+        </label>
+      </aside>
+
+      <div className="md:col-span-3 space-y-3">
+        <Link to="/builder" className="block p-3 rounded border border-emerald-500/30 bg-emerald-500/10 text-sm hover:border-emerald-500/50">
+          {t('Not sure which pieces work together?')} <span className="text-emerald-400">{t('Build a complete camera system')} →</span>
+        </Link>
+        <div className="flex flex-wrap gap-2 items-center">
+          <input placeholder={t('Search products')} value={q} onChange={e=>setQ(e.target.value)} className={`${fieldClass} flex-1 min-w-[12rem]`} />
+          <select value={get('sort')} onChange={e=>setParam('sort', e.target.value)} className={fieldClass}>
+            {SORTS.map(([id, label]) => <option key={id} value={id}>{t(label)}</option>)}
+          </select>
+        </div>
+        <div className="text-xs text-zinc-500">{loading ? t('Loading...') : tn(result.total, '{count} product', '{count} products')}</div>
+
+        {error && <ErrorPanel message={error} onRetry={()=>setAttempt(a => a + 1)} />}
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+          {result.items.map(p => <ProductCard key={p._id} p={p} />)}
+          {loading && result.items.length===0 && Array.from({ length: 6 }, (_, i) => <Skeleton key={i} className="h-64" />)}
+        </div>
+        {result.items.length===0 && !loading && !error && (
+          <EmptyState active={active} suggestions={result.suggestions} clear={key => setParam(key, '')} clearAll={()=>setSearchParams({})} />
+        )}
+
+        {pages > 1 && (
+          <div className="flex items-center justify-center gap-2 pt-2">
+            <button onClick={()=>setParam('page', page - 1)} disabled={page<=1} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 disabled:opacity-50">{t('Previous')}</button>
+            <span className="text-sm text-zinc-400">{t('Page {page} of {pages}', { page, pages })}</span>
+            <button onClick={()=>setParam('page', page + 1)} disabled={page>=pages} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 disabled:opacity-50">{t('Next')}</button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
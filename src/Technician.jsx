@@ -0,0 +1,229 @@
+import { useEffect, useRef, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { api } from './api'
+import { formatAddress } from './Checkout'
+import { formatSchedule, serviceLabel, wiringLabel } from './Services'
+import { ErrorPanel, ListSkeleton, Skeleton, toast } from './Feedback'
+import { t } from './i18n'
+import { inputClass } from './styles'
+
+// Field workflow a technician moves an assigned job through.
+export const JOB_FLOW = ['assigned','en_route','in_progress','completed']
+
+export const JOB_LABELS = {
+  requested: 'Requested',
+  assigned: 'Assigned',
+  en_route: 'En route',
+  in_progress: 'In progress',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+}
+
+// Button and toast text for the steps a technician moves a job to by hand.
+const NEXT_STEPS = {
+  en_route: { action: 'Mark en route', done: 'Job marked en route' },
+  in_progress: { action: 'Mark in progress', done: 'Job marked in progress' },
+}
+
+// Total stroke length, in canvas pixels, below which a signature is treated as a stray tap.
+const MIN_SIGNATURE_LENGTH = 60
+
+function SignaturePad({ onChange }) {
+  const canvas = useRef(null)
+  const drawing = useRef(false)
+  const last = useRef(null)
+  const length = useRef(0)
+
+  // The canvas is scaled by CSS, so pointer offsets are mapped back to its own pixels.
+  const point = (e) => {
+    const c = canvas.current
+    const r = c.getBoundingClientRect()
+    return [(e.clientX - r.left) * c.width / r.width, (e.clientY - r.top) * c.height / r.height]
+  }
+  const start = (e) => {
+    drawing.current = true
+    last.current = point(e)
+    const ctx = canvas.current.getContext('2d')
+    ctx.beginPath()
+    ctx.moveTo(...last.current)
+  }
+  const move = (e) => {
+    if (!drawing.current) return
+    const [x, y] = point(e)
+    length.current += Math.hypot(x - last.current[0], y - last.current[1])
+    last.current = [x, y]
+    const ctx = canvas.current.getContext('2d')
+    ctx.lineWidth = 2
+    ctx.strokeStyle = '#e4e4e7'
+    ctx.lineTo(x, y)
+    ctx.stroke()
+  }
+  const end = () => {
+    if (!drawing.current) return
+    drawing.current = false
+    onChange(length.current >= MIN_SIGNATURE_LENGTH ? canvas.current.toDataURL('image/png') : '')
+  }
+  const clear = () => {
+    canvas.current.getContext('2d').clearRect(0, 0, canvas.current.width, canvas.current.height)
+    length.current = 0
+    onChange('')
+  }
+
+  return (
+    <div className="space-y-1">
+      <canvas ref={canvas} width={400} height={140} onPointerDown={start} onPointerMove={move} onPointerUp={end} onPointerLeave={end}
+        className="w-full max-w-md h-36 bg-zinc-950 border border-zinc-800 rounded touch-none" />
+      <button onClick={clear} className="text-xs text-zinc-400 hover:text-zinc-200">{t('Clear signature')}</button>
+    </div>
+  )
+}
+
+export default function TechnicianJobs() {
+  const [jobs, setJobs] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [showDone, setShowDone] = useState(false)
+
+  const load = () => {
+    setLoading(true)
+    setError('')
+    api.get('/technician/jobs')
+      .then(setJobs)
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false))
+  }
+  useEffect(load, [])
+
+  if (loading) return <ListSkeleton rows={4} />
+  if (error) return <ErrorPanel message={error} onRetry={load} />
+  const visible = jobs.filter(j => showDone || !['completed','cancelled'].includes(j.status))
+
+  return (
+    <div className="space-y-2">
+      <label className="flex items-center gap-2 text-sm text-zinc-400">
+        <input type="checkbox" checked={showDone} onChange={e=>setShowDone(e.target.checked)} /> {t('Show completed and cancelled jobs')}
+      </label>
+      {visible.map(j => (
+        <Link key={j._id} to={`/jobs/${j._id}`} className="block p-3 rounded border border-zinc-800 bg-zinc-900 hover:border-zinc-700">
+          <div className="flex items-center justify-between">
+            <div className="font-medium">{serviceLabel(j.service_type)}</div>
+            <span className="text-xs text-zinc-400">{t(JOB_LABELS[j.status] || j.status)}</span>
+          </div>
+          <div className="text-sm text-zinc-400">{formatAddress(j.address)}</div>
+          <div className="text-xs text-zinc-500">{formatSchedule(j)}</div>
+        </Link>
+      ))}
+      {visible.length===0 && <p className="text-zinc-500">{t('No jobs assigned to you.')}</p>}
+    </div>
+  )
+}
+
+export function JobDetail() {
+  const { id } = useParams()
+  const [job, setJob] = useState(null)
+  const [notes, setNotes] = useState('')
+  const [serials, setSerials] = useState('')
+  const [signerName, setSignerName] = useState('')
+  const [signature, setSignature] = useState('')
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const load = async () => {
+    setError('')
+    try {
+      const j = await api.get(`/technician/jobs/${id}`)
+      setJob(j)
+      setNotes(j.notes || '')
+      setSerials((j.serial_numbers || []).join('\n'))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+  useEffect(()=>{ load() }, [id])
+
+  const update = async (body, done) => {
+    setError('')
+    setBusy(true)
+    try {
+      await api.patch(`/technician/jobs/${id}`, body)
+      if (done) toast(done)
+      await load()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (!job) return error ? <ErrorPanel message={error} onRetry={load} /> : <Skeleton className="h-64 max-w-3xl" />
+
+  const serialList = serials.split(/[\n,]/).map(s => s.trim()).filter(Boolean)
+  const stage = JOB_FLOW.indexOf(job.status)
+  const nextStatus = stage >= 0 && stage < JOB_FLOW.length - 2 ? JOB_FLOW[stage + 1] : null
+  const canComplete = job.status === 'in_progress'
+
+  const complete = () => {
+    if (!signerName.trim() || !signature) return setError(t('Customer name and a full signature are required to complete the job.'))
+    update({ status: 'completed', notes, serial_numbers: serialList, signoff: { name: signerName.trim(), signature } }, t('Job completed'))
+  }
+
+  return (
+    <div className="space-y-4 max-w-3xl">
+      <Link to="/jobs" className="text-sm text-zinc-400 hover:text-zinc-200">← {t('All jobs')}</Link>
+      <div className="p-4 rounded border border-zinc-800 bg-zinc-900 space-y-1 text-sm">
+        <div className="flex items-center justify-between">
+          <div className="font-medium text-base">{serviceLabel(job.service_type)}</div>
+          <span className="text-xs text-zinc-400">{t(JOB_LABELS[job.status] || job.status)}</span>
+        </div>
+        <div>{formatAddress(job.address)}</div>
+        {job.address?.phone && <div className="text-zinc-400">{job.address.phone}</div>}
+        <div className="text-zinc-400">{formatSchedule(job)}</div>
+        {job.premises && (
+          <div className="text-zinc-400">{t('Cameras')}: {t('{indoor} indoor, {outdoor} outdoor', { indoor: job.premises.indoor_cameras, outdoor: job.premises.outdoor_cameras })} • {wiringLabel(job.premises.wiring)}</div>
+        )}
+        {job.premises?.notes && <div className="text-zinc-400">{t('Customer notes: {notes}', { notes: job.premises.notes })}</div>}
+        {job.products?.length > 0 && <div className="text-zinc-400">{t('Equipment: {items}', { items: job.products.map(p => `${p.name || p.product_id} × ${p.qty}`).join(', ') })}</div>}
+      </div>
+
+      <div className="flex gap-2 text-sm">
+        {JOB_FLOW.map((s, i) => (
+          <div key={s} className={`px-3 py-1.5 rounded border ${i<=stage?'bg-zinc-800 border-zinc-600':'bg-zinc-900 border-zinc-800 text-zinc-500'}`}>{t(JOB_LABELS[s])}</div>
+        ))}
+      </div>
+
+      {job.status === 'completed' ? (
+        <div className="p-4 rounded border border-zinc-800 bg-zinc-900 text-sm space-y-1">
+          {job.notes && <div><span className="text-zinc-400">{t('Notes')}:</span> {job.notes}</div>}
+          {job.serial_numbers?.length > 0 && <div><span className="text-zinc-400">{t('Installed serials')}:</span> {job.serial_numbers.join(', ')}</div>}
+          {job.signoff && <div><span className="text-zinc-400">{t('Signed off by')}:</span> {job.signoff.name}</div>}
+        </div>
+      ) : job.status !== 'cancelled' && (
+        <div className="space-y-3">
+          <div>
+            <label className="block text-sm text-zinc-400 mb-1">{t('Job notes')}</label>
+            <textarea value={notes} onChange={e=>setNotes(e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm text-zinc-400 mb-1">{t('Installed serial numbers (one per line)')}</label>
+            <textarea value={serials} onChange={e=>setSerials(e.target.value)} rows={3} className={`${inputClass} font-mono text-sm`} />
+          </div>
+          <button onClick={()=>update({ notes, serial_numbers: serialList }, t('Notes saved'))} disabled={busy} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-sm disabled:opacity-50">{t('Save notes')}</button>
+
+          {nextStatus && (
+            <button onClick={()=>update({ status: nextStatus, notes, serial_numbers: serialList }, t(NEXT_STEPS[nextStatus].done))} disabled={busy} className="ml-2 px-3 py-1.5 rounded bg-emerald-600 hover:bg-emerald-500 text-sm disabled:opacity-50">{t(NEXT_STEPS[nextStatus].action)}</button>
+          )}
+
+          {canComplete && (
+            <div className="p-4 rounded border border-zinc-800 bg-zinc-900 space-y-2">
+              <div className="font-medium">{t('Customer sign-off')}</div>
+              <input placeholder={t('Customer name')} value={signerName} onChange={e=>setSignerName(e.target.value)} className={inputClass} />
+              <SignaturePad onChange={setSignature} />
+              <button onClick={complete} disabled={busy} className="px-3 py-1.5 rounded bg-emerald-600 hover:bg-emerald-500 text-sm disabled:opacity-50">{t('Complete job')}</button>
+            </div>
+          )}
+        </div>
+      )}
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+    </div>
+  )
+}
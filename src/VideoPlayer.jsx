@@ -0,0 +1,57 @@
+import { forwardRef, useEffect, useImperativeHandle, useRef } from 'react'
+import Hls from 'hls.js'
+import { downloadFile } from './csv'
+
+// Plays an HLS url with hls.js, or natively where the browser supports it (Safari, iOS).
+const HlsVideo = forwardRef(function HlsVideo({ src, live = false, onError, className = '', ...props }, ref) {
+  const video = useRef(null)
+  useImperativeHandle(ref, () => video.current)
+
+  useEffect(()=>{
+    const el = video.current
+    if (!src || !el) return
+    const start = () => el.play().catch(() => {})
+
+    if (!Hls.isSupported()) {
+      if (!el.canPlayType('application/vnd.apple.mpegurl')) return onError?.('This browser cannot play live video.')
+      el.src = src
+      el.addEventListener('loadedmetadata', start, { once: true })
+      return () => { el.removeAttribute('src'); el.load() }
+    }
+
+    const hls = new Hls({ lowLatencyMode: live, liveDurationInfinity: live })
+    hls.on(Hls.Events.MANIFEST_PARSED, start)
+    hls.on(Hls.Events.ERROR, (_, data) => {
+      if (!data.fatal) return
+      if (data.type === Hls.ErrorTypes.NETWORK_ERROR) onError?.('Stream unavailable. The camera may be offline.')
+      else if (data.type === Hls.ErrorTypes.MEDIA_ERROR) hls.recoverMediaError()
+      else onError?.('Playback failed.')
+    })
+    hls.loadSource(src)
+    hls.attachMedia(el)
+    return () => hls.destroy()
+  }, [src])
+
+  return <video ref={video} muted={live} playsInline crossOrigin="anonymous" className={`w-full h-full bg-black object-contain ${className}`} {...props} />
+})
+
+export default HlsVideo
+
+// Saves the current frame as a PNG. Fails when the stream host doesn't allow CORS.
+export function downloadSnapshot(el, filename) {
+  const canvas = document.createElement('canvas')
+  canvas.width = el.videoWidth
+  canvas.height = el.videoHeight
+  canvas.getContext('2d').drawImage(el, 0, 0)
+  return new Promise((resolve, reject) => {
+    try {
+      canvas.toBlob(blob => {
+        if (!blob) return reject(new Error('Snapshot failed'))
+        downloadFile(filename, blob)
+        resolve()
+      }, 'image/png')
+    } catch {
+      reject(new Error('This stream does not allow snapshots'))
+    }
+  })
+}
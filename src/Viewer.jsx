@@ -0,0 +1,287 @@
+import { useEffect, useRef, useState } from 'react'
+import { Link, useParams, useSearchParams } from 'react-router-dom'
+import { api } from './api'
+import { getPlan } from './plans'
+import { ErrorPanel, ListSkeleton, Skeleton, toast } from './Feedback'
+import HlsVideo, { downloadSnapshot } from './VideoPlayer'
+import { eventLabel } from './events'
+import { formatDate, formatNumber, t, tn } from './i18n'
+
+const LAYOUTS = [1, 4, 9]
+
+const GRID_CLASSES = {
+  1: 'grid-cols-1',
+  4: 'grid-cols-1 sm:grid-cols-2',
+  9: 'grid-cols-2 sm:grid-cols-3',
+}
+
+const SPEEDS = [0.5, 1, 2, 4, 8]
+
+const DAY = 86400000
+
+const toDate = (ms) => new Date(ms).toLocaleDateString('en-CA')
+const dayStart = (date) => new Date(`${date}T00:00`).getTime()
+const clock = (ms) => formatDate(ms, { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+
+// Devices and the plan they're viewed under; both views need them.
+function useCameras() {
+  const [devices, setDevices] = useState(null)
+  const [sub, setSub] = useState(null)
+  const [error, setError] = useState('')
+
+  const load = async () => {
+    setError('')
+    try {
+      const [d, s] = await Promise.all([api.get('/devices'), api.get('/subscription')])
+      setDevices(d)
+      setSub(s)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+  useEffect(()=>{ load() }, [])
+
+  return { devices, plan: getPlan(sub?.plan), error, load }
+}
+
+function UpgradePrompt({ plan }) {
+  return (
+    <div className="p-6 rounded border border-zinc-800 bg-zinc-900 text-sm text-zinc-400 space-y-2">
+      <div className="text-zinc-100 font-medium">{t("Remote viewing isn't included in the {plan} plan", { plan: plan.name })}</div>
+      <p>{t('Upgrade to watch your cameras live and play back recordings from anywhere.')}</p>
+      <Link to="/account/plans" className="inline-block text-emerald-400 hover:text-emerald-300">{t('Compare plans')}</Link>
+    </div>
+  )
+}
+
+function LiveTile({ device, onExpand }) {
+  const [src, setSrc] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(()=>{
+    setSrc('')
+    setError('')
+    if (device.status !== 'online') return setError(t('Camera offline'))
+    let cancelled = false
+    api.get(`/devices/${device._id}/stream`)
+      .then(s => { if (!cancelled) setSrc(s.url) })
+      .catch(err => { if (!cancelled) setError(err.message) })
+    return () => { cancelled = true }
+  }, [device._id, device.status])
+
+  return (
+    <div className="relative aspect-video bg-black rounded overflow-hidden border border-zinc-800 group">
+      {src && !error && <HlsVideo src={src} live onError={setError} />}
+      {(error || !src) && <div className="absolute inset-0 flex items-center justify-center text-xs text-zinc-500">{error || t('Connecting...')}</div>}
+      <div className="absolute top-0 inset-x-0 px-2 py-1 bg-gradient-to-b from-black/70 to-transparent flex items-center justify-between gap-2 text-xs">
+        <span className="flex items-center gap-1.5">
+          {src && !error && <span className="w-1.5 h-1.5 rounded-full bg-red-500" />}
+          {device.name} <span className="text-zinc-400">{device.site_name}</span>
+        </span>
+        <span className="flex gap-2 sm:opacity-0 group-hover:opacity-100">
+          <Link to={`/cameras/${device._id}/playback`} className="text-zinc-300 hover:text-white">{t('Playback')}</Link>
+          {onExpand && <button onClick={onExpand} className="text-zinc-300 hover:text-white">{t('Expand')}</button>}
+        </span>
+      </div>
+    </div>
+  )
+}
+
+export function LiveView() {
+  const { devices, plan, error, load } = useCameras()
+  const [params, setParams] = useSearchParams()
+  const layout = LAYOUTS.includes(+params.get('layout')) ? +params.get('layout') : 4
+  const page = +params.get('page') || 0
+
+  const show = (values) => setParams(prev => {
+    const next = new URLSearchParams(prev)
+    for (const [k, v] of Object.entries(values)) v ? next.set(k, v) : next.delete(k)
+    return next
+  })
+
+  if (!devices) return error ? <ErrorPanel message={error} onRetry={load} /> : <ListSkeleton rows={2} className="h-48" />
+  if (!plan.remoteViewing) return <UpgradePrompt plan={plan} />
+
+  const pages = Math.max(1, Math.ceil(devices.length / layout))
+  const current = Math.min(page, pages - 1)
+  const visible = devices.slice(current * layout, current * layout + layout)
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <Link to="/cameras" className="text-sm text-zinc-400 hover:text-zinc-200">← {t('My cameras')}</Link>
+        <div className="flex items-center gap-1 text-sm">
+          {LAYOUTS.map(n => (
+            <button key={n} onClick={()=>show({ layout: n, page: Math.floor(current * layout / n) })} className={`px-3 py-1 rounded ${layout===n ? 'bg-emerald-600' : 'bg-zinc-800 hover:bg-zinc-700'}`}>{n === 1 ? t('Single') : t('{count} up', { count: formatNumber(n) })}</button>
+          ))}
+        </div>
+      </div>
+      {devices.length===0 && <div className="p-6 rounded border border-zinc-800 bg-zinc-900 text-sm text-zinc-400">{t('No cameras registered yet.')}</div>}
+      <div className={`grid gap-2 ${GRID_CLASSES[layout]}`}>
+        {visible.map((d, i) => <LiveTile key={d._id} device={d} onExpand={layout > 1 ? ()=>show({ layout: 1, page: current * layout + i }) : null} />)}
+      </div>
+      {pages > 1 && (
+        <div className="flex items-center justify-center gap-3 text-sm">
+          <button disabled={current===0} onClick={()=>show({ page: current - 1 })} className="px-3 py-1 rounded bg-zinc-800 hover:bg-zinc-700 disabled:opacity-50">{t('Previous')}</button>
+          <span className="text-zinc-400">{layout === 1 ? visible[0]?.name : t('Page {page} of {pages}', { page: formatNumber(current + 1), pages: formatNumber(pages) })}</span>
+          <button disabled={current>=pages-1} onClick={()=>show({ page: current + 1 })} className="px-3 py-1 rounded bg-zinc-800 hover:bg-zinc-700 disabled:opacity-50">{t('Next')}</button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// 24 hour bar: recorded segments, motion markers and the playhead. Click anywhere to seek.
+function Timeline({ start, segments, events, position, cutoff, onSeek }) {
+  const pct = (ms) => `${Math.min(100, Math.max(0, (ms - start) / DAY * 100))}%`
+  const seek = (e) => {
+    const box = e.currentTarget.getBoundingClientRect()
+    onSeek(start + (e.clientX - box.left) / box.width * DAY)
+  }
+  return (
+    <div className="space-y-1">
+      <div onClick={seek} className="relative h-10 rounded bg-zinc-950 border border-zinc-800 cursor-pointer overflow-hidden">
+        {cutoff > start && <div className="absolute inset-y-0 left-0 bg-zinc-800/60" style={{ width: pct(cutoff) }} title={t("Outside your plan's retention window")} />}
+        {segments.map(s => (
+          <div key={s.start} className="absolute top-2 bottom-2 bg-emerald-600/60" style={{ left: pct(new Date(s.start)), width: `calc(${pct(new Date(s.end))} - ${pct(new Date(s.start))})` }} />
+        ))}
+        {events.map(ev => (
+          <div key={ev.at} className="absolute inset-y-0 w-0.5 bg-amber-400" style={{ left: pct(new Date(ev.at)) }} title={t('{event} at {time}', { event: eventLabel(ev.type), time: clock(ev.at) })} />
+        ))}
+        {position && <div className="absolute inset-y-0 w-0.5 bg-white" style={{ left: pct(position) }} />}
+      </div>
+      <div className="flex justify-between text-[10px] text-zinc-500">
+        {[0, 3, 6, 9, 12, 15, 18, 21, 24].map(h => <span key={h}>{String(h).padStart(2, '0')}:00</span>)}
+      </div>
+    </div>
+  )
+}
+
+export function Playback() {
+  const { id } = useParams()
+  const { devices, plan, error, load } = useCameras()
+  const [params, setParams] = useSearchParams()
+  const [recordings, setRecordings] = useState(null)
+  const [recordingsError, setRecordingsError] = useState('')
+  const [segment, setSegment] = useState(null)
+  const [position, setPosition] = useState(null)
+  const [speed, setSpeed] = useState(1)
+  const [playError, setPlayError] = useState('')
+  const video = useRef(null)
+  const offset = useRef(0)
+
+  const today = toDate(Date.now())
+  const earliest = toDate(Date.now() - (plan.retentionDays - 1) * DAY)
+  const requested = params.get('date') || today
+  const date = requested > today ? today : requested < earliest ? earliest : requested
+  const start = dayStart(date)
+  const device = devices?.find(d => d._id === id)
+
+  const loadRecordings = async () => {
+    setRecordings(null)
+    setRecordingsError('')
+    setSegment(null)
+    setPosition(null)
+    try {
+      const from = new Date(start).toISOString()
+      const to = new Date(start + DAY).toISOString()
+      setRecordings(await api.get(`/devices/${id}/recordings?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`))
+    } catch (err) {
+      setRecordingsError(err.message)
+    }
+  }
+  useEffect(()=>{ if (device && plan.remoteViewing) loadRecordings() }, [id, date, !!device, plan.remoteViewing])
+
+  useEffect(()=>{ if (video.current) video.current.playbackRate = speed }, [speed])
+
+  const segments = recordings?.segments || []
+  const events = recordings?.events || []
+
+  // Jumps into the segment covering `ms`, or the next one when `ms` falls in a gap.
+  const seek = (ms) => {
+    const target = segments.find(s => new Date(s.end) > ms)
+    if (!target) return toast(t('No recording after this point'), { type: 'info' })
+    const at = Math.max(ms, +new Date(target.start))
+    setPlayError('')
+    setPosition(at)
+    if (segment === target && video.current) {
+      video.current.currentTime = (at - new Date(target.start)) / 1000
+      video.current.play().catch(() => {})
+    } else {
+      offset.current = (at - new Date(target.start)) / 1000
+      setSegment(target)
+    }
+  }
+
+  const onLoaded = () => {
+    video.current.currentTime = offset.current
+    video.current.playbackRate = speed
+  }
+  const onTime = () => segment && setPosition(+new Date(segment.start) + video.current.currentTime * 1000)
+  const onEnded = () => {
+    const next = segments[segments.indexOf(segment) + 1]
+    if (next) { offset.current = 0; setSegment(next) }
+  }
+
+  const snapshot = async () => {
+    try {
+      await downloadSnapshot(video.current, `${device.name} ${date} ${clock(position).replaceAll(':', '-')}.png`)
+    } catch (err) {
+      toast(t('Could not take snapshot'), { type: 'error', description: err.message })
+    }
+  }
+
+  const changeDate = (value) => setParams(prev => {
+    const next = new URLSearchParams(prev)
+    next.set('date', value)
+    return next
+  }, { replace: true })
+
+  if (!devices) return error ? <ErrorPanel message={error} onRetry={load} /> : <Skeleton className="aspect-video" />
+  if (!device) return <div className="text-zinc-400">{t('Camera not found.')} <Link to="/cameras" className="text-emerald-400">{t('Back to my cameras')}</Link></div>
+  if (!plan.remoteViewing) return <UpgradePrompt plan={plan} />
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <Link to="/cameras/live" className="text-sm text-zinc-400 hover:text-zinc-200">← {t('Live view')}</Link>
+          <div className="font-medium">{device.name} <span className="text-sm text-zinc-500">{device.site_name}</span></div>
+        </div>
+        <div className="flex items-center gap-2 text-sm">
+          <input type="date" value={date} min={earliest} max={today} onChange={e=>e.target.value && changeDate(e.target.value)} className="bg-zinc-950 border border-zinc-800 rounded px-2 py-1" />
+          <select value={speed} onChange={e=>setSpeed(+e.target.value)} className="bg-zinc-950 border border-zinc-800 rounded px-2 py-1">
+            {SPEEDS.map(s => <option key={s} value={s}>{formatNumber(s)}×</option>)}
+          </select>
+          <button onClick={snapshot} disabled={!segment} className="px-3 py-1 rounded bg-zinc-800 hover:bg-zinc-700 disabled:opacity-50">{t('Snapshot')}</button>
+        </div>
+      </div>
+
+      <div className="relative aspect-video bg-black rounded overflow-hidden border border-zinc-800">
+        {segment && <HlsVideo ref={video} src={segment.url} controls onError={setPlayError} onLoadedMetadata={onLoaded} onTimeUpdate={onTime} onEnded={onEnded} />}
+        {(!segment || playError) && (
+          <div className="absolute inset-0 flex items-center justify-center text-sm text-zinc-500">
+            {playError || (segments.length ? t('Pick a point on the timeline to start playback') : recordings ? t('No recordings on this day') : '')}
+          </div>
+        )}
+        {position && <div className="absolute top-2 left-2 px-2 py-0.5 rounded bg-black/60 text-xs font-mono">{clock(position)}</div>}
+      </div>
+
+      {recordingsError ? <ErrorPanel message={recordingsError} onRetry={loadRecordings} />
+        : !recordings ? <Skeleton className="h-10" />
+        : <Timeline start={start} segments={segments} events={events} position={position} cutoff={Date.now() - plan.retentionDays * DAY} onSeek={seek} />}
+      <p className="text-xs text-zinc-500">{tn(plan.retentionDays, 'Recordings are kept for {count} day on the {plan} plan.', 'Recordings are kept for {count} days on the {plan} plan.', { plan: plan.name })}</p>
+
+      {events.length > 0 && (
+        <div className="space-y-1">
+          <div className="text-sm font-medium">{t('Motion events')} <span className="text-zinc-500">({formatNumber(events.length)})</span></div>
+          <div className="flex flex-wrap gap-1">
+            {events.map(ev => (
+              <button key={ev.at} onClick={()=>seek(+new Date(ev.at) - 5000)} className="px-2 py-0.5 rounded bg-zinc-900 border border-zinc-800 hover:border-amber-500/50 text-xs font-mono">{clock(ev.at)}</button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
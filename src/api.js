@@ -0,0 +1,166 @@
+export const API = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
+
+export class ApiError extends Error {
+  constructor(message, status = 0, data = null) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.data = data
+  }
+}
+
+// Raised when the session could not be refreshed; the user has been logged out.
+export class SessionExpiredError extends ApiError {
+  constructor() {
+    super('Your session has expired. Please sign in again.', 401)
+    this.name = 'SessionExpiredError'
+  }
+}
+
+// Raised when the backend could not be reached at all.
+export class NetworkError extends ApiError {
+  constructor(cause) {
+    super('Could not reach the server. Check your connection and try again.')
+    this.name = 'NetworkError'
+    this.cause = cause
+  }
+}
+
+const listeners = new Set()
+
+export function getSession() {
+  const user = localStorage.getItem('user')
+  return {
+    token: localStorage.getItem('token') || '',
+    refreshToken: localStorage.getItem('refresh_token') || '',
+    user: user ? JSON.parse(user) : null,
+  }
+}
+
+export function setSession({ token, refresh_token, user }) {
+  localStorage.setItem('token', token)
+  if (refresh_token) localStorage.setItem('refresh_token', refresh_token)
+  if (user) localStorage.setItem('user', JSON.stringify(user))
+  listeners.forEach(fn => fn(getSession(), null))
+}
+
+// Replaces the stored user after a profile change without touching tokens.
+export function updateUser(user) {
+  localStorage.setItem('user', JSON.stringify(user))
+  listeners.forEach(fn => fn(getSession(), null))
+}
+
+export function clearSession(reason = null) {
+  localStorage.removeItem('token')
+  localStorage.removeItem('refresh_token')
+  localStorage.removeItem('user')
+  listeners.forEach(fn => fn(getSession(), reason))
+}
+
+// Subscribe to login/refresh/logout. The callback gets the new session and,
+// on forced logout, the error that caused it.
+export function onSessionChange(fn) {
+  listeners.add(fn)
+  return () => listeners.delete(fn)
+}
+
+function tokenExpired(token) {
+  try {
+    const { exp } = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')))
+    return typeof exp === 'number' && exp * 1000 <= Date.now()
+  } catch {
+    // Opaque (non-JWT) tokens are only known to be expired once the backend says so.
+    return false
+  }
+}
+
+let refreshing = null
+
+// Concurrent 401s share a single refresh request.
+function refreshSession() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const { refreshToken } = getSession()
+      if (!refreshToken) return false
+      try {
+        const res = await fetch(`${API}/auth/refresh`, {
+          method: 'POST', headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refresh_token: refreshToken })
+        })
+        if (!res.ok) return false
+        setSession(await res.json())
+        return true
+      } catch {
+        return false
+      }
+    })().finally(() => { refreshing = null })
+  }
+  return refreshing
+}
+
+async function parseBody(res) {
+  if (res.status === 204) return null
+  const text = await res.text()
+  if (!text) return null
+  try { return JSON.parse(text) } catch { return text }
+}
+
+function errorMessage(data, res) {
+  if (data && typeof data === 'object') {
+    if (typeof data.detail === 'string') return data.detail
+    if (Array.isArray(data.detail)) return data.detail.map(d => d.msg).filter(Boolean).join(', ')
+    if (data.message) return data.message
+  }
+  return `Request failed (${res.status})`
+}
+
+function send(path, { method, body, headers, auth }) {
+  const h = { ...headers }
+  const isForm = body instanceof FormData
+  if (body !== undefined && !isForm) h['Content-Type'] = 'application/json'
+  const { token } = getSession()
+  if (auth && token) h['Authorization'] = `Bearer ${token}`
+  return fetch(`${API}${path}`, {
+    method, headers: h,
+    body: body === undefined ? undefined : (isForm ? body : JSON.stringify(body))
+  })
+}
+
+// `refresh: false` is for calls that check a password or code the user typed: their
+// 401 means the credential was wrong, not that the session expired.
+export async function request(path, { method = 'GET', body, headers = {}, auth = true, refresh = true } = {}) {
+  const opts = { method, body, headers, auth }
+  if (auth && getSession().token && tokenExpired(getSession().token) && !(await refreshSession())) {
+    const err = new SessionExpiredError()
+    clearSession(err)
+    throw err
+  }
+
+  let res
+  try {
+    res = await send(path, opts)
+    if (res.status === 401 && auth && refresh && getSession().token) {
+      if (!(await refreshSession())) {
+        const err = new SessionExpiredError()
+        clearSession(err)
+        throw err
+      }
+      res = await send(path, opts)
+    }
+  } catch (err) {
+    if (err instanceof ApiError) throw err
+    throw new NetworkError(err)
+  }
+
+  const data = await parseBody(res)
+  if (!res.ok) throw new ApiError(errorMessage(data, res), res.status, data)
+  return data
+}
+
+export const api = {
+  get: (path, opts) => request(path, { ...opts, method: 'GET' }),
+  post: (path, body, opts) => request(path, { ...opts, method: 'POST', body }),
+  put: (path, body, opts) => request(path, { ...opts, method: 'PUT', body }),
+  patch: (path, body, opts) => request(path, { ...opts, method: 'PATCH', body }),
+  del: (path, opts) => request(path, { ...opts, method: 'DELETE' }),
+}
@@ -0,0 +1,102 @@
+// Sizing rules for the system builder. All figures are deliberately
+// conservative so a proposed bundle never under-provisions.
+
+import { formatNumber, t, tn } from './i18n'
+
+export const PROPERTY_SIZES = [
+  { id: 'apartment', label: 'Apartment', cableRun: 10 },
+  { id: 'house', label: 'House', cableRun: 20 },
+  { id: 'large_house', label: 'Large house / farm', cableRun: 35 },
+  { id: 'commercial', label: 'Shop / office', cableRun: 45 },
+]
+
+export const RESOLUTIONS = ['2MP', '4MP', '8MP']
+
+export const RETENTION_OPTIONS = [7, 14, 30, 60]
+
+export const CHANNEL_SIZES = [4, 8, 16, 32]
+
+export const DISK_SIZES_TB = [1, 2, 4, 6, 8, 12, 16]
+
+// Average H.265 bitrate in Mbit/s when recording continuously.
+const BITRATE = { '2MP': 1.5, '4MP': 3, '8MP': 6 }
+
+// Typical PoE draw in watts; outdoor cameras run IR illuminators at night.
+const POE_WATTS = { indoor: 4.5, outdoor: 7 }
+
+// Share of the raw figure added on top for cable slack and disk overhead.
+const MARGIN = 0.2
+
+const ceilTo = (sizes, n) => sizes.find(s => s >= n) ?? sizes[sizes.length - 1]
+
+export function storageTb(cameras, resolution, days) {
+  const gb = cameras * BITRATE[resolution] * 86400 * days / 8 / 1000
+  return +(gb * (1 + MARGIN) / 1000).toFixed(2)
+}
+
+export function requirements({ size, indoor, outdoor, resolution, retentionDays }) {
+  const cameras = indoor + outdoor
+  const property = PROPERTY_SIZES.find(p => p.id === size) || PROPERTY_SIZES[1]
+  const needTb = storageTb(cameras, resolution, retentionDays)
+  return {
+    cameras,
+    channels: ceilTo(CHANNEL_SIZES, cameras),
+    poeWatts: +(indoor * POE_WATTS.indoor + outdoor * POE_WATTS.outdoor).toFixed(1),
+    storageTb: needTb,
+    diskTb: ceilTo(DISK_SIZES_TB, needTb),
+    cableMeters: Math.ceil(cameras * property.cableRun * (1 + MARGIN)),
+  }
+}
+
+const spec = (p, key) => p.specs?.[key]
+const num = (v) => parseFloat(v) || 0
+const cheapest = (list) => [...list].sort((a, b) => (a.price || 0) - (b.price || 0))[0] || null
+
+// A product with options is bought as one of them, so the cheapest option in stock
+// stands in for it; products with no option in stock are left out.
+export function purchasable(products) {
+  return products.flatMap(p => {
+    if (!p.variants?.length) return [p]
+    const variant = cheapest(p.variants.filter(v => (v.stock ?? 0) > 0).map(v => ({ ...v, price: v.price ?? p.price })))
+    return variant ? [{ ...p, price: variant.price, variant }] : []
+  })
+}
+
+function pickCamera(cameras, placement, resolution) {
+  const matches = cameras.filter(p => spec(p, 'placement') === placement)
+  const exact = matches.filter(p => spec(p, 'resolution') === resolution)
+  return cheapest(exact) || cheapest(matches) || cheapest(cameras)
+}
+
+// Turns requirements into bundle lines using the live catalog. `catalog`
+// maps a category id to its products.
+export function proposeBundle(input, catalog) {
+  const req = requirements(input)
+  const lines = []
+  const add = (role, category, product, qty, note) => lines.push({ role, category, product, qty, note })
+
+  if (input.indoor > 0) add(t('Indoor cameras'), 'camera', pickCamera(catalog.camera || [], 'indoor', input.resolution), input.indoor, t('{resolution} indoor', { resolution: input.resolution }))
+  if (input.outdoor > 0) add(t('Outdoor cameras'), 'camera', pickCamera(catalog.camera || [], 'outdoor', input.resolution), input.outdoor, t('{resolution} outdoor', { resolution: input.resolution }))
+
+  const nvrs = catalog.nvr || []
+  const nvr = cheapest(nvrs.filter(p => num(spec(p, 'channels')) >= req.channels)) || cheapest(nvrs)
+  add(t('Recorder'), 'nvr', nvr, 1, tn(req.channels, '{count} channel', '{count} channels'))
+
+  // Cameras beyond the recorder's PoE budget need a separate PoE switch.
+  const budget = num(nvr && spec(nvr, 'poe_budget_w'))
+  if (req.poeWatts > budget) {
+    const switches = (catalog.accessory || []).filter(p => num(spec(p, 'poe_budget_w')) > 0)
+    const sw = cheapest(switches.filter(p => num(spec(p, 'poe_budget_w')) >= req.poeWatts - budget)) || cheapest(switches)
+    if (sw) add(t('PoE switch'), 'accessory', sw, 1, t('{needed} W needed, recorder supplies {budget} W', { needed: formatNumber(req.poeWatts), budget: formatNumber(budget) }))
+  }
+
+  const disks = (catalog.accessory || []).filter(p => num(spec(p, 'capacity_tb')) > 0)
+  const disk = cheapest(disks.filter(p => num(spec(p, 'capacity_tb')) >= req.diskTb)) || [...disks].sort((a, b) => num(spec(b, 'capacity_tb')) - num(spec(a, 'capacity_tb')))[0]
+  if (disk) add(t('Storage'), 'accessory', disk, Math.max(1, Math.ceil(req.storageTb / num(spec(disk, 'capacity_tb')))), tn(input.retentionDays, '{size} TB for {count} day', '{size} TB for {count} days', { size: formatNumber(req.storageTb) }))
+
+  const cables = (catalog.cable || []).filter(p => num(spec(p, 'length_m')) > 0)
+  const cable = cheapest(cables.filter(p => num(spec(p, 'length_m')) >= req.cableMeters)) || [...cables].sort((a, b) => num(spec(b, 'length_m')) - num(spec(a, 'length_m')))[0]
+  if (cable) add(t('Cabling'), 'cable', cable, Math.max(1, Math.ceil(req.cableMeters / num(spec(cable, 'length_m')))), t('{length} m estimated', { length: formatNumber(req.cableMeters) }))
+
+  return { req, lines: lines.filter(l => l.product) }
+}
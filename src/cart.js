@@ -0,0 +1,158 @@
+import { useEffect, useState } from 'react'
+import { api, getSession, NetworkError, SessionExpiredError } from './api'
+import { dropQueued, enqueue } from './offline'
+import { money, t } from './i18n'
+
+const listeners = new Set()
+const syncListeners = new Set()
+let syncError = ''
+
+export function getCart() {
+  return JSON.parse(localStorage.getItem('cart') || '[]')
+}
+
+// A product can sit in the cart once per variant.
+export const lineKey = (i) => i.variant ? `${i.product_id}:${i.variant}` : i.product_id
+
+function emit(items) {
+  listeners.forEach(fn => fn(items))
+}
+
+function setSyncError(message) {
+  syncError = message
+  syncListeners.forEach(fn => fn(message))
+}
+
+// Offline changes are queued and sent with the next connection. Other failures
+// are kept in `syncError` until a later save succeeds.
+function pushToServer(items) {
+  if (!getSession().token) return Promise.resolve()
+  const body = { items: items.map(i => ({ product_id: i.product_id, variant: i.variant, qty: i.qty })) }
+  return api.put('/cart', body)
+    .then(() => { dropQueued('cart'); setSyncError('') })
+    .catch(err => {
+      if (err instanceof NetworkError) enqueue({ method: 'put', path: '/cart', body, label: t('Cart changes'), key: 'cart' })
+      else if (!(err instanceof SessionExpiredError)) setSyncError(err.message)
+    })
+}
+
+export const retryCartSync = () => pushToServer(getCart())
+
+// Persists the cart locally and, for logged-in users, mirrors it to the backend.
+export function saveCart(items) {
+  localStorage.setItem('cart', JSON.stringify(items))
+  emit(items)
+  return pushToServer(items)
+}
+
+export function addToCart(p, qty = 1, variant = null) {
+  const existing = getCart()
+  const line = { product_id: p._id, variant: variant?.name, name: p.name, price: variant?.price ?? p.price, qty, image: p.images?.[0] }
+  const idx = existing.findIndex(i => lineKey(i) === lineKey(line))
+  if (idx >= 0) existing[idx].qty += qty
+  else existing.push(line)
+  return saveCart(existing)
+}
+
+export function updateQty(key, delta) {
+  return saveCart(getCart().map(i => lineKey(i)===key ? { ...i, qty: Math.max(1, i.qty + delta) } : i))
+}
+
+export function removeFromCart(key) {
+  return saveCart(getCart().filter(i => lineKey(i) !== key))
+}
+
+export function clearCart() {
+  return saveCart([])
+}
+
+// Drops the device copy without touching the server cart, e.g. on logout.
+export function forgetLocalCart() {
+  localStorage.removeItem('cart')
+  emit([])
+  setSyncError('')
+}
+
+// Merges the server cart into the local one after login. The larger quantity
+// wins so that a cart already synced from this device is not doubled.
+export async function syncCart() {
+  let remote
+  try {
+    remote = await api.get('/cart')
+  } catch {
+    return getCart()
+  }
+  const merged = getCart().map(i => ({ ...i }))
+  for (const r of remote?.items || []) {
+    const local = merged.find(i => lineKey(i) === lineKey(r))
+    if (local) local.qty = Math.max(local.qty, r.qty)
+    else merged.push({ product_id: r.product_id, variant: r.variant, name: r.name, price: r.price, qty: r.qty, image: r.image })
+  }
+  await saveCart(merged)
+  return merged
+}
+
+// Re-reads every line's product and refreshes name, price and stock. Each
+// returned line carries a `warning` when it changed or cannot be fulfilled;
+// `blocking` is true when checkout must not proceed.
+export async function validateCart() {
+  const ids = [...new Set(getCart().map(i => i.product_id))]
+  const fetched = await Promise.all(ids.map(id =>
+    api.get(`/products/${id}`, { auth: false }).catch(err => {
+      if (err.status === 404) return null
+      throw err
+    })
+  ))
+  const products = new Map(ids.map((id, idx) => [id, fetched[idx]]))
+  let changed = false
+  let blocking = false
+  // The cart may have changed while the products loaded, so the current one is
+  // checked; lines added in the meantime are left for the next check.
+  const lines = getCart().map(i => {
+    if (!products.has(i.product_id)) return i
+    const p = products.get(i.product_id)
+    if (!p) {
+      blocking = true
+      return { ...i, stock: 0, warning: t('This product is no longer available.') }
+    }
+    const variant = i.variant ? p.variants?.find(v => v.name === i.variant) : null
+    if (i.variant && !variant) {
+      blocking = true
+      return { ...i, stock: 0, warning: t('The {option} option is no longer available.', { option: i.variant }) }
+    }
+    const price = variant?.price ?? p.price
+    const stock = variant?.stock ?? p.stock ?? 0
+    const line = { ...i, name: p.name, price, image: p.images?.[0] || i.image, stock }
+    if (stock <= 0) {
+      blocking = true
+      line.warning = t('Out of stock.')
+    } else if (i.qty > stock) {
+      blocking = true
+      line.warning = t('Only {count} left in stock.', { count: stock })
+    } else if (price !== i.price) {
+      changed = true
+      line.warning = t('Price changed from {old} to {new}.', { old: money(i.price), new: money(price) })
+    }
+    return line
+  })
+  saveCart(lines.map(({ warning, stock, ...i }) => i))
+  return { lines, changed, blocking }
+}
+
+export function useCart() {
+  const [items, setItems] = useState(getCart)
+  useEffect(() => {
+    listeners.add(setItems)
+    return () => listeners.delete(setItems)
+  }, [])
+  return items
+}
+
+export function useCartSyncError() {
+  const [error, setError] = useState(syncError)
+  useEffect(() => {
+    syncListeners.add(setError)
+    return () => syncListeners.delete(setError)
+  }, [])
+  return error
+}
@@ -0,0 +1,37 @@
+export const CATEGORIES = [
+  ['camera', 'Cameras'],
+  ['accessory', 'Accessories'],
+  ['system', 'Systems'],
+  ['dvr', 'DVR'],
+  ['nvr', 'NVR'],
+  ['cable', 'Cables'],
+  ['service', 'Service'],
+]
+
+export const SPEC_FIELDS = [
+  ['resolution', 'Resolution'],
+  ['lens', 'Lens'],
+  ['night_vision_range', 'Night vision range'],
+  ['ip_rating', 'IP rating'],
+  ['poe', 'PoE'],
+  ['storage_codec', 'Storage codec'],
+]
+
+// Sizing figures the system builder matches products on. Numbers only, in the unit named.
+export const BUILDER_SPEC_FIELDS = [
+  ['channels', 'Recorder channels'],
+  ['poe_budget_w', 'PoE budget (W)'],
+  ['capacity_tb', 'Disk capacity (TB)'],
+  ['length_m', 'Cable length (m)'],
+]
+
+export const PLACEMENTS = [
+  ['indoor', 'Indoor'],
+  ['outdoor', 'Outdoor'],
+]
+
+// Stock at or below this is flagged in the admin catalog.
+export const LOW_STOCK_THRESHOLD = 5
+
+// Total stock across variants, or the product's own stock when it has none.
+export const totalStock = (p) => p.variants?.length ? p.variants.reduce((s, v) => s + (v.stock || 0), 0) : (p.stock ?? 0)
@@ -0,0 +1,44 @@
+const needsQuotes = /[",\n\r]/
+
+export function toCsv(rows, columns) {
+  const cell = (v) => {
+    const s = v == null ? '' : String(v)
+    return needsQuotes.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+  }
+  return [columns.map(cell).join(','), ...rows.map(r => columns.map(c => cell(r[c])).join(','))].join('\n')
+}
+
+// Parses RFC 4180 CSV into objects keyed by the header row.
+export function parseCsv(text) {
+  const rows = []
+  let row = [], field = '', quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (quoted) {
+      if (c === '"' && text[i+1] === '"') { field += '"'; i++ }
+      else if (c === '"') quoted = false
+      else field += c
+    } else if (c === '"') quoted = true
+    else if (c === ',') { row.push(field); field = '' }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i+1] === '\n') i++
+      row.push(field); rows.push(row); row = []; field = ''
+    } else field += c
+  }
+  if (field || row.length) { row.push(field); rows.push(row) }
+  const [header, ...body] = rows.filter(r => r.some(v => v !== ''))
+  if (!header) return []
+  return body.map(r => Object.fromEntries(header.map((h, i) => [h.trim(), r[i] ?? ''])))
+}
+
+// Saves a string or Blob as a file through a temporary object URL.
+export function downloadFile(filename, data, type = 'text/plain') {
+  const url = URL.createObjectURL(data instanceof Blob ? data : new Blob([data], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+export const downloadCsv = (filename, text) => downloadFile(filename, text, 'text/csv')
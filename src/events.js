@@ -0,0 +1,165 @@
+import { useEffect, useRef, useState } from 'react'
+import { API, api, getSession, onSessionChange, SessionExpiredError } from './api'
+import { t } from './i18n'
+
+export const EVENT_TYPES = {
+  motion: { label: 'Motion detected', tone: 'amber' },
+  camera_offline: { label: 'Camera offline', tone: 'red' },
+  tamper: { label: 'Tamper alarm', tone: 'red' },
+  storage_full: { label: 'Storage full', tone: 'amber' },
+  order_shipped: { label: 'Order shipped', tone: 'emerald' },
+  technician_en_route: { label: 'Technician on the way', tone: 'emerald' },
+}
+
+export const eventLabel = (type) => t(EVENT_TYPES[type]?.label || type)
+
+// Where an event should take the user when clicked.
+export function eventLink(ev) {
+  if (ev.order_id) return `/orders/${ev.order_id}`
+  if (ev.service_id) return '/services'
+  if (ev.device_id && ev.type === 'motion') return `/cameras/${ev.device_id}/playback?date=${new Date(ev.created_at).toLocaleDateString('en-CA')}`
+  if (ev.device_id) return '/cameras'
+  return null
+}
+
+const MAX_EVENTS = 200
+
+let events = []
+let loaded = false
+const listeners = new Set()
+const eventListeners = new Set()
+
+function publish(next) {
+  events = next
+  listeners.forEach(fn => fn(events))
+}
+
+// The feed belongs to the signed-in user, so it is dropped on logout rather than
+// when the stream closes; effects can close and reopen it without losing the list.
+onSessionChange(session => {
+  if (session.token) return
+  loaded = false
+  publish([])
+})
+
+function receive(ev) {
+  if (events.some(e => e._id === ev._id)) return
+  publish([ev, ...events].slice(0, MAX_EVENTS))
+  eventListeners.forEach(fn => fn(ev))
+  notify(ev)
+}
+
+// Background tabs get a system notification; the visible tab shows its own alerts.
+function notify(ev) {
+  if (!document.hidden || !('Notification' in window) || Notification.permission !== 'granted') return
+  const n = new Notification(`${eventLabel(ev.type)}${ev.device_name ? ` • ${ev.device_name}` : ''}`, { body: ev.message || '', icon: ev.thumbnail_url, tag: ev._id })
+  n.onclick = () => { window.focus(); n.close() }
+}
+
+export async function loadEvents() {
+  const data = await api.get(`/events?limit=${MAX_EVENTS}`)
+  const items = Array.isArray(data) ? data : data.items || []
+  // Keep anything that arrived over the stream while the request was in flight.
+  const known = new Set(items.map(e => e._id))
+  const merged = [...events.filter(e => !known.has(e._id)), ...items]
+  publish(merged.sort((a, b) => b.created_at.localeCompare(a.created_at)).slice(0, MAX_EVENTS))
+  loaded = true
+}
+
+export async function acknowledge(id) {
+  await api.post(`/events/${id}/ack`)
+  publish(events.map(e => e._id === id ? { ...e, acknowledged_at: new Date().toISOString() } : e))
+}
+
+export async function acknowledgeAll() {
+  await api.post('/events/ack-all')
+  const now = new Date().toISOString()
+  publish(events.map(e => e.acknowledged_at ? e : { ...e, acknowledged_at: now }))
+}
+
+// Opens the server-sent event stream and keeps it open across token refreshes and
+// dropped connections. Missed events are caught up by reloading the list before reconnecting.
+// Returns a function that closes it.
+export function connectEvents() {
+  let source = null
+  let timer = null
+  let attempt = 0
+  let token = ''
+  // Bumped whenever the connection is replaced, so a ticket request that finishes late is dropped.
+  let generation = 0
+
+  const retry = () => {
+    clearTimeout(timer)
+    timer = setTimeout(() => loadEvents().catch(() => {}).finally(open), Math.min(30000, 1000 * 2 ** attempt++))
+  }
+
+  // EventSource can't send headers, so the stream is opened with a short-lived,
+  // single-use ticket rather than the bearer token, which would end up in logs.
+  const open = async () => {
+    const current = ++generation
+    token = getSession().token
+    if (!token) return
+    let ticket
+    try {
+      ({ ticket } = await api.post('/events/stream-ticket'))
+    } catch (err) {
+      // An expired session is picked up by the session listener below.
+      if (!(err instanceof SessionExpiredError) && current === generation) retry()
+      return
+    }
+    if (current !== generation) return
+    source = new EventSource(`${API}/events/stream?ticket=${encodeURIComponent(ticket)}`)
+    source.onopen = () => { attempt = 0 }
+    source.onmessage = (e) => {
+      try { receive(JSON.parse(e.data)) } catch {}
+    }
+    source.onerror = () => {
+      source.close()
+      source = null
+      retry()
+    }
+  }
+
+  const unsubscribe = onSessionChange(session => {
+    if (session.token === token) return
+    source?.close()
+    source = null
+    clearTimeout(timer)
+    if (session.token && !loaded) loadEvents().catch(() => {})
+    open()
+  })
+
+  if (!loaded) loadEvents().catch(() => {})
+  open()
+
+  return () => {
+    generation++
+    unsubscribe()
+    clearTimeout(timer)
+    source?.close()
+  }
+}
+
+export function onEvent(fn) {
+  eventListeners.add(fn)
+  return () => eventListeners.delete(fn)
+}
+
+export function useEvents() {
+  const [items, setItems] = useState(events)
+  useEffect(()=>{
+    listeners.add(setItems)
+    setItems(events)
+    return () => listeners.delete(setItems)
+  }, [])
+  return items
+}
+
+export const unread = (items) => items.filter(e => !e.acknowledged_at).length
+
+// Re-runs `fn` when an event of one of `types` arrives, so open pages stay current.
+export function useEventRefresh(types, fn) {
+  const latest = useRef(fn)
+  latest.current = fn
+  useEffect(() => onEvent(ev => { if (types.includes(ev.type)) latest.current(ev) }), [types.join()])
+}
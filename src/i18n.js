@@ -0,0 +1,125 @@
+import { useEffect, useState } from 'react'
+import { api } from './api'
+import { MESSAGES } from './messages'
+import { DEFAULT_REGION, regionFor } from './pricing'
+
+export const LANGUAGES = [
+  ['en', 'English'],
+  ['es', 'Español'],
+  ['fr', 'Français'],
+  ['de', 'Deutsch'],
+]
+
+// Prices, order totals and payments are all in this currency; the customer's
+// chosen currency only changes how amounts are displayed.
+export const BASE_CURRENCY = 'USD'
+
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD']
+
+const DEFAULT_LOCALES = { en: 'en-US', es: 'es-ES', fr: 'fr-FR', de: 'de-DE' }
+
+const listeners = new Set()
+
+function detectLanguage() {
+  const saved = localStorage.getItem('language')
+  if (MESSAGES[saved] || saved === 'en') return saved
+  const browser = (navigator.language || 'en').slice(0, 2)
+  return LANGUAGES.some(([id]) => id === browser) ? browser : 'en'
+}
+
+// The shipping country used for tax estimates before an address is entered.
+function detectRegion() {
+  return regionFor(localStorage.getItem('region')) || regionFor((navigator.language || '').split('-')[1]) || DEFAULT_REGION
+}
+
+let state = {
+  language: detectLanguage(),
+  region: detectRegion(),
+  currency: localStorage.getItem('currency') || BASE_CURRENCY,
+  rates: JSON.parse(localStorage.getItem('currency_rates') || 'null') || { [BASE_CURRENCY]: 1 },
+}
+document.documentElement.lang = state.language
+
+function update(next) {
+  state = { ...state, ...next }
+  listeners.forEach(fn => fn(state))
+}
+
+// Prefers the browser's own regional variant, so en-GB users get day-first dates.
+export function locale() {
+  return navigator.languages?.find(l => l.slice(0, 2) === state.language) || DEFAULT_LOCALES[state.language]
+}
+
+// Looks up an English source string in the current language, falling back to
+// the English text. `{name}` placeholders are filled from `vars`.
+export function t(text, vars) {
+  const translated = MESSAGES[state.language]?.[text] ?? text
+  return vars ? translated.replace(/\{(\w+)\}/g, (m, k) => vars[k] ?? m) : translated
+}
+
+// Like `t`, picking the singular or plural English text with the language's plural
+// rules. `{count}` is filled with the count formatted for the locale.
+export function tn(count, one, other, vars) {
+  const text = new Intl.PluralRules(locale()).select(count) === 'one' ? one : other
+  return t(text, { ...vars, count: formatNumber(count) })
+}
+
+export function setLanguage(language) {
+  localStorage.setItem('language', language)
+  document.documentElement.lang = language
+  update({ language })
+}
+
+export function setCurrency(currency) {
+  localStorage.setItem('currency', currency)
+  update({ currency })
+}
+
+export function setRegion(region) {
+  localStorage.setItem('region', region)
+  update({ region })
+}
+
+export const currentRegion = () => state.region
+
+// Rates are units of each currency per BASE_CURRENCY. The last good set is kept
+// so prices still convert offline.
+export async function loadRates() {
+  try {
+    const data = await api.get('/currencies', { auth: false })
+    const rates = { ...data.rates, [BASE_CURRENCY]: 1 }
+    localStorage.setItem('currency_rates', JSON.stringify(rates))
+    update({ rates })
+  } catch {
+    // Without rates, prices stay in the base currency.
+  }
+}
+
+// The currency prices are actually shown in; falls back when there is no rate for the selection.
+export const displayCurrency = () => state.rates[state.currency] ? state.currency : BASE_CURRENCY
+
+// Formats an amount in `currency` as is, or converts a base-currency amount
+// into the customer's chosen currency when none is given.
+export function money(amount, currency) {
+  const code = currency || displayCurrency()
+  const value = (amount || 0) * (currency ? 1 : state.rates[code])
+  return new Intl.NumberFormat(locale(), { style: 'currency', currency: code }).format(value)
+}
+
+export const formatNumber = (n, opts) => new Intl.NumberFormat(locale(), opts).format(n || 0)
+
+export const formatDate = (d, opts = { dateStyle: 'medium' }) => d ? new Intl.DateTimeFormat(locale(), opts).format(new Date(d)) : ''
+
+export const formatDateTime = (d) => formatDate(d, { dateStyle: 'medium', timeStyle: 'short' })
+
+export const formatTime = (d) => formatDate(d, { hour: '2-digit', minute: '2-digit' })
+
+// Re-renders on language, region, currency or rate changes. Used near the root so the whole tree follows.
+export function useLocale() {
+  const [current, setCurrent] = useState(state)
+  useEffect(() => {
+    listeners.add(setCurrent)
+    return () => listeners.delete(setCurrent)
+  }, [])
+  return current
+}
@@ -0,0 +1,1830 @@
+// Translations keyed by the English source text. Missing entries fall back to English.
+export const MESSAGES = {
+  es: {
+    'Shop': 'Tienda',
+    'Cart': 'Carrito',
+    'Orders': 'Pedidos',
+    'Services': 'Servicios',
+    'Cameras': 'Cámaras',
+    'Account': 'Cuenta',
+    'Jobs': 'Trabajos',
+    'Admin': 'Admin',
+    'Alerts': 'Alertas',
+    'Logout': 'Cerrar sesión',
+    'Language': 'Idioma',
+    'Currency': 'Moneda',
+    'Ship to': 'Enviar a',
+
+    'Welcome back': 'Bienvenido de nuevo',
+    'Create your account': 'Crea tu cuenta',
+    'Reset your password': 'Restablece tu contraseña',
+    'Two-factor authentication': 'Autenticación en dos pasos',
+    'Sign in': 'Iniciar sesión',
+    'Create account': 'Crear cuenta',
+    'Send reset link': 'Enviar enlace',
+    'Verify': 'Verificar',
+    "Enter your account email and we'll send you a reset link.": 'Introduce el correo de tu cuenta y te enviaremos un enlace para restablecerla.',
+    'Enter the 6-digit code from your authenticator app, or one of your backup codes.': 'Introduce el código de 6 dígitos de tu app de autenticación o uno de tus códigos de respaldo.',
+    'Shop CCTV products and book professional installation.': 'Compra productos de videovigilancia y reserva una instalación profesional.',
+    'Name': 'Nombre',
+    'Authentication code': 'Código de autenticación',
+    'Email': 'Correo electrónico',
+    'Password': 'Contraseña',
+    'Forgot password?': '¿Olvidaste tu contraseña?',
+    'Please wait...': 'Espera...',
+    "Don't have an account? Sign up": '¿No tienes cuenta? Regístrate',
+    'Already have an account? Sign in': '¿Ya tienes cuenta? Inicia sesión',
+    'Back to sign in': 'Volver a iniciar sesión',
+    'We sent a verification link to {email}. Open it, then sign in.': 'Hemos enviado un enlace de verificación a {email}. Ábrelo y después inicia sesión.',
+    "If an account exists for {email}, we've emailed a link to reset the password.": 'Si existe una cuenta para {email}, le hemos enviado un enlace para restablecer la contraseña.',
+
+    'Awaiting payment': 'Pendiente de pago',
+    'Paid': 'Pagado',
+    'Processing': 'En preparación',
+    'Shipped': 'Enviado',
+    'Completed': 'Completado',
+    'Cancelled': 'Cancelado',
+    'Requested': 'Solicitado',
+    'Assigned': 'Asignado',
+    'En route': 'En camino',
+    'In progress': 'En curso',
+
+    'Your cart is empty.': 'Tu carrito está vacío.',
+    'Order summary': 'Resumen del pedido',
+    'Subtotal': 'Subtotal',
+    'Shipping': 'Envío',
+    'Installation': 'Instalación',
+    'Total': 'Total',
+    'Free': 'Gratis',
+    'Sales tax': 'Impuesto sobre ventas',
+    'VAT': 'IVA',
+    'Estimated {tax}': '{tax} estimado',
+    '{price} each': '{price} cada uno',
+    'Remove': 'Eliminar',
+    'Checkout': 'Pagar',
+    'Add to cart': 'Añadir al carrito',
+    'Shipping or installation is calculated at checkout.': 'El envío o la instalación se calculan al pagar.',
+    "You're offline. Cart changes are saved and synced later; checkout needs a connection.": 'Estás sin conexión. Los cambios del carrito se guardan y se sincronizarán después; para pagar necesitas conexión.',
+    'Ship to address': 'Envío a domicilio',
+    'Professional installation': 'Instalación profesional',
+    'Delivered in 3–5 business days. Free over {amount}.': 'Entrega en 3–5 días laborables. Gratis a partir de {amount}.',
+    'A technician delivers and installs the equipment on site.': 'Un técnico entrega e instala el equipo en tu domicilio.',
+    'Place order and pay {amount}': 'Realizar pedido y pagar {amount}',
+    'Prices converted from {base} at current rates; you are charged in {base}.': 'Precios convertidos desde {base} al tipo actual; se te cobrará en {base}.',
+
+    'Address': 'Dirección',
+    'Delivery': 'Entrega',
+    'Review': 'Revisión',
+    'Continue': 'Continuar',
+    'Back': 'Atrás',
+    'Cancel': 'Cancelar',
+    'Edit': 'Editar',
+    'Saved addresses': 'Direcciones guardadas',
+    'Save this address for next time': 'Guardar esta dirección para la próxima vez',
+    'Installation address': 'Dirección de instalación',
+    'Shipping address': 'Dirección de envío',
+    'Back to cart': 'Volver al carrito',
+
+    'Product not found': 'Producto no encontrado',
+    'Back to shop': 'Volver a la tienda',
+    'In stock ({count} available)': 'En stock ({count} disponibles)',
+    'Out of stock': 'Agotado',
+    'Specifications': 'Especificaciones',
+    '{count} unread alerts': '{count} alertas sin leer',
+
+    'Overview': 'Resumen',
+    'Products': 'Productos',
+    'Customers': 'Clientes',
+    'Reviews': 'Reseñas',
+    'Health': 'Estado del sistema',
+
+    'Order {id}': 'Pedido {id}',
+    '{count} items': '{count} artículos',
+    'Unpaid': 'Sin pagar',
+    'You have not placed any orders yet.': 'Todavía no has realizado ningún pedido.',
+    'All orders': 'Todos los pedidos',
+    'Pay now': 'Pagar ahora',
+    'Print invoice': 'Imprimir factura',
+    'Download invoice': 'Descargar factura',
+    'Item': 'Artículo',
+    'Qty': 'Cant.',
+    'Price': 'Precio',
+    'Amount': 'Importe',
+    'Tax': 'Impuestos',
+    'Payment: {status}': 'Pago: {status}',
+    'Status': 'Estado',
+
+    'Maintenance': 'Mantenimiento',
+    'Repair': 'Reparación',
+    'Site survey': 'Visita técnica',
+    'Mount, cable and configure new cameras and recorders.': 'Montaje, cableado y configuración de cámaras y grabadores nuevos.',
+    'Cleaning, firmware updates and a health check of your system.': 'Limpieza, actualizaciones de firmware y una revisión de tu sistema.',
+    'Diagnose and fix a faulty camera, recorder or cabling.': 'Diagnóstico y reparación de una cámara, grabador o cableado averiado.',
+    'A technician visits to plan coverage and quote an installation.': 'Un técnico visita el lugar para planificar la cobertura y presupuestar la instalación.',
+    'No existing wiring': 'Sin cableado previo',
+    'Some cabling in place': 'Algo de cableado instalado',
+    'Fully cabled (replacing equipment)': 'Totalmente cableado (sustitución de equipos)',
+    'Service': 'Servicio',
+    'Premises': 'Instalaciones',
+    'Schedule': 'Fecha',
+    'Not scheduled': 'Sin programar',
+    'Date': 'Fecha',
+    'No technicians are available on this day. Try another date.': 'No hay técnicos disponibles ese día. Prueba otra fecha.',
+    'Indoor cameras': 'Cámaras interiores',
+    'Outdoor cameras': 'Cámaras exteriores',
+    'Existing wiring': 'Cableado existente',
+    'Notes for the technician (optional)': 'Notas para el técnico (opcional)',
+    'Access instructions, property type, areas to cover...': 'Instrucciones de acceso, tipo de inmueble, zonas a cubrir...',
+    'Equipment from a past order (optional)': 'Equipos de un pedido anterior (opcional)',
+    'None': 'Ninguno',
+    'Tell us how many cameras to install.': 'Indícanos cuántas cámaras hay que instalar.',
+    'Pick a time slot.': 'Elige una franja horaria.',
+    '{service} on {when}': '{service} el {when}',
+    '{service} booking': 'Reserva de {service}',
+    'Booking requested': 'Reserva solicitada',
+    'Booking saved offline': 'Reserva guardada sin conexión',
+    '{booking} will be requested when you reconnect.': '{booking} se solicitará cuando vuelvas a tener conexión.',
+    'When': 'Cuándo',
+    'Where': 'Dónde',
+    'Notes': 'Notas',
+    '{indoor} indoor, {outdoor} outdoor': '{indoor} interiores, {outdoor} exteriores',
+    'Confirm booking': 'Confirmar reserva',
+    'Cancel this booking?': '¿Cancelar esta reserva?',
+    'Cancel booking': 'Cancelar reserva',
+    'Booking cancelled': 'Reserva cancelada',
+    'Booking rescheduled': 'Reserva reprogramada',
+    'Technician: {name}': 'Técnico: {name}',
+    'Reschedule': 'Reprogramar',
+    'Keep current time': 'Mantener la hora actual',
+    'Confirm new time': 'Confirmar nueva hora',
+    'Book a service': 'Reservar un servicio',
+    'Waiting for connection': 'Esperando conexión',
+    'No service bookings yet.': 'Todavía no tienes reservas de servicio.',
+
+    'Monthly': 'Mensual',
+    'Annual': 'Anual',
+    'monthly': 'mensual',
+    'annual': 'anual',
+    'active': 'activa',
+    'Plan': 'Plan',
+    'Cloud retention': 'Almacenamiento en la nube',
+    'Remote viewing': 'Visualización remota',
+    'Priority support': 'Soporte prioritario',
+    '{count} day': '{count} día',
+    '{count} days': '{count} días',
+    'Up to {count}': 'Hasta {count}',
+    '{price}/mo': '{price}/mes',
+    '{price}/yr': '{price}/año',
+    'Save {percent}%': 'Ahorra un {percent}%',
+    'Current plan': 'Plan actual',
+    'Upgrade': 'Mejorar',
+    'Downgrade': 'Bajar de plan',
+    'Switch billing': 'Cambiar facturación',
+    'Subscription': 'Suscripción',
+    'billed {cycle}': 'facturación {cycle}',
+    'Billed {cycle}.': 'Facturación {cycle}.',
+    'Status: {status}': 'Estado: {status}',
+    'Cancels on {date}; you keep {plan} until then.': 'Se cancela el {date}; conservas {plan} hasta entonces.',
+    'Renews on {date}': 'Se renueva el {date}',
+    'Compare plans': 'Comparar planes',
+    'Resume subscription': 'Reanudar suscripción',
+    'Subscription resumed': 'Suscripción reanudada',
+    'Cancel subscription': 'Cancelar suscripción',
+    'Subscription cancelled': 'Suscripción cancelada',
+    'Cancel {plan}?': '¿Cancelar {plan}?',
+    'It stays active until the end of the current billing period.': 'Seguirá activa hasta el final del periodo de facturación actual.',
+    'Switch to {plan} ({cycle})': 'Cambiar a {plan} ({cycle})',
+    'Switched to {plan}': 'Has cambiado a {plan}',
+    '{plan} {cycle} price': 'Precio {cycle} de {plan}',
+    'Credit for unused time on current plan': 'Crédito por el tiempo no usado del plan actual',
+    'Due today': 'A pagar hoy',
+    '{amount} will be credited to your next invoice.': 'Se abonarán {amount} en tu próxima factura.',
+    'Next renewal: {date}': 'Próxima renovación: {date}',
+    'Your payment went through; trying again will not charge you a second time.': 'Tu pago se ha realizado; volver a intentarlo no te cobrará de nuevo.',
+    'Retry switch': 'Reintentar el cambio',
+    'Pay {amount} and switch': 'Pagar {amount} y cambiar',
+    'Confirm switch': 'Confirmar cambio',
+
+    'Relevance': 'Relevancia',
+    'Price: low to high': 'Precio: de menor a mayor',
+    'Price: high to low': 'Precio: de mayor a menor',
+    'Most popular': 'Más populares',
+    'Top rated': 'Mejor valorados',
+    'Newest': 'Más recientes',
+    'Indoor': 'Interior',
+    'Outdoor': 'Exterior',
+    'Search': 'Búsqueda',
+    'Category': 'Categoría',
+    'Min price': 'Precio mínimo',
+    'Max price': 'Precio máximo',
+    'Resolution': 'Resolución',
+    'Placement': 'Ubicación',
+    'Brand': 'Marca',
+    'In stock only': 'Solo en stock',
+    'No image': 'Sin imagen',
+    'Choose options': 'Elegir opciones',
+    'Added to cart': 'Añadido al carrito',
+    'View cart': 'Ver carrito',
+    'No products match your search.': 'Ningún producto coincide con tu búsqueda.',
+    'Did you mean': '¿Quisiste decir',
+    'Try removing a filter:': 'Prueba a quitar un filtro:',
+    'Clear all': 'Borrar todo',
+    'Or browse:': 'O explora:',
+    'Accessories': 'Accesorios',
+    'Systems': 'Sistemas',
+    'DVR': 'DVR',
+    'NVR': 'NVR',
+    'Cables': 'Cables',
+    'All categories': 'Todas las categorías',
+    'Min': 'Mín.',
+    'Max': 'Máx.',
+    'Any': 'Cualquiera',
+    'Not sure which pieces work together?': '¿No sabes qué componentes son compatibles?',
+    'Build a complete camera system': 'Configura un sistema de cámaras completo',
+    'Search products': 'Buscar productos',
+    'Loading...': 'Cargando...',
+    '{count} product': '{count} producto',
+    '{count} products': '{count} productos',
+    'Previous': 'Anterior',
+    'Next': 'Siguiente',
+    'Page {page} of {pages}': 'Página {page} de {pages}',
+
+    'Motion detected': 'Movimiento detectado',
+    'Camera offline': 'Cámara desconectada',
+    'Tamper alarm': 'Alarma de manipulación',
+    'Storage full': 'Almacenamiento lleno',
+    'Order shipped': 'Pedido enviado',
+    'Technician on the way': 'Técnico en camino',
+    '{count} unread alert': '{count} alerta sin leer',
+    'View': 'Ver',
+    'Get notified about alarms while SecureView is in a background tab.': 'Recibe avisos de alarmas mientras SecureView está en una pestaña en segundo plano.',
+    'Enable notifications': 'Activar notificaciones',
+    'Could not acknowledge': 'No se pudo confirmar',
+    'Acknowledge': 'Confirmar',
+    'All alerts acknowledged': 'Todas las alertas confirmadas',
+    'Could not acknowledge alerts': 'No se pudieron confirmar las alertas',
+    'Unread ({count})': 'Sin leer ({count})',
+    'All': 'Todas',
+    'All types': 'Todos los tipos',
+    'Acknowledge all': 'Confirmar todas',
+    'No alerts yet.': 'Todavía no hay alertas.',
+    'You are all caught up.': 'Estás al día.',
+
+    'Highest rated': 'Mejor valoradas',
+    'Lowest rated': 'Peor valoradas',
+    'With photos': 'Con fotos',
+    '{rating} out of 5 stars': '{rating} de 5 estrellas',
+    '{count} star': '{count} estrella',
+    '{count} stars': '{count} estrellas',
+    '{count} review': '{count} reseña',
+    '{count} reviews': '{count} reseñas',
+    'Photos must be 5 MB or smaller.': 'Las fotos no pueden superar los 5 MB.',
+    'Upload failed: {error}': 'Error al subir: {error}',
+    'Choose a star rating.': 'Elige una puntuación.',
+    'Tell other customers about the product.': 'Cuéntales a otros clientes qué te ha parecido el producto.',
+    'Thanks for your review': 'Gracias por tu reseña',
+    "It will appear once it's been checked by our team.": 'Aparecerá cuando nuestro equipo la haya revisado.',
+    'Title (optional)': 'Título (opcional)',
+    'What did you like or dislike? How is the picture at night?': '¿Qué te ha gustado y qué no? ¿Qué tal es la imagen de noche?',
+    'Remove photo': 'Quitar foto',
+    'Uploading...': 'Subiendo...',
+    'Submit review': 'Enviar reseña',
+    'Customer': 'Cliente',
+    'Verified purchase': 'Compra verificada',
+    'No reviews yet.': 'Todavía no hay reseñas.',
+    'Show more reviews': 'Mostrar más reseñas',
+    'Customer reviews': 'Opiniones de clientes',
+    'Write a review': 'Escribir una reseña',
+    "to review a product you've bought.": 'para valorar un producto que hayas comprado.',
+    'Reviews are open to customers once their order for this product is completed.': 'Podrás escribir una reseña cuando tu pedido de este producto se haya completado.',
+    'Please write out your question in a little more detail.': 'Describe tu pregunta con un poco más de detalle.',
+    'Question sent': 'Pregunta enviada',
+    'It will appear here once our team has answered it.': 'Aparecerá aquí cuando nuestro equipo la haya respondido.',
+    'Questions and answers': 'Preguntas y respuestas',
+    'Ask about night vision, weatherproofing, compatibility...': 'Pregunta por la visión nocturna, la resistencia a la intemperie, la compatibilidad...',
+    'Sending...': 'Enviando...',
+    'Ask': 'Preguntar',
+    'to ask a question.': 'para hacer una pregunta.',
+    'Q:': 'P:',
+    'A:': 'R:',
+    'Answered by SecureView': 'Respondida por SecureView',
+    'No questions yet.': 'Todavía no hay preguntas.',
+
+    'Confirm': 'Confirmar',
+    'Try again': 'Reintentar',
+    'Dismiss': 'Descartar',
+
+    'This product is no longer available.': 'Este producto ya no está disponible.',
+    'The {option} option is no longer available.': 'La opción {option} ya no está disponible.',
+    'Out of stock.': 'Agotado.',
+    'Only {count} left in stock.': 'Solo quedan {count} en stock.',
+    'Price changed from {old} to {new}.': 'El precio ha cambiado de {old} a {new}.',
+    'Your cart could not be saved to your account: {error}': 'No se ha podido guardar el carrito en tu cuenta: {error}',
+    'Cart changes': 'Cambios del carrito',
+
+    'Full name': 'Nombre completo',
+    'Phone': 'Teléfono',
+    'Address line 1': 'Dirección (línea 1)',
+    'Address line 2': 'Dirección (línea 2)',
+    'City': 'Ciudad',
+    'State / region': 'Provincia / región',
+    'Postal code': 'Código postal',
+    'Country': 'País',
+    '{field} is required': '{field} es obligatorio',
+    '{field} (optional)': '{field} (opcional)',
+    'Enter a valid phone number': 'Introduce un número de teléfono válido',
+    'Enter a valid postal code': 'Introduce un código postal válido',
+    'Could not save address: {error}': 'No se ha podido guardar la dirección: {error}',
+    'Order {id} was created but payment did not go through.': 'El pedido {id} se ha creado, pero el pago no se ha completado.',
+    'Your order is saved. You can retry the payment now or later from your orders.': 'Tu pedido está guardado. Puedes reintentar el pago ahora o más tarde desde tus pedidos.',
+    'View orders': 'Ver pedidos',
+    'Retry payment': 'Reintentar el pago',
+    'Order placed': 'Pedido realizado',
+    'Order {id} is paid and confirmed.': 'El pedido {id} está pagado y confirmado.',
+    'Some items in your cart changed. Please review your cart before ordering.': 'Algunos artículos del carrito han cambiado. Revisa el carrito antes de hacer el pedido.',
+    'Order failed: {error}': 'Error en el pedido: {error}',
+    'Processing payment...': 'Procesando el pago...',
+    'Order {id} was created with an updated total.': 'El pedido {id} se ha creado con un total actualizado.',
+    'Shipping or tax changed since your cart was priced. Check the summary, then pay to confirm the order.': 'El envío o los impuestos han cambiado desde que se calculó el carrito. Revisa el resumen y paga para confirmar el pedido.',
+    'Pay {amount}': 'Pagar {amount}',
+    'Payment successful': 'Pago realizado',
+    'Order {id} is paid.': 'El pedido {id} está pagado.',
+    'Order {id}: {status}. No payment is due.': 'Pedido {id}: {status}. No hay ningún pago pendiente.',
+    'Amount due: {amount}': 'Importe pendiente: {amount}',
+
+    'At least 10 characters': 'Al menos 10 caracteres',
+    'Upper and lower case letters': 'Mayúsculas y minúsculas',
+    'At least one number': 'Al menos un número',
+    'At least one symbol': 'Al menos un símbolo',
+    'Password needs: {rules}': 'La contraseña necesita: {rules}',
+    'Password must not contain your email name': 'La contraseña no puede contener el nombre de tu correo',
+    'Passwords do not match': 'Las contraseñas no coinciden',
+    'This reset link is invalid or has expired. Request a new one from the sign-in page.': 'Este enlace no es válido o ha caducado. Solicita uno nuevo desde la página de inicio de sesión.',
+    'This link is missing its reset token.': 'A este enlace le falta el token de restablecimiento.',
+    'Password updated': 'Contraseña actualizada',
+    'You can now sign in with your new password.': 'Ya puedes iniciar sesión con tu nueva contraseña.',
+    'Choose a new password': 'Elige una contraseña nueva',
+    'New password': 'Contraseña nueva',
+    'Confirm password': 'Confirmar contraseña',
+    'Update password': 'Actualizar contraseña',
+    'Verifying your email...': 'Verificando tu correo...',
+    'Email verified': 'Correo verificado',
+    'Verification failed': 'Error de verificación',
+    'This link is invalid or has expired. Sign in and request a new one from the banner at the top of the page.': 'Este enlace no es válido o ha caducado. Inicia sesión y solicita uno nuevo desde el aviso de la parte superior de la página.',
+    'Continue to SecureView': 'Continuar a SecureView',
+    'Please verify your email address. We sent a link to {email}.': 'Verifica tu dirección de correo. Hemos enviado un enlace a {email}.',
+    'Sent — check your inbox.': 'Enviado: revisa tu bandeja de entrada.',
+    'Resend link': 'Reenviar enlace',
+
+    'Mark en route': 'Marcar en camino',
+    'Job marked en route': 'Trabajo marcado en camino',
+    'Mark in progress': 'Marcar en curso',
+    'Job marked in progress': 'Trabajo marcado en curso',
+    'Clear signature': 'Borrar firma',
+    'Show completed and cancelled jobs': 'Mostrar trabajos completados y cancelados',
+    'No jobs assigned to you.': 'No tienes trabajos asignados.',
+    'Customer name and a full signature are required to complete the job.': 'Para completar el trabajo se necesitan el nombre del cliente y una firma completa.',
+    'Job completed': 'Trabajo completado',
+    'All jobs': 'Todos los trabajos',
+    'Customer notes: {notes}': 'Notas del cliente: {notes}',
+    'Equipment: {items}': 'Equipo: {items}',
+    'Installed serials': 'Números de serie instalados',
+    'Signed off by': 'Firmado por',
+    'Job notes': 'Notas del trabajo',
+    'Installed serial numbers (one per line)': 'Números de serie instalados (uno por línea)',
+    'Notes saved': 'Notas guardadas',
+    'Save notes': 'Guardar notas',
+    'Customer sign-off': 'Conformidad del cliente',
+    'Customer name': 'Nombre del cliente',
+    'Complete job': 'Completar trabajo',
+
+    'Every 5 s': 'Cada 5 s',
+    'Every 15 s': 'Cada 15 s',
+    'Every minute': 'Cada minuto',
+    'Collecting...': 'Recopilando...',
+    'Backend': 'Servidor',
+    'OK': 'OK',
+    'Unreachable': 'Inaccesible',
+    'Last {last} ms • avg {avg} ms': 'Última {last} ms • media {avg} ms',
+    '{percent} ok': '{percent} correcto',
+    'Database status unavailable: {error}': 'Estado de la base de datos no disponible: {error}',
+    'Database': 'Base de datos',
+    '{count} collection': '{count} colección',
+    '{count} collections': '{count} colecciones',
+    'Checking...': 'Comprobando...',
+    '{count} check failing': '{count} comprobación con fallos',
+    '{count} checks failing': '{count} comprobaciones con fallos',
+    'All systems operational': 'Todos los sistemas operativos',
+    'checked {time}': 'comprobado a las {time}',
+    'Resume': 'Reanudar',
+    'Pause': 'Pausar',
+    'Check now': 'Comprobar ahora',
+
+    'Invalid credentials': 'Credenciales no válidas',
+    'Invalid or expired code': 'Código no válido o caducado',
+    'This area is available for {role} accounts.': 'Esta sección está disponible para cuentas de {role}.',
+    'technician': 'técnico',
+    'Yes': 'Sí',
+    'No': 'No',
+    'Lens': 'Lente',
+    'Night vision range': 'Alcance de visión nocturna',
+    'IP rating': 'Grado de protección IP',
+    'PoE': 'PoE',
+    'Storage codec': 'Códec de almacenamiento',
+    'Some items in your cart changed. Please review them before checking out.': 'Algunos artículos del carrito han cambiado. Revísalos antes de pagar.',
+    'United States': 'Estados Unidos',
+    'Canada': 'Canadá',
+    'United Kingdom': 'Reino Unido',
+    'Germany': 'Alemania',
+    'France': 'Francia',
+    'Spain': 'España',
+    'Failed to assign technician': 'No se ha podido asignar el técnico',
+    'Technician assigned': 'Técnico asignado',
+    'Technician unassigned': 'Técnico desasignado',
+    'Admin dashboard is available for admin accounts.': 'El panel de administración está disponible para cuentas de administrador.',
+    'Admin accounts must turn on two-factor authentication before using the admin dashboard.': 'Las cuentas de administrador deben activar la autenticación en dos pasos antes de usar el panel de administración.',
+    'Set up two-factor authentication': 'Configurar la autenticación en dos pasos',
+    'Unassigned': 'Sin asignar',
+    'No service requests.': 'No hay solicitudes de servicio.',
+
+    'We sent a verification link to {email}.': 'Hemos enviado un enlace de verificación a {email}.',
+    'Profile saved': 'Perfil guardado',
+    'Not verified yet.': 'Todavía no verificado.',
+    'Save profile': 'Guardar perfil',
+    'Password changed': 'Contraseña cambiada',
+    'Current password is incorrect': 'La contraseña actual no es correcta',
+    'Current password': 'Contraseña actual',
+    'Confirm new password': 'Confirmar contraseña nueva',
+    'Change password': 'Cambiar contraseña',
+    'Address saved': 'Dirección guardada',
+    'Delete this address?': '¿Eliminar esta dirección?',
+    'Delete': 'Eliminar',
+    'Address deleted': 'Dirección eliminada',
+    'No saved addresses.': 'No hay direcciones guardadas.',
+    'Save address': 'Guardar dirección',
+    'Add address': 'Añadir dirección',
+    'Profile': 'Perfil',
+    'Active sessions': 'Sesiones activas',
+
+    '{resolution} indoor': '{resolution} interior',
+    '{resolution} outdoor': '{resolution} exterior',
+    'Recorder': 'Grabador',
+    '{count} channel': '{count} canal',
+    '{count} channels': '{count} canales',
+    'PoE switch': 'Switch PoE',
+    '{needed} W needed, recorder supplies {budget} W': 'Se necesitan {needed} W y el grabador aporta {budget} W',
+    'Storage': 'Almacenamiento',
+    '{size} TB for {count} day': '{size} TB para {count} día',
+    '{size} TB for {count} days': '{size} TB para {count} días',
+    'Cabling': 'Cableado',
+    '{length} m estimated': '{length} m estimados',
+    'Add at least one coverage point.': 'Añade al menos un punto de cobertura.',
+    'Bundle added to cart': 'Paquete añadido al carrito',
+    'Build your camera system': 'Crea tu sistema de cámaras',
+    "Tell us about your property and we'll propose cameras, a recorder, storage and cabling that work together.": 'Cuéntanos cómo es tu inmueble y te propondremos cámaras, grabador, almacenamiento y cableado compatibles entre sí.',
+    'Property': 'Inmueble',
+    'Apartment': 'Piso',
+    'House': 'Casa',
+    'Large house / farm': 'Casa grande / finca',
+    'Shop / office': 'Tienda / oficina',
+    'Indoor coverage points': 'Puntos de cobertura interiores',
+    'Outdoor coverage points': 'Puntos de cobertura exteriores',
+    'Camera resolution': 'Resolución de cámara',
+    'Keep recordings for': 'Conservar grabaciones durante',
+    'Propose a system': 'Proponer un sistema',
+    'Loading catalog...': 'Cargando catálogo...',
+    'PoE budget': 'Potencia PoE',
+    'No matching products are in the catalog.': 'No hay productos adecuados en el catálogo.',
+    'Browse the shop': 'Ver la tienda',
+    'Book professional installation': 'Reservar instalación profesional',
+    'Add bundle to cart': 'Añadir paquete al carrito',
+    '{count} item': '{count} artículo',
+    'Invoice {id}': 'Factura {id}',
+    'SecureView invoice': 'Factura de SecureView',
+    'Payment': 'Pago',
+
+    'Recording continuously': 'Grabando de forma continua',
+    'Recording on motion': 'Grabando al detectar movimiento',
+    'Not recording': 'Sin grabar',
+    'never': 'nunca',
+    'just now': 'ahora mismo',
+    '{plan} plan': 'Plan {plan}',
+    '{count} of {total} cameras': '{count} de {total} cámaras',
+    '{count} day cloud retention': '{count} día de almacenamiento en la nube',
+    '{count} days cloud retention': '{count} días de almacenamiento en la nube',
+    'Remote viewing included': 'Visualización remota incluida',
+    'No remote viewing': 'Sin visualización remota',
+    'Upgrade to add more cameras': 'Mejora tu plan para añadir más cámaras',
+    'Camera registered': 'Cámara registrada',
+    '{camera} at {site}': '{camera} en {site}',
+    'your site': 'tu sitio',
+    'Register a camera': 'Registrar una cámara',
+    'Serial number': 'Número de serie',
+    'Printed on the label under the camera and on the box.': 'Viene impreso en la etiqueta bajo la cámara y en la caja.',
+    'Front door': 'Puerta principal',
+    'Location': 'Ubicación',
+    'Porch': 'Porche',
+    'Site': 'Sitio',
+    'Home': 'Casa',
+    'Register': 'Registrar',
+    'Online': 'En línea',
+    'Offline': 'Sin conexión',
+    'Last seen {when}': 'Última conexión: {when}',
+    '{size} stored': '{size} almacenados',
+    'Recordings': 'Grabaciones',
+    'Remove {camera}?': '¿Quitar {camera}?',
+    'It stops recording to the cloud and frees a camera slot on your plan. Existing recordings are kept until they expire.': 'Dejará de grabar en la nube y liberará una plaza de cámara de tu plan. Las grabaciones existentes se conservan hasta que caduquen.',
+    'Camera removed': 'Cámara eliminada',
+    'Could not remove camera': 'No se ha podido quitar la cámara',
+    'Could not refresh: {error}': 'No se ha podido actualizar: {error}',
+    '{count} of {total} online': '{count} de {total} en línea',
+    'Live view': 'Vista en directo',
+    'No cameras registered yet. Register one by serial number, or build a system first.': 'Todavía no hay cámaras registradas. Registra una con su número de serie o crea primero un sistema.',
+    'Build a system': 'Crear un sistema',
+
+    "Remote viewing isn't included in the {plan} plan": 'La visualización remota no está incluida en el plan {plan}',
+    'Upgrade to watch your cameras live and play back recordings from anywhere.': 'Mejora tu plan para ver tus cámaras en directo y reproducir grabaciones desde cualquier lugar.',
+    'Connecting...': 'Conectando...',
+    'Playback': 'Reproducción',
+    'Expand': 'Ampliar',
+    'My cameras': 'Mis cámaras',
+    'Single': 'Una',
+    '{count} up': '{count} a la vez',
+    'No cameras registered yet.': 'Todavía no hay cámaras registradas.',
+    "Outside your plan's retention window": 'Fuera del periodo de conservación de tu plan',
+    '{event} at {time}': '{event} a las {time}',
+    'No recording after this point': 'No hay grabaciones a partir de este punto',
+    'Could not take snapshot': 'No se ha podido hacer la captura',
+    'Camera not found.': 'No se ha encontrado la cámara.',
+    'Back to my cameras': 'Volver a mis cámaras',
+    'Snapshot': 'Captura',
+    'Pick a point on the timeline to start playback': 'Elige un punto de la línea de tiempo para empezar la reproducción',
+    'No recordings on this day': 'No hay grabaciones este día',
+    'Recordings are kept for {count} day on the {plan} plan.': 'Con el plan {plan}, las grabaciones se conservan {count} día.',
+    'Recordings are kept for {count} days on the {plan} plan.': 'Con el plan {plan}, las grabaciones se conservan {count} días.',
+    'Motion events': 'Eventos de movimiento',
+
+    "Store these backup codes somewhere safe. Each one signs you in once if you lose your authenticator. They won't be shown again.": 'Guarda estos códigos de respaldo en un lugar seguro. Cada uno te permite iniciar sesión una vez si pierdes tu autenticador. No se volverán a mostrar.',
+    'Download': 'Descargar',
+    'Copy': 'Copiar',
+    "I've saved them": 'Ya los he guardado',
+    'Invalid code': 'Código no válido',
+    'Two-factor authentication turned on': 'Autenticación en dos pasos activada',
+    'Enter a current code to turn off two-factor authentication.': 'Introduce un código actual para desactivar la autenticación en dos pasos.',
+    'Turn off two-factor authentication?': '¿Desactivar la autenticación en dos pasos?',
+    'Your account will be protected by your password only.': 'Tu cuenta quedará protegida solo por tu contraseña.',
+    'Turn off': 'Desactivar',
+    'Two-factor authentication turned off': 'Autenticación en dos pasos desactivada',
+    'Enter a current code to generate new backup codes.': 'Introduce un código actual para generar nuevos códigos de respaldo.',
+    'Scan this code with an authenticator app such as Google Authenticator, 1Password or Authy, then enter the 6-digit code it shows.': 'Escanea este código con una app de autenticación como Google Authenticator, 1Password o Authy e introduce el código de 6 dígitos que muestre.',
+    'Two-factor QR code': 'Código QR de autenticación en dos pasos',
+    "Can't scan? Enter this key manually:": '¿No puedes escanearlo? Introduce esta clave manualmente:',
+    'Turn on': 'Activar',
+    'Protect your account with a code from your phone in addition to your password.': 'Protege tu cuenta con un código de tu teléfono además de tu contraseña.',
+    'Admin accounts must turn this on before using the admin dashboard.': 'Las cuentas de administrador deben activarla antes de usar el panel de administración.',
+    'Two-factor authentication is on.': 'La autenticación en dos pasos está activada.',
+    'Current code': 'Código actual',
+    'New backup codes': 'Nuevos códigos de respaldo',
+    'Sign out {device}?': '¿Cerrar la sesión en {device}?',
+    'this device': 'este dispositivo',
+    'That device will need to sign in again.': 'Ese dispositivo tendrá que volver a iniciar sesión.',
+    'Sign out': 'Cerrar sesión',
+    'Session revoked': 'Sesión revocada',
+    'Unknown device': 'Dispositivo desconocido',
+    'This device': 'Este dispositivo',
+    'last active {date}': 'última actividad: {date}',
+    'Revoke': 'Revocar',
+    'No active sessions.': 'No hay sesiones activas.',
+
+    'Sent {count} change made offline': 'Se ha enviado {count} cambio hecho sin conexión',
+    'Sent {count} changes made offline': 'Se han enviado {count} cambios hechos sin conexión',
+    '{change} could not be sent': 'No se ha podido enviar: {change}',
+    "You're offline. The catalog, your orders and bookings show the last saved copy and are read-only.": 'No tienes conexión. El catálogo, tus pedidos y tus reservas muestran la última copia guardada y son de solo lectura.',
+    '{count} change will be sent when you reconnect.': '{count} cambio se enviará cuando vuelvas a conectarte.',
+    '{count} changes will be sent when you reconnect.': '{count} cambios se enviarán cuando vuelvas a conectarte.',
+    '{count} change made offline will be sent after you sign in.': '{count} cambio hecho sin conexión se enviará cuando inicies sesión.',
+    '{count} changes made offline will be sent after you sign in.': '{count} cambios hechos sin conexión se enviarán cuando inicies sesión.',
+    'Sending {count} change made offline...': 'Enviando {count} cambio hecho sin conexión...',
+    'Sending {count} changes made offline...': 'Enviando {count} cambios hechos sin conexión...',
+    '{count} change made offline could not be sent yet.': 'Todavía no se ha podido enviar {count} cambio hecho sin conexión.',
+    '{count} changes made offline could not be sent yet.': 'Todavía no se han podido enviar {count} cambios hechos sin conexión.',
+  },
+  fr: {
+    'Shop': 'Boutique',
+    'Cart': 'Panier',
+    'Orders': 'Commandes',
+    'Services': 'Services',
+    'Cameras': 'Caméras',
+    'Account': 'Compte',
+    'Jobs': 'Interventions',
+    'Admin': 'Admin',
+    'Alerts': 'Alertes',
+    'Logout': 'Déconnexion',
+    'Language': 'Langue',
+    'Currency': 'Devise',
+    'Ship to': 'Livrer en',
+
+    'Welcome back': 'Bon retour',
+    'Create your account': 'Créez votre compte',
+    'Reset your password': 'Réinitialisez votre mot de passe',
+    'Two-factor authentication': 'Authentification à deux facteurs',
+    'Sign in': 'Se connecter',
+    'Create account': 'Créer un compte',
+    'Send reset link': 'Envoyer le lien',
+    'Verify': 'Vérifier',
+    "Enter your account email and we'll send you a reset link.": "Saisissez l'e-mail de votre compte et nous vous enverrons un lien de réinitialisation.",
+    'Enter the 6-digit code from your authenticator app, or one of your backup codes.': "Saisissez le code à 6 chiffres de votre application d'authentification, ou l'un de vos codes de secours.",
+    'Shop CCTV products and book professional installation.': 'Achetez du matériel de vidéosurveillance et réservez une installation professionnelle.',
+    'Name': 'Nom',
+    'Authentication code': "Code d'authentification",
+    'Email': 'E-mail',
+    'Password': 'Mot de passe',
+    'Forgot password?': 'Mot de passe oublié ?',
+    'Please wait...': 'Veuillez patienter...',
+    "Don't have an account? Sign up": "Pas encore de compte ? S'inscrire",
+    'Already have an account? Sign in': 'Déjà un compte ? Se connecter',
+    'Back to sign in': 'Retour à la connexion',
+    'We sent a verification link to {email}. Open it, then sign in.': 'Nous avons envoyé un lien de vérification à {email}. Ouvrez-le, puis connectez-vous.',
+    "If an account exists for {email}, we've emailed a link to reset the password.": 'Si un compte existe pour {email}, nous avons envoyé un lien pour réinitialiser le mot de passe.',
+
+    'Awaiting payment': 'En attente de paiement',
+    'Paid': 'Payée',
+    'Processing': 'En préparation',
+    'Shipped': 'Expédiée',
+    'Completed': 'Terminée',
+    'Cancelled': 'Annulée',
+    'Requested': 'Demandée',
+    'Assigned': 'Assignée',
+    'En route': 'En route',
+    'In progress': 'En cours',
+
+    'Your cart is empty.': 'Votre panier est vide.',
+    'Order summary': 'Récapitulatif',
+    'Subtotal': 'Sous-total',
+    'Shipping': 'Livraison',
+    'Installation': 'Installation',
+    'Total': 'Total',
+    'Free': 'Gratuit',
+    'Sales tax': 'Taxe de vente',
+    'VAT': 'TVA',
+    'Estimated {tax}': '{tax} estimée',
+    '{price} each': '{price} l’unité',
+    'Remove': 'Retirer',
+    'Checkout': 'Commander',
+    'Add to cart': 'Ajouter au panier',
+    'Shipping or installation is calculated at checkout.': "La livraison ou l'installation est calculée à la commande.",
+    "You're offline. Cart changes are saved and synced later; checkout needs a connection.": 'Vous êtes hors ligne. Les modifications du panier sont enregistrées et synchronisées plus tard ; la commande nécessite une connexion.',
+    'Ship to address': 'Livraison à domicile',
+    'Professional installation': 'Installation professionnelle',
+    'Delivered in 3–5 business days. Free over {amount}.': 'Livré sous 3 à 5 jours ouvrés. Gratuit dès {amount}.',
+    'A technician delivers and installs the equipment on site.': "Un technicien livre et installe l'équipement sur place.",
+    'Place order and pay {amount}': 'Commander et payer {amount}',
+    'Prices converted from {base} at current rates; you are charged in {base}.': 'Prix convertis depuis {base} au taux actuel ; vous êtes débité en {base}.',
+
+    'Address': 'Adresse',
+    'Delivery': 'Livraison',
+    'Review': 'Récapitulatif',
+    'Continue': 'Continuer',
+    'Back': 'Retour',
+    'Cancel': 'Annuler',
+    'Edit': 'Modifier',
+    'Saved addresses': 'Adresses enregistrées',
+    'Save this address for next time': 'Enregistrer cette adresse pour la prochaine fois',
+    'Installation address': "Adresse d'installation",
+    'Shipping address': 'Adresse de livraison',
+    'Back to cart': 'Retour au panier',
+
+    'Product not found': 'Produit introuvable',
+    'Back to shop': 'Retour à la boutique',
+    'In stock ({count} available)': 'En stock ({count} disponibles)',
+    'Out of stock': 'En rupture de stock',
+    'Specifications': 'Caractéristiques',
+    '{count} unread alerts': '{count} alertes non lues',
+
+    'Overview': "Vue d'ensemble",
+    'Products': 'Produits',
+    'Customers': 'Clients',
+    'Reviews': 'Avis',
+    'Health': 'État du système',
+
+    'Order {id}': 'Commande {id}',
+    '{count} items': '{count} articles',
+    'Unpaid': 'Non payée',
+    'You have not placed any orders yet.': "Vous n'avez encore passé aucune commande.",
+    'All orders': 'Toutes les commandes',
+    'Pay now': 'Payer maintenant',
+    'Print invoice': 'Imprimer la facture',
+    'Download invoice': 'Télécharger la facture',
+    'Item': 'Article',
+    'Qty': 'Qté',
+    'Price': 'Prix',
+    'Amount': 'Montant',
+    'Tax': 'Taxes',
+    'Payment: {status}': 'Paiement : {status}',
+    'Status': 'Statut',
+
+    'Maintenance': 'Maintenance',
+    'Repair': 'Réparation',
+    'Site survey': 'Visite technique',
+    'Mount, cable and configure new cameras and recorders.': 'Pose, câblage et configuration de nouvelles caméras et enregistreurs.',
+    'Cleaning, firmware updates and a health check of your system.': 'Nettoyage, mises à jour du firmware et contrôle de votre système.',
+    'Diagnose and fix a faulty camera, recorder or cabling.': "Diagnostic et réparation d'une caméra, d'un enregistreur ou d'un câblage défectueux.",
+    'A technician visits to plan coverage and quote an installation.': 'Un technicien se déplace pour étudier la couverture et chiffrer une installation.',
+    'No existing wiring': 'Aucun câblage existant',
+    'Some cabling in place': 'Câblage partiel en place',
+    'Fully cabled (replacing equipment)': 'Entièrement câblé (remplacement du matériel)',
+    'Service': 'Service',
+    'Premises': 'Locaux',
+    'Schedule': 'Créneau',
+    'Not scheduled': 'Non planifié',
+    'Date': 'Date',
+    'No technicians are available on this day. Try another date.': "Aucun technicien n'est disponible ce jour-là. Essayez une autre date.",
+    'Indoor cameras': 'Caméras intérieures',
+    'Outdoor cameras': 'Caméras extérieures',
+    'Existing wiring': 'Câblage existant',
+    'Notes for the technician (optional)': 'Remarques pour le technicien (facultatif)',
+    'Access instructions, property type, areas to cover...': "Instructions d'accès, type de bien, zones à couvrir...",
+    'Equipment from a past order (optional)': "Matériel d'une commande précédente (facultatif)",
+    'None': 'Aucun',
+    'Tell us how many cameras to install.': 'Indiquez combien de caméras installer.',
+    'Pick a time slot.': 'Choisissez un créneau.',
+    '{service} on {when}': '{service} le {when}',
+    '{service} booking': 'Réservation {service}',
+    'Booking requested': 'Réservation demandée',
+    'Booking saved offline': 'Réservation enregistrée hors ligne',
+    '{booking} will be requested when you reconnect.': '{booking} sera demandé à votre reconnexion.',
+    'When': 'Quand',
+    'Where': 'Où',
+    'Notes': 'Remarques',
+    '{indoor} indoor, {outdoor} outdoor': '{indoor} intérieures, {outdoor} extérieures',
+    'Confirm booking': 'Confirmer la réservation',
+    'Cancel this booking?': 'Annuler cette réservation ?',
+    'Cancel booking': 'Annuler la réservation',
+    'Booking cancelled': 'Réservation annulée',
+    'Booking rescheduled': 'Réservation replanifiée',
+    'Technician: {name}': 'Technicien : {name}',
+    'Reschedule': 'Replanifier',
+    'Keep current time': "Garder l'horaire actuel",
+    'Confirm new time': 'Confirmer le nouvel horaire',
+    'Book a service': 'Réserver un service',
+    'Waiting for connection': 'En attente de connexion',
+    'No service bookings yet.': 'Aucune réservation de service pour le moment.',
+
+    'Monthly': 'Mensuel',
+    'Annual': 'Annuel',
+    'monthly': 'mensuel',
+    'annual': 'annuel',
+    'active': 'actif',
+    'Plan': 'Forfait',
+    'Cloud retention': 'Conservation dans le cloud',
+    'Remote viewing': 'Visionnage à distance',
+    'Priority support': 'Assistance prioritaire',
+    '{count} day': '{count} jour',
+    '{count} days': '{count} jours',
+    'Up to {count}': "Jusqu'à {count}",
+    '{price}/mo': '{price}/mois',
+    '{price}/yr': '{price}/an',
+    'Save {percent}%': 'Économisez {percent} %',
+    'Current plan': 'Forfait actuel',
+    'Upgrade': 'Passer au supérieur',
+    'Downgrade': "Passer à l'inférieur",
+    'Switch billing': 'Changer la facturation',
+    'Subscription': 'Abonnement',
+    'billed {cycle}': 'facturation {cycle}',
+    'Billed {cycle}.': 'Facturation {cycle}.',
+    'Status: {status}': 'Statut : {status}',
+    'Cancels on {date}; you keep {plan} until then.': 'Prend fin le {date} ; vous gardez {plan} jusque-là.',
+    'Renews on {date}': 'Renouvellement le {date}',
+    'Compare plans': 'Comparer les forfaits',
+    'Resume subscription': "Reprendre l'abonnement",
+    'Subscription resumed': 'Abonnement repris',
+    'Cancel subscription': "Résilier l'abonnement",
+    'Subscription cancelled': 'Abonnement résilié',
+    'Cancel {plan}?': 'Résilier {plan} ?',
+    'It stays active until the end of the current billing period.': "Il reste actif jusqu'à la fin de la période de facturation en cours.",
+    'Switch to {plan} ({cycle})': 'Passer à {plan} ({cycle})',
+    'Switched to {plan}': 'Vous êtes passé à {plan}',
+    '{plan} {cycle} price': 'Prix {cycle} de {plan}',
+    'Credit for unused time on current plan': 'Crédit pour la période non utilisée du forfait actuel',
+    'Due today': "À payer aujourd'hui",
+    '{amount} will be credited to your next invoice.': '{amount} seront crédités sur votre prochaine facture.',
+    'Next renewal: {date}': 'Prochain renouvellement : {date}',
+    'Your payment went through; trying again will not charge you a second time.': 'Votre paiement a été accepté ; réessayer ne vous débitera pas une seconde fois.',
+    'Retry switch': 'Réessayer le changement',
+    'Pay {amount} and switch': 'Payer {amount} et changer',
+    'Confirm switch': 'Confirmer le changement',
+
+    'Relevance': 'Pertinence',
+    'Price: low to high': 'Prix croissant',
+    'Price: high to low': 'Prix décroissant',
+    'Most popular': 'Les plus populaires',
+    'Top rated': 'Les mieux notés',
+    'Newest': 'Les plus récents',
+    'Indoor': 'Intérieur',
+    'Outdoor': 'Extérieur',
+    'Search': 'Recherche',
+    'Category': 'Catégorie',
+    'Min price': 'Prix minimum',
+    'Max price': 'Prix maximum',
+    'Resolution': 'Résolution',
+    'Placement': 'Emplacement',
+    'Brand': 'Marque',
+    'In stock only': 'En stock uniquement',
+    'No image': "Pas d'image",
+    'Choose options': 'Choisir les options',
+    'Added to cart': 'Ajouté au panier',
+    'View cart': 'Voir le panier',
+    'No products match your search.': 'Aucun produit ne correspond à votre recherche.',
+    'Did you mean': 'Vouliez-vous dire',
+    'Try removing a filter:': 'Essayez de retirer un filtre :',
+    'Clear all': 'Tout effacer',
+    'Or browse:': 'Ou parcourez :',
+    'Accessories': 'Accessoires',
+    'Systems': 'Systèmes',
+    'DVR': 'DVR',
+    'NVR': 'NVR',
+    'Cables': 'Câbles',
+    'All categories': 'Toutes les catégories',
+    'Min': 'Min.',
+    'Max': 'Max.',
+    'Any': 'Tous',
+    'Not sure which pieces work together?': 'Vous ne savez pas quels éléments vont ensemble ?',
+    'Build a complete camera system': 'Composez un système de caméras complet',
+    'Search products': 'Rechercher des produits',
+    'Loading...': 'Chargement...',
+    '{count} product': '{count} produit',
+    '{count} products': '{count} produits',
+    'Previous': 'Précédent',
+    'Next': 'Suivant',
+    'Page {page} of {pages}': 'Page {page} sur {pages}',
+
+    'Motion detected': 'Mouvement détecté',
+    'Camera offline': 'Caméra hors ligne',
+    'Tamper alarm': 'Alarme de sabotage',
+    'Storage full': 'Stockage plein',
+    'Order shipped': 'Commande expédiée',
+    'Technician on the way': 'Technicien en route',
+    '{count} unread alert': '{count} alerte non lue',
+    'View': 'Voir',
+    'Get notified about alarms while SecureView is in a background tab.': 'Soyez averti des alarmes lorsque SecureView est dans un onglet en arrière-plan.',
+    'Enable notifications': 'Activer les notifications',
+    'Could not acknowledge': "Impossible d'acquitter",
+    'Acknowledge': 'Acquitter',
+    'All alerts acknowledged': 'Toutes les alertes acquittées',
+    'Could not acknowledge alerts': "Impossible d'acquitter les alertes",
+    'Unread ({count})': 'Non lues ({count})',
+    'All': 'Toutes',
+    'All types': 'Tous les types',
+    'Acknowledge all': 'Tout acquitter',
+    'No alerts yet.': "Aucune alerte pour l'instant.",
+    'You are all caught up.': 'Vous êtes à jour.',
+
+    'Highest rated': 'Les mieux notés',
+    'Lowest rated': 'Les moins bien notés',
+    'With photos': 'Avec photos',
+    '{rating} out of 5 stars': '{rating} sur 5 étoiles',
+    '{count} star': '{count} étoile',
+    '{count} stars': '{count} étoiles',
+    '{count} review': '{count} avis',
+    '{count} reviews': '{count} avis',
+    'Photos must be 5 MB or smaller.': 'Les photos ne doivent pas dépasser 5 Mo.',
+    'Upload failed: {error}': "Échec de l'envoi : {error}",
+    'Choose a star rating.': 'Choisissez une note.',
+    'Tell other customers about the product.': 'Parlez du produit aux autres clients.',
+    'Thanks for your review': 'Merci pour votre avis',
+    "It will appear once it's been checked by our team.": 'Il apparaîtra après vérification par notre équipe.',
+    'Title (optional)': 'Titre (facultatif)',
+    'What did you like or dislike? How is the picture at night?': "Qu'avez-vous aimé ou moins aimé ? Que vaut l'image la nuit ?",
+    'Remove photo': 'Retirer la photo',
+    'Uploading...': 'Envoi...',
+    'Submit review': "Publier l'avis",
+    'Customer': 'Client',
+    'Verified purchase': 'Achat vérifié',
+    'No reviews yet.': "Aucun avis pour l'instant.",
+    'Show more reviews': "Afficher plus d'avis",
+    'Customer reviews': 'Avis clients',
+    'Write a review': 'Écrire un avis',
+    "to review a product you've bought.": 'pour donner votre avis sur un produit acheté.',
+    'Reviews are open to customers once their order for this product is completed.': 'Vous pourrez donner votre avis une fois votre commande de ce produit terminée.',
+    'Please write out your question in a little more detail.': 'Merci de détailler un peu plus votre question.',
+    'Question sent': 'Question envoyée',
+    'It will appear here once our team has answered it.': 'Elle apparaîtra ici dès que notre équipe y aura répondu.',
+    'Questions and answers': 'Questions et réponses',
+    'Ask about night vision, weatherproofing, compatibility...': 'Posez vos questions sur la vision nocturne, l’étanchéité, la compatibilité...',
+    'Sending...': 'Envoi...',
+    'Ask': 'Demander',
+    'to ask a question.': 'pour poser une question.',
+    'Q:': 'Q :',
+    'A:': 'R :',
+    'Answered by SecureView': 'Réponse de SecureView',
+    'No questions yet.': "Aucune question pour l'instant.",
+
+    'Confirm': 'Confirmer',
+    'Try again': 'Réessayer',
+    'Dismiss': 'Fermer',
+
+    'This product is no longer available.': "Ce produit n'est plus disponible.",
+    'The {option} option is no longer available.': "L'option {option} n'est plus disponible.",
+    'Out of stock.': 'En rupture de stock.',
+    'Only {count} left in stock.': 'Plus que {count} en stock.',
+    'Price changed from {old} to {new}.': 'Le prix est passé de {old} à {new}.',
+    'Your cart could not be saved to your account: {error}': "Votre panier n'a pas pu être enregistré dans votre compte : {error}",
+    'Cart changes': 'Modifications du panier',
+
+    'Full name': 'Nom complet',
+    'Phone': 'Téléphone',
+    'Address line 1': 'Adresse (ligne 1)',
+    'Address line 2': 'Adresse (ligne 2)',
+    'City': 'Ville',
+    'State / region': 'État / région',
+    'Postal code': 'Code postal',
+    'Country': 'Pays',
+    '{field} is required': '{field} est obligatoire',
+    '{field} (optional)': '{field} (facultatif)',
+    'Enter a valid phone number': 'Saisissez un numéro de téléphone valide',
+    'Enter a valid postal code': 'Saisissez un code postal valide',
+    'Could not save address: {error}': "Impossible d'enregistrer l'adresse : {error}",
+    'Order {id} was created but payment did not go through.': "La commande {id} a été créée mais le paiement n'a pas abouti.",
+    'Your order is saved. You can retry the payment now or later from your orders.': 'Votre commande est enregistrée. Vous pouvez relancer le paiement maintenant ou plus tard depuis vos commandes.',
+    'View orders': 'Voir les commandes',
+    'Retry payment': 'Relancer le paiement',
+    'Order placed': 'Commande passée',
+    'Order {id} is paid and confirmed.': 'La commande {id} est payée et confirmée.',
+    'Some items in your cart changed. Please review your cart before ordering.': 'Certains articles de votre panier ont changé. Vérifiez votre panier avant de commander.',
+    'Order failed: {error}': 'Échec de la commande : {error}',
+    'Processing payment...': 'Traitement du paiement...',
+    'Order {id} was created with an updated total.': 'La commande {id} a été créée avec un total mis à jour.',
+    'Shipping or tax changed since your cart was priced. Check the summary, then pay to confirm the order.': 'Les frais de livraison ou les taxes ont changé depuis le calcul de votre panier. Vérifiez le récapitulatif, puis payez pour confirmer la commande.',
+    'Pay {amount}': 'Payer {amount}',
+    'Payment successful': 'Paiement réussi',
+    'Order {id} is paid.': 'La commande {id} est payée.',
+    'Order {id}: {status}. No payment is due.': 'Commande {id} : {status}. Aucun paiement n’est dû.',
+    'Amount due: {amount}': 'Montant dû : {amount}',
+
+    'At least 10 characters': 'Au moins 10 caractères',
+    'Upper and lower case letters': 'Majuscules et minuscules',
+    'At least one number': 'Au moins un chiffre',
+    'At least one symbol': 'Au moins un symbole',
+    'Password needs: {rules}': 'Le mot de passe doit contenir : {rules}',
+    'Password must not contain your email name': 'Le mot de passe ne doit pas contenir le nom de votre adresse e-mail',
+    'Passwords do not match': 'Les mots de passe ne correspondent pas',
+    'This reset link is invalid or has expired. Request a new one from the sign-in page.': 'Ce lien de réinitialisation est invalide ou a expiré. Demandez-en un nouveau depuis la page de connexion.',
+    'This link is missing its reset token.': 'Il manque le jeton de réinitialisation dans ce lien.',
+    'Password updated': 'Mot de passe mis à jour',
+    'You can now sign in with your new password.': 'Vous pouvez maintenant vous connecter avec votre nouveau mot de passe.',
+    'Choose a new password': 'Choisissez un nouveau mot de passe',
+    'New password': 'Nouveau mot de passe',
+    'Confirm password': 'Confirmer le mot de passe',
+    'Update password': 'Mettre à jour le mot de passe',
+    'Verifying your email...': 'Vérification de votre e-mail...',
+    'Email verified': 'E-mail vérifié',
+    'Verification failed': 'Échec de la vérification',
+    'This link is invalid or has expired. Sign in and request a new one from the banner at the top of the page.': 'Ce lien est invalide ou a expiré. Connectez-vous et demandez-en un nouveau depuis le bandeau en haut de la page.',
+    'Continue to SecureView': 'Continuer vers SecureView',
+    'Please verify your email address. We sent a link to {email}.': 'Veuillez vérifier votre adresse e-mail. Nous avons envoyé un lien à {email}.',
+    'Sent — check your inbox.': 'Envoyé — consultez votre boîte de réception.',
+    'Resend link': 'Renvoyer le lien',
+
+    'Mark en route': 'Marquer en route',
+    'Job marked en route': 'Intervention marquée en route',
+    'Mark in progress': 'Marquer en cours',
+    'Job marked in progress': 'Intervention marquée en cours',
+    'Clear signature': 'Effacer la signature',
+    'Show completed and cancelled jobs': 'Afficher les interventions terminées et annulées',
+    'No jobs assigned to you.': 'Aucune intervention ne vous est attribuée.',
+    'Customer name and a full signature are required to complete the job.': "Le nom du client et une signature complète sont nécessaires pour terminer l'intervention.",
+    'Job completed': 'Intervention terminée',
+    'All jobs': 'Toutes les interventions',
+    'Customer notes: {notes}': 'Notes du client : {notes}',
+    'Equipment: {items}': 'Équipement : {items}',
+    'Installed serials': 'Numéros de série installés',
+    'Signed off by': 'Validé par',
+    'Job notes': "Notes d'intervention",
+    'Installed serial numbers (one per line)': 'Numéros de série installés (un par ligne)',
+    'Notes saved': 'Notes enregistrées',
+    'Save notes': 'Enregistrer les notes',
+    'Customer sign-off': 'Validation du client',
+    'Customer name': 'Nom du client',
+    'Complete job': "Terminer l'intervention",
+
+    'Every 5 s': 'Toutes les 5 s',
+    'Every 15 s': 'Toutes les 15 s',
+    'Every minute': 'Toutes les minutes',
+    'Collecting...': 'Collecte...',
+    'Backend': 'Serveur',
+    'OK': 'OK',
+    'Unreachable': 'Injoignable',
+    'Last {last} ms • avg {avg} ms': 'Dernier {last} ms • moy. {avg} ms',
+    '{percent} ok': '{percent} OK',
+    'Database status unavailable: {error}': 'État de la base de données indisponible : {error}',
+    'Database': 'Base de données',
+    '{count} collection': '{count} collection',
+    '{count} collections': '{count} collections',
+    'Checking...': 'Vérification...',
+    '{count} check failing': '{count} vérification en échec',
+    '{count} checks failing': '{count} vérifications en échec',
+    'All systems operational': 'Tous les systèmes sont opérationnels',
+    'checked {time}': 'vérifié à {time}',
+    'Resume': 'Reprendre',
+    'Pause': 'Pause',
+    'Check now': 'Vérifier maintenant',
+
+    'Invalid credentials': 'Identifiants invalides',
+    'Invalid or expired code': 'Code invalide ou expiré',
+    'This area is available for {role} accounts.': 'Cet espace est réservé aux comptes {role}.',
+    'technician': 'technicien',
+    'Yes': 'Oui',
+    'No': 'Non',
+    'Lens': 'Objectif',
+    'Night vision range': 'Portée de vision nocturne',
+    'IP rating': 'Indice IP',
+    'PoE': 'PoE',
+    'Storage codec': 'Codec de stockage',
+    'Some items in your cart changed. Please review them before checking out.': 'Certains articles de votre panier ont changé. Vérifiez-les avant de commander.',
+    'United States': 'États-Unis',
+    'Canada': 'Canada',
+    'United Kingdom': 'Royaume-Uni',
+    'Germany': 'Allemagne',
+    'France': 'France',
+    'Spain': 'Espagne',
+    'Failed to assign technician': "Impossible d'attribuer le technicien",
+    'Technician assigned': 'Technicien attribué',
+    'Technician unassigned': 'Technicien retiré',
+    'Admin dashboard is available for admin accounts.': "Le tableau de bord d'administration est réservé aux comptes administrateur.",
+    'Admin accounts must turn on two-factor authentication before using the admin dashboard.': "Les comptes administrateur doivent activer l'authentification à deux facteurs avant d'utiliser le tableau de bord.",
+    'Set up two-factor authentication': "Configurer l'authentification à deux facteurs",
+    'Unassigned': 'Non attribué',
+    'No service requests.': "Aucune demande d'intervention.",
+
+    'We sent a verification link to {email}.': 'Nous avons envoyé un lien de vérification à {email}.',
+    'Profile saved': 'Profil enregistré',
+    'Not verified yet.': 'Pas encore vérifié.',
+    'Save profile': 'Enregistrer le profil',
+    'Password changed': 'Mot de passe modifié',
+    'Current password is incorrect': 'Le mot de passe actuel est incorrect',
+    'Current password': 'Mot de passe actuel',
+    'Confirm new password': 'Confirmer le nouveau mot de passe',
+    'Change password': 'Changer le mot de passe',
+    'Address saved': 'Adresse enregistrée',
+    'Delete this address?': 'Supprimer cette adresse ?',
+    'Delete': 'Supprimer',
+    'Address deleted': 'Adresse supprimée',
+    'No saved addresses.': 'Aucune adresse enregistrée.',
+    'Save address': "Enregistrer l'adresse",
+    'Add address': 'Ajouter une adresse',
+    'Profile': 'Profil',
+    'Active sessions': 'Sessions actives',
+
+    '{resolution} indoor': '{resolution} intérieur',
+    '{resolution} outdoor': '{resolution} extérieur',
+    'Recorder': 'Enregistreur',
+    '{count} channel': '{count} canal',
+    '{count} channels': '{count} canaux',
+    'PoE switch': 'Switch PoE',
+    '{needed} W needed, recorder supplies {budget} W': "{needed} W nécessaires, l'enregistreur fournit {budget} W",
+    'Storage': 'Stockage',
+    '{size} TB for {count} day': '{size} To pour {count} jour',
+    '{size} TB for {count} days': '{size} To pour {count} jours',
+    'Cabling': 'Câblage',
+    '{length} m estimated': '{length} m estimés',
+    'Add at least one coverage point.': 'Ajoutez au moins un point de couverture.',
+    'Bundle added to cart': 'Pack ajouté au panier',
+    'Build your camera system': 'Composez votre système de caméras',
+    "Tell us about your property and we'll propose cameras, a recorder, storage and cabling that work together.": 'Décrivez votre bien et nous vous proposerons caméras, enregistreur, stockage et câblage compatibles.',
+    'Property': 'Bien',
+    'Apartment': 'Appartement',
+    'House': 'Maison',
+    'Large house / farm': 'Grande maison / ferme',
+    'Shop / office': 'Commerce / bureau',
+    'Indoor coverage points': 'Points de couverture intérieurs',
+    'Outdoor coverage points': 'Points de couverture extérieurs',
+    'Camera resolution': 'Résolution des caméras',
+    'Keep recordings for': 'Conserver les enregistrements',
+    'Propose a system': 'Proposer un système',
+    'Loading catalog...': 'Chargement du catalogue...',
+    'PoE budget': 'Budget PoE',
+    'No matching products are in the catalog.': 'Aucun produit correspondant dans le catalogue.',
+    'Browse the shop': 'Parcourir la boutique',
+    'Book professional installation': 'Réserver une installation professionnelle',
+    'Add bundle to cart': 'Ajouter le pack au panier',
+    '{count} item': '{count} article',
+    'Invoice {id}': 'Facture {id}',
+    'SecureView invoice': 'Facture SecureView',
+    'Payment': 'Paiement',
+
+    'Recording continuously': 'Enregistrement continu',
+    'Recording on motion': 'Enregistrement sur mouvement',
+    'Not recording': "Pas d'enregistrement",
+    'never': 'jamais',
+    'just now': "à l'instant",
+    '{plan} plan': 'Forfait {plan}',
+    '{count} of {total} cameras': '{count} caméras sur {total}',
+    '{count} day cloud retention': '{count} jour de conservation dans le cloud',
+    '{count} days cloud retention': '{count} jours de conservation dans le cloud',
+    'Remote viewing included': 'Visionnage à distance inclus',
+    'No remote viewing': 'Pas de visionnage à distance',
+    'Upgrade to add more cameras': 'Passez à un forfait supérieur pour ajouter des caméras',
+    'Camera registered': 'Caméra enregistrée',
+    '{camera} at {site}': '{camera} sur {site}',
+    'your site': 'votre site',
+    'Register a camera': 'Enregistrer une caméra',
+    'Serial number': 'Numéro de série',
+    'Printed on the label under the camera and on the box.': "Imprimé sur l'étiquette sous la caméra et sur la boîte.",
+    'Front door': "Porte d'entrée",
+    'Location': 'Emplacement',
+    'Porch': 'Porche',
+    'Site': 'Site',
+    'Home': 'Maison',
+    'Register': 'Enregistrer',
+    'Online': 'En ligne',
+    'Offline': 'Hors ligne',
+    'Last seen {when}': 'Vu pour la dernière fois : {when}',
+    '{size} stored': '{size} stockés',
+    'Recordings': 'Enregistrements',
+    'Remove {camera}?': 'Retirer {camera} ?',
+    'It stops recording to the cloud and frees a camera slot on your plan. Existing recordings are kept until they expire.': "Elle cesse d'enregistrer dans le cloud et libère un emplacement de caméra de votre forfait. Les enregistrements existants sont conservés jusqu'à leur expiration.",
+    'Camera removed': 'Caméra retirée',
+    'Could not remove camera': 'Impossible de retirer la caméra',
+    'Could not refresh: {error}': 'Actualisation impossible : {error}',
+    '{count} of {total} online': '{count} sur {total} en ligne',
+    'Live view': 'Vue en direct',
+    'No cameras registered yet. Register one by serial number, or build a system first.': "Aucune caméra enregistrée pour l'instant. Enregistrez-en une avec son numéro de série ou composez d'abord un système.",
+    'Build a system': 'Composer un système',
+
+    "Remote viewing isn't included in the {plan} plan": "Le visionnage à distance n'est pas inclus dans le forfait {plan}",
+    'Upgrade to watch your cameras live and play back recordings from anywhere.': 'Passez à un forfait supérieur pour regarder vos caméras en direct et revoir les enregistrements où que vous soyez.',
+    'Connecting...': 'Connexion...',
+    'Playback': 'Lecture',
+    'Expand': 'Agrandir',
+    'My cameras': 'Mes caméras',
+    'Single': 'Une',
+    '{count} up': '{count} à la fois',
+    'No cameras registered yet.': "Aucune caméra enregistrée pour l'instant.",
+    "Outside your plan's retention window": 'En dehors de la durée de conservation de votre forfait',
+    '{event} at {time}': '{event} à {time}',
+    'No recording after this point': 'Aucun enregistrement après ce point',
+    'Could not take snapshot': "Impossible de prendre l'instantané",
+    'Camera not found.': 'Caméra introuvable.',
+    'Back to my cameras': 'Retour à mes caméras',
+    'Snapshot': 'Instantané',
+    'Pick a point on the timeline to start playback': 'Choisissez un point sur la frise pour lancer la lecture',
+    'No recordings on this day': 'Aucun enregistrement ce jour-là',
+    'Recordings are kept for {count} day on the {plan} plan.': 'Avec le forfait {plan}, les enregistrements sont conservés {count} jour.',
+    'Recordings are kept for {count} days on the {plan} plan.': 'Avec le forfait {plan}, les enregistrements sont conservés {count} jours.',
+    'Motion events': 'Détections de mouvement',
+
+    "Store these backup codes somewhere safe. Each one signs you in once if you lose your authenticator. They won't be shown again.": 'Conservez ces codes de secours en lieu sûr. Chacun permet de vous connecter une fois si vous perdez votre authentificateur. Ils ne seront plus affichés.',
+    'Download': 'Télécharger',
+    'Copy': 'Copier',
+    "I've saved them": 'Je les ai enregistrés',
+    'Invalid code': 'Code invalide',
+    'Two-factor authentication turned on': 'Authentification à deux facteurs activée',
+    'Enter a current code to turn off two-factor authentication.': "Saisissez un code actuel pour désactiver l'authentification à deux facteurs.",
+    'Turn off two-factor authentication?': "Désactiver l'authentification à deux facteurs ?",
+    'Your account will be protected by your password only.': 'Votre compte ne sera protégé que par votre mot de passe.',
+    'Turn off': 'Désactiver',
+    'Two-factor authentication turned off': 'Authentification à deux facteurs désactivée',
+    'Enter a current code to generate new backup codes.': 'Saisissez un code actuel pour générer de nouveaux codes de secours.',
+    'Scan this code with an authenticator app such as Google Authenticator, 1Password or Authy, then enter the 6-digit code it shows.': "Scannez ce code avec une application d'authentification comme Google Authenticator, 1Password ou Authy, puis saisissez le code à 6 chiffres affiché.",
+    'Two-factor QR code': "QR code d'authentification à deux facteurs",
+    "Can't scan? Enter this key manually:": 'Impossible de scanner ? Saisissez cette clé manuellement :',
+    'Turn on': 'Activer',
+    'Protect your account with a code from your phone in addition to your password.': 'Protégez votre compte avec un code de votre téléphone en plus de votre mot de passe.',
+    'Admin accounts must turn this on before using the admin dashboard.': "Les comptes administrateur doivent l'activer avant d'utiliser le tableau de bord.",
+    'Two-factor authentication is on.': "L'authentification à deux facteurs est activée.",
+    'Current code': 'Code actuel',
+    'New backup codes': 'Nouveaux codes de secours',
+    'Sign out {device}?': 'Déconnecter {device} ?',
+    'this device': 'cet appareil',
+    'That device will need to sign in again.': 'Cet appareil devra se reconnecter.',
+    'Sign out': 'Se déconnecter',
+    'Session revoked': 'Session révoquée',
+    'Unknown device': 'Appareil inconnu',
+    'This device': 'Cet appareil',
+    'last active {date}': 'dernière activité : {date}',
+    'Revoke': 'Révoquer',
+    'No active sessions.': 'Aucune session active.',
+
+    'Sent {count} change made offline': '{count} modification faite hors ligne envoyée',
+    'Sent {count} changes made offline': '{count} modifications faites hors ligne envoyées',
+    '{change} could not be sent': 'Envoi impossible : {change}',
+    "You're offline. The catalog, your orders and bookings show the last saved copy and are read-only.": 'Vous êtes hors ligne. Le catalogue, vos commandes et vos réservations affichent la dernière copie enregistrée et sont en lecture seule.',
+    '{count} change will be sent when you reconnect.': '{count} modification sera envoyée à la reconnexion.',
+    '{count} changes will be sent when you reconnect.': '{count} modifications seront envoyées à la reconnexion.',
+    '{count} change made offline will be sent after you sign in.': '{count} modification faite hors ligne sera envoyée après votre connexion.',
+    '{count} changes made offline will be sent after you sign in.': '{count} modifications faites hors ligne seront envoyées après votre connexion.',
+    'Sending {count} change made offline...': 'Envoi de {count} modification faite hors ligne...',
+    'Sending {count} changes made offline...': 'Envoi de {count} modifications faites hors ligne...',
+    '{count} change made offline could not be sent yet.': "{count} modification faite hors ligne n'a pas encore pu être envoyée.",
+    '{count} changes made offline could not be sent yet.': "{count} modifications faites hors ligne n'ont pas encore pu être envoyées.",
+  },
+  de: {
+    'Shop': 'Shop',
+    'Cart': 'Warenkorb',
+    'Orders': 'Bestellungen',
+    'Services': 'Service',
+    'Cameras': 'Kameras',
+    'Account': 'Konto',
+    'Jobs': 'Aufträge',
+    'Admin': 'Admin',
+    'Alerts': 'Meldungen',
+    'Logout': 'Abmelden',
+    'Language': 'Sprache',
+    'Currency': 'Währung',
+    'Ship to': 'Lieferland',
+
+    'Welcome back': 'Willkommen zurück',
+    'Create your account': 'Konto erstellen',
+    'Reset your password': 'Passwort zurücksetzen',
+    'Two-factor authentication': 'Zwei-Faktor-Authentifizierung',
+    'Sign in': 'Anmelden',
+    'Create account': 'Konto erstellen',
+    'Send reset link': 'Link senden',
+    'Verify': 'Bestätigen',
+    "Enter your account email and we'll send you a reset link.": 'Gib die E-Mail-Adresse deines Kontos ein, und wir senden dir einen Link zum Zurücksetzen.',
+    'Enter the 6-digit code from your authenticator app, or one of your backup codes.': 'Gib den 6-stelligen Code aus deiner Authenticator-App oder einen deiner Backup-Codes ein.',
+    'Shop CCTV products and book professional installation.': 'Videoüberwachung kaufen und professionelle Installation buchen.',
+    'Name': 'Name',
+    'Authentication code': 'Bestätigungscode',
+    'Email': 'E-Mail',
+    'Password': 'Passwort',
+    'Forgot password?': 'Passwort vergessen?',
+    'Please wait...': 'Bitte warten...',
+    "Don't have an account? Sign up": 'Noch kein Konto? Registrieren',
+    'Already have an account? Sign in': 'Schon ein Konto? Anmelden',
+    'Back to sign in': 'Zurück zur Anmeldung',
+    'We sent a verification link to {email}. Open it, then sign in.': 'Wir haben einen Bestätigungslink an {email} gesendet. Öffne ihn und melde dich dann an.',
+    "If an account exists for {email}, we've emailed a link to reset the password.": 'Falls ein Konto für {email} existiert, haben wir einen Link zum Zurücksetzen des Passworts gesendet.',
+
+    'Awaiting payment': 'Zahlung ausstehend',
+    'Paid': 'Bezahlt',
+    'Processing': 'In Bearbeitung',
+    'Shipped': 'Versandt',
+    'Completed': 'Abgeschlossen',
+    'Cancelled': 'Storniert',
+    'Requested': 'Angefragt',
+    'Assigned': 'Zugewiesen',
+    'En route': 'Unterwegs',
+    'In progress': 'In Arbeit',
+
+    'Your cart is empty.': 'Dein Warenkorb ist leer.',
+    'Order summary': 'Bestellübersicht',
+    'Subtotal': 'Zwischensumme',
+    'Shipping': 'Versand',
+    'Installation': 'Installation',
+    'Total': 'Gesamt',
+    'Free': 'Kostenlos',
+    'Sales tax': 'Umsatzsteuer',
+    'VAT': 'MwSt.',
+    'Estimated {tax}': 'Geschätzte {tax}',
+    '{price} each': 'je {price}',
+    'Remove': 'Entfernen',
+    'Checkout': 'Zur Kasse',
+    'Add to cart': 'In den Warenkorb',
+    'Shipping or installation is calculated at checkout.': 'Versand oder Installation werden an der Kasse berechnet.',
+    "You're offline. Cart changes are saved and synced later; checkout needs a connection.": 'Du bist offline. Änderungen am Warenkorb werden gespeichert und später synchronisiert; zum Bezahlen ist eine Verbindung nötig.',
+    'Ship to address': 'Lieferung an Adresse',
+    'Professional installation': 'Professionelle Installation',
+    'Delivered in 3–5 business days. Free over {amount}.': 'Lieferung in 3–5 Werktagen. Kostenlos ab {amount}.',
+    'A technician delivers and installs the equipment on site.': 'Ein Techniker liefert und installiert die Geräte vor Ort.',
+    'Place order and pay {amount}': 'Bestellen und {amount} bezahlen',
+    'Prices converted from {base} at current rates; you are charged in {base}.': 'Preise zum aktuellen Kurs aus {base} umgerechnet; die Abrechnung erfolgt in {base}.',
+
+    'Address': 'Adresse',
+    'Delivery': 'Lieferung',
+    'Review': 'Überprüfung',
+    'Continue': 'Weiter',
+    'Back': 'Zurück',
+    'Cancel': 'Abbrechen',
+    'Edit': 'Bearbeiten',
+    'Saved addresses': 'Gespeicherte Adressen',
+    'Save this address for next time': 'Diese Adresse für das nächste Mal speichern',
+    'Installation address': 'Installationsadresse',
+    'Shipping address': 'Lieferadresse',
+    'Back to cart': 'Zurück zum Warenkorb',
+
+    'Product not found': 'Produkt nicht gefunden',
+    'Back to shop': 'Zurück zum Shop',
+    'In stock ({count} available)': 'Auf Lager ({count} verfügbar)',
+    'Out of stock': 'Nicht auf Lager',
+    'Specifications': 'Technische Daten',
+    '{count} unread alerts': '{count} ungelesene Warnungen',
+
+    'Overview': 'Übersicht',
+    'Products': 'Produkte',
+    'Customers': 'Kunden',
+    'Reviews': 'Bewertungen',
+    'Health': 'Systemstatus',
+
+    'Order {id}': 'Bestellung {id}',
+    '{count} items': '{count} Artikel',
+    'Unpaid': 'Unbezahlt',
+    'You have not placed any orders yet.': 'Sie haben noch keine Bestellungen aufgegeben.',
+    'All orders': 'Alle Bestellungen',
+    'Pay now': 'Jetzt bezahlen',
+    'Print invoice': 'Rechnung drucken',
+    'Download invoice': 'Rechnung herunterladen',
+    'Item': 'Artikel',
+    'Qty': 'Menge',
+    'Price': 'Preis',
+    'Amount': 'Betrag',
+    'Tax': 'Steuer',
+    'Payment: {status}': 'Zahlung: {status}',
+    'Status': 'Status',
+
+    'Maintenance': 'Wartung',
+    'Repair': 'Reparatur',
+    'Site survey': 'Vor-Ort-Besichtigung',
+    'Mount, cable and configure new cameras and recorders.': 'Montage, Verkabelung und Einrichtung neuer Kameras und Rekorder.',
+    'Cleaning, firmware updates and a health check of your system.': 'Reinigung, Firmware-Updates und ein Check Ihres Systems.',
+    'Diagnose and fix a faulty camera, recorder or cabling.': 'Diagnose und Reparatur defekter Kameras, Rekorder oder Verkabelung.',
+    'A technician visits to plan coverage and quote an installation.': 'Ein Techniker plant vor Ort die Abdeckung und erstellt ein Angebot für die Installation.',
+    'No existing wiring': 'Keine vorhandene Verkabelung',
+    'Some cabling in place': 'Teilweise verkabelt',
+    'Fully cabled (replacing equipment)': 'Vollständig verkabelt (Geräteaustausch)',
+    'Service': 'Service',
+    'Premises': 'Räumlichkeiten',
+    'Schedule': 'Termin',
+    'Not scheduled': 'Nicht geplant',
+    'Date': 'Datum',
+    'No technicians are available on this day. Try another date.': 'An diesem Tag ist kein Techniker verfügbar. Wählen Sie ein anderes Datum.',
+    'Indoor cameras': 'Innenkameras',
+    'Outdoor cameras': 'Außenkameras',
+    'Existing wiring': 'Vorhandene Verkabelung',
+    'Notes for the technician (optional)': 'Hinweise für den Techniker (optional)',
+    'Access instructions, property type, areas to cover...': 'Zugangshinweise, Art des Objekts, abzudeckende Bereiche...',
+    'Equipment from a past order (optional)': 'Geräte aus einer früheren Bestellung (optional)',
+    'None': 'Keine',
+    'Tell us how many cameras to install.': 'Geben Sie an, wie viele Kameras installiert werden sollen.',
+    'Pick a time slot.': 'Wählen Sie ein Zeitfenster.',
+    '{service} on {when}': '{service} am {when}',
+    '{service} booking': 'Buchung: {service}',
+    'Booking requested': 'Buchung angefragt',
+    'Booking saved offline': 'Buchung offline gespeichert',
+    '{booking} will be requested when you reconnect.': '{booking} wird angefragt, sobald Sie wieder online sind.',
+    'When': 'Wann',
+    'Where': 'Wo',
+    'Notes': 'Hinweise',
+    '{indoor} indoor, {outdoor} outdoor': '{indoor} innen, {outdoor} außen',
+    'Confirm booking': 'Buchung bestätigen',
+    'Cancel this booking?': 'Diese Buchung stornieren?',
+    'Cancel booking': 'Buchung stornieren',
+    'Booking cancelled': 'Buchung storniert',
+    'Booking rescheduled': 'Buchung verschoben',
+    'Technician: {name}': 'Techniker: {name}',
+    'Reschedule': 'Verschieben',
+    'Keep current time': 'Aktuellen Termin behalten',
+    'Confirm new time': 'Neuen Termin bestätigen',
+    'Book a service': 'Service buchen',
+    'Waiting for connection': 'Warte auf Verbindung',
+    'No service bookings yet.': 'Noch keine Servicebuchungen.',
+
+    'Monthly': 'Monatlich',
+    'Annual': 'Jährlich',
+    'monthly': 'monatlich',
+    'annual': 'jährlich',
+    'active': 'aktiv',
+    'Plan': 'Tarif',
+    'Cloud retention': 'Cloud-Speicherdauer',
+    'Remote viewing': 'Fernzugriff',
+    'Priority support': 'Priorisierter Support',
+    '{count} day': '{count} Tag',
+    '{count} days': '{count} Tage',
+    'Up to {count}': 'Bis zu {count}',
+    '{price}/mo': '{price}/Monat',
+    '{price}/yr': '{price}/Jahr',
+    'Save {percent}%': '{percent} % sparen',
+    'Current plan': 'Aktueller Tarif',
+    'Upgrade': 'Upgrade',
+    'Downgrade': 'Downgrade',
+    'Switch billing': 'Abrechnung ändern',
+    'Subscription': 'Abonnement',
+    'billed {cycle}': 'Abrechnung {cycle}',
+    'Billed {cycle}.': 'Abrechnung {cycle}.',
+    'Status: {status}': 'Status: {status}',
+    'Cancels on {date}; you keep {plan} until then.': 'Endet am {date}; bis dahin behalten Sie {plan}.',
+    'Renews on {date}': 'Verlängert sich am {date}',
+    'Compare plans': 'Tarife vergleichen',
+    'Resume subscription': 'Abonnement fortsetzen',
+    'Subscription resumed': 'Abonnement fortgesetzt',
+    'Cancel subscription': 'Abonnement kündigen',
+    'Subscription cancelled': 'Abonnement gekündigt',
+    'Cancel {plan}?': '{plan} kündigen?',
+    'It stays active until the end of the current billing period.': 'Es bleibt bis zum Ende des aktuellen Abrechnungszeitraums aktiv.',
+    'Switch to {plan} ({cycle})': 'Wechsel zu {plan} ({cycle})',
+    'Switched to {plan}': 'Zu {plan} gewechselt',
+    '{plan} {cycle} price': '{plan}-Preis ({cycle})',
+    'Credit for unused time on current plan': 'Gutschrift für ungenutzte Zeit im aktuellen Tarif',
+    'Due today': 'Heute fällig',
+    '{amount} will be credited to your next invoice.': '{amount} werden Ihrer nächsten Rechnung gutgeschrieben.',
+    'Next renewal: {date}': 'Nächste Verlängerung: {date}',
+    'Your payment went through; trying again will not charge you a second time.': 'Ihre Zahlung ist eingegangen; ein erneuter Versuch belastet Sie nicht noch einmal.',
+    'Retry switch': 'Wechsel erneut versuchen',
+    'Pay {amount} and switch': '{amount} zahlen und wechseln',
+    'Confirm switch': 'Wechsel bestätigen',
+
+    'Relevance': 'Relevanz',
+    'Price: low to high': 'Preis: aufsteigend',
+    'Price: high to low': 'Preis: absteigend',
+    'Most popular': 'Am beliebtesten',
+    'Top rated': 'Am besten bewertet',
+    'Newest': 'Neueste',
+    'Indoor': 'Innen',
+    'Outdoor': 'Außen',
+    'Search': 'Suche',
+    'Category': 'Kategorie',
+    'Min price': 'Mindestpreis',
+    'Max price': 'Höchstpreis',
+    'Resolution': 'Auflösung',
+    'Placement': 'Montageort',
+    'Brand': 'Marke',
+    'In stock only': 'Nur auf Lager',
+    'No image': 'Kein Bild',
+    'Choose options': 'Optionen wählen',
+    'Added to cart': 'In den Warenkorb gelegt',
+    'View cart': 'Warenkorb anzeigen',
+    'No products match your search.': 'Keine Produkte entsprechen Ihrer Suche.',
+    'Did you mean': 'Meinten Sie',
+    'Try removing a filter:': 'Entfernen Sie einen Filter:',
+    'Clear all': 'Alle löschen',
+    'Or browse:': 'Oder stöbern Sie:',
+    'Accessories': 'Zubehör',
+    'Systems': 'Systeme',
+    'DVR': 'DVR',
+    'NVR': 'NVR',
+    'Cables': 'Kabel',
+    'All categories': 'Alle Kategorien',
+    'Min': 'Min.',
+    'Max': 'Max.',
+    'Any': 'Alle',
+    'Not sure which pieces work together?': 'Unsicher, welche Komponenten zusammenpassen?',
+    'Build a complete camera system': 'Stellen Sie ein komplettes Kamerasystem zusammen',
+    'Search products': 'Produkte suchen',
+    'Loading...': 'Wird geladen...',
+    '{count} product': '{count} Produkt',
+    '{count} products': '{count} Produkte',
+    'Previous': 'Zurück',
+    'Next': 'Weiter',
+    'Page {page} of {pages}': 'Seite {page} von {pages}',
+
+    'Motion detected': 'Bewegung erkannt',
+    'Camera offline': 'Kamera offline',
+    'Tamper alarm': 'Sabotagealarm',
+    'Storage full': 'Speicher voll',
+    'Order shipped': 'Bestellung versandt',
+    'Technician on the way': 'Techniker unterwegs',
+    '{count} unread alert': '{count} ungelesene Warnung',
+    'View': 'Ansehen',
+    'Get notified about alarms while SecureView is in a background tab.': 'Lassen Sie sich über Alarme benachrichtigen, während SecureView im Hintergrund geöffnet ist.',
+    'Enable notifications': 'Benachrichtigungen aktivieren',
+    'Could not acknowledge': 'Bestätigung fehlgeschlagen',
+    'Acknowledge': 'Bestätigen',
+    'All alerts acknowledged': 'Alle Warnungen bestätigt',
+    'Could not acknowledge alerts': 'Warnungen konnten nicht bestätigt werden',
+    'Unread ({count})': 'Ungelesen ({count})',
+    'All': 'Alle',
+    'All types': 'Alle Typen',
+    'Acknowledge all': 'Alle bestätigen',
+    'No alerts yet.': 'Noch keine Warnungen.',
+    'You are all caught up.': 'Sie sind auf dem neuesten Stand.',
+
+    'Highest rated': 'Beste Bewertung',
+    'Lowest rated': 'Schlechteste Bewertung',
+    'With photos': 'Mit Fotos',
+    '{rating} out of 5 stars': '{rating} von 5 Sternen',
+    '{count} star': '{count} Stern',
+    '{count} stars': '{count} Sterne',
+    '{count} review': '{count} Bewertung',
+    '{count} reviews': '{count} Bewertungen',
+    'Photos must be 5 MB or smaller.': 'Fotos dürfen höchstens 5 MB groß sein.',
+    'Upload failed: {error}': 'Hochladen fehlgeschlagen: {error}',
+    'Choose a star rating.': 'Wählen Sie eine Sternebewertung.',
+    'Tell other customers about the product.': 'Erzählen Sie anderen Kunden von dem Produkt.',
+    'Thanks for your review': 'Danke für Ihre Bewertung',
+    "It will appear once it's been checked by our team.": 'Sie erscheint, sobald unser Team sie geprüft hat.',
+    'Title (optional)': 'Titel (optional)',
+    'What did you like or dislike? How is the picture at night?': 'Was hat Ihnen gefallen oder nicht? Wie ist das Bild bei Nacht?',
+    'Remove photo': 'Foto entfernen',
+    'Uploading...': 'Wird hochgeladen...',
+    'Submit review': 'Bewertung absenden',
+    'Customer': 'Kunde',
+    'Verified purchase': 'Verifizierter Kauf',
+    'No reviews yet.': 'Noch keine Bewertungen.',
+    'Show more reviews': 'Weitere Bewertungen anzeigen',
+    'Customer reviews': 'Kundenbewertungen',
+    'Write a review': 'Bewertung schreiben',
+    "to review a product you've bought.": 'und bewerten Sie ein gekauftes Produkt.',
+    'Reviews are open to customers once their order for this product is completed.': 'Bewertungen sind möglich, sobald Ihre Bestellung dieses Produkts abgeschlossen ist.',
+    'Please write out your question in a little more detail.': 'Bitte beschreiben Sie Ihre Frage etwas ausführlicher.',
+    'Question sent': 'Frage gesendet',
+    'It will appear here once our team has answered it.': 'Sie erscheint hier, sobald unser Team sie beantwortet hat.',
+    'Questions and answers': 'Fragen und Antworten',
+    'Ask about night vision, weatherproofing, compatibility...': 'Fragen Sie nach Nachtsicht, Wetterfestigkeit, Kompatibilität...',
+    'Sending...': 'Wird gesendet...',
+    'Ask': 'Fragen',
+    'to ask a question.': 'und stellen Sie eine Frage.',
+    'Q:': 'F:',
+    'A:': 'A:',
+    'Answered by SecureView': 'Beantwortet von SecureView',
+    'No questions yet.': 'Noch keine Fragen.',
+
+    'Confirm': 'Bestätigen',
+    'Try again': 'Erneut versuchen',
+    'Dismiss': 'Schließen',
+
+    'This product is no longer available.': 'Dieses Produkt ist nicht mehr erhältlich.',
+    'The {option} option is no longer available.': 'Die Option {option} ist nicht mehr erhältlich.',
+    'Out of stock.': 'Nicht auf Lager.',
+    'Only {count} left in stock.': 'Nur noch {count} auf Lager.',
+    'Price changed from {old} to {new}.': 'Der Preis hat sich von {old} auf {new} geändert.',
+    'Your cart could not be saved to your account: {error}': 'Ihr Warenkorb konnte nicht in Ihrem Konto gespeichert werden: {error}',
+    'Cart changes': 'Warenkorbänderungen',
+
+    'Full name': 'Vollständiger Name',
+    'Phone': 'Telefon',
+    'Address line 1': 'Adresszeile 1',
+    'Address line 2': 'Adresszeile 2',
+    'City': 'Stadt',
+    'State / region': 'Bundesland / Region',
+    'Postal code': 'Postleitzahl',
+    'Country': 'Land',
+    '{field} is required': '{field} ist erforderlich',
+    '{field} (optional)': '{field} (optional)',
+    'Enter a valid phone number': 'Geben Sie eine gültige Telefonnummer ein',
+    'Enter a valid postal code': 'Geben Sie eine gültige Postleitzahl ein',
+    'Could not save address: {error}': 'Adresse konnte nicht gespeichert werden: {error}',
+    'Order {id} was created but payment did not go through.': 'Bestellung {id} wurde angelegt, aber die Zahlung ist fehlgeschlagen.',
+    'Your order is saved. You can retry the payment now or later from your orders.': 'Ihre Bestellung ist gespeichert. Sie können die Zahlung jetzt oder später über Ihre Bestellungen wiederholen.',
+    'View orders': 'Bestellungen ansehen',
+    'Retry payment': 'Zahlung wiederholen',
+    'Order placed': 'Bestellung aufgegeben',
+    'Order {id} is paid and confirmed.': 'Bestellung {id} ist bezahlt und bestätigt.',
+    'Some items in your cart changed. Please review your cart before ordering.': 'Einige Artikel in Ihrem Warenkorb haben sich geändert. Bitte prüfen Sie den Warenkorb vor der Bestellung.',
+    'Order failed: {error}': 'Bestellung fehlgeschlagen: {error}',
+    'Processing payment...': 'Zahlung wird verarbeitet...',
+    'Order {id} was created with an updated total.': 'Bestellung {id} wurde mit einem aktualisierten Gesamtbetrag angelegt.',
+    'Shipping or tax changed since your cart was priced. Check the summary, then pay to confirm the order.': 'Versand oder Steuern haben sich seit der Berechnung Ihres Warenkorbs geändert. Prüfen Sie die Übersicht und bezahlen Sie, um die Bestellung zu bestätigen.',
+    'Pay {amount}': '{amount} bezahlen',
+    'Payment successful': 'Zahlung erfolgreich',
+    'Order {id} is paid.': 'Bestellung {id} ist bezahlt.',
+    'Order {id}: {status}. No payment is due.': 'Bestellung {id}: {status}. Es ist keine Zahlung fällig.',
+    'Amount due: {amount}': 'Fälliger Betrag: {amount}',
+
+    'At least 10 characters': 'Mindestens 10 Zeichen',
+    'Upper and lower case letters': 'Groß- und Kleinbuchstaben',
+    'At least one number': 'Mindestens eine Ziffer',
+    'At least one symbol': 'Mindestens ein Sonderzeichen',
+    'Password needs: {rules}': 'Das Passwort braucht: {rules}',
+    'Password must not contain your email name': 'Das Passwort darf Ihren E-Mail-Namen nicht enthalten',
+    'Passwords do not match': 'Die Passwörter stimmen nicht überein',
+    'This reset link is invalid or has expired. Request a new one from the sign-in page.': 'Dieser Link ist ungültig oder abgelaufen. Fordern Sie auf der Anmeldeseite einen neuen an.',
+    'This link is missing its reset token.': 'Diesem Link fehlt das Zurücksetzungstoken.',
+    'Password updated': 'Passwort aktualisiert',
+    'You can now sign in with your new password.': 'Sie können sich jetzt mit Ihrem neuen Passwort anmelden.',
+    'Choose a new password': 'Neues Passwort wählen',
+    'New password': 'Neues Passwort',
+    'Confirm password': 'Passwort bestätigen',
+    'Update password': 'Passwort aktualisieren',
+    'Verifying your email...': 'E-Mail wird bestätigt...',
+    'Email verified': 'E-Mail bestätigt',
+    'Verification failed': 'Bestätigung fehlgeschlagen',
+    'This link is invalid or has expired. Sign in and request a new one from the banner at the top of the page.': 'Dieser Link ist ungültig oder abgelaufen. Melden Sie sich an und fordern Sie über das Banner oben auf der Seite einen neuen an.',
+    'Continue to SecureView': 'Weiter zu SecureView',
+    'Please verify your email address. We sent a link to {email}.': 'Bitte bestätigen Sie Ihre E-Mail-Adresse. Wir haben einen Link an {email} gesendet.',
+    'Sent — check your inbox.': 'Gesendet – sehen Sie in Ihrem Posteingang nach.',
+    'Resend link': 'Link erneut senden',
+
+    'Mark en route': 'Als unterwegs markieren',
+    'Job marked en route': 'Auftrag als unterwegs markiert',
+    'Mark in progress': 'Als in Arbeit markieren',
+    'Job marked in progress': 'Auftrag als in Arbeit markiert',
+    'Clear signature': 'Unterschrift löschen',
+    'Show completed and cancelled jobs': 'Abgeschlossene und stornierte Aufträge anzeigen',
+    'No jobs assigned to you.': 'Ihnen sind keine Aufträge zugewiesen.',
+    'Customer name and a full signature are required to complete the job.': 'Zum Abschließen des Auftrags sind der Kundenname und eine vollständige Unterschrift erforderlich.',
+    'Job completed': 'Auftrag abgeschlossen',
+    'All jobs': 'Alle Aufträge',
+    'Customer notes: {notes}': 'Kundenhinweise: {notes}',
+    'Equipment: {items}': 'Ausrüstung: {items}',
+    'Installed serials': 'Installierte Seriennummern',
+    'Signed off by': 'Abgenommen von',
+    'Job notes': 'Auftragsnotizen',
+    'Installed serial numbers (one per line)': 'Installierte Seriennummern (eine pro Zeile)',
+    'Notes saved': 'Notizen gespeichert',
+    'Save notes': 'Notizen speichern',
+    'Customer sign-off': 'Abnahme durch den Kunden',
+    'Customer name': 'Name des Kunden',
+    'Complete job': 'Auftrag abschließen',
+
+    'Every 5 s': 'Alle 5 s',
+    'Every 15 s': 'Alle 15 s',
+    'Every minute': 'Jede Minute',
+    'Collecting...': 'Wird gesammelt...',
+    'Backend': 'Backend',
+    'OK': 'OK',
+    'Unreachable': 'Nicht erreichbar',
+    'Last {last} ms • avg {avg} ms': 'Letzte {last} ms • Ø {avg} ms',
+    '{percent} ok': '{percent} OK',
+    'Database status unavailable: {error}': 'Datenbankstatus nicht verfügbar: {error}',
+    'Database': 'Datenbank',
+    '{count} collection': '{count} Collection',
+    '{count} collections': '{count} Collections',
+    'Checking...': 'Wird geprüft...',
+    '{count} check failing': '{count} Prüfung fehlgeschlagen',
+    '{count} checks failing': '{count} Prüfungen fehlgeschlagen',
+    'All systems operational': 'Alle Systeme betriebsbereit',
+    'checked {time}': 'geprüft um {time}',
+    'Resume': 'Fortsetzen',
+    'Pause': 'Pausieren',
+    'Check now': 'Jetzt prüfen',
+
+    'Invalid credentials': 'Ungültige Anmeldedaten',
+    'Invalid or expired code': 'Ungültiger oder abgelaufener Code',
+    'This area is available for {role} accounts.': 'Dieser Bereich ist für {role}-Konten verfügbar.',
+    'technician': 'Techniker',
+    'Yes': 'Ja',
+    'No': 'Nein',
+    'Lens': 'Objektiv',
+    'Night vision range': 'Nachtsichtweite',
+    'IP rating': 'IP-Schutzart',
+    'PoE': 'PoE',
+    'Storage codec': 'Speichercodec',
+    'Some items in your cart changed. Please review them before checking out.': 'Einige Artikel in Ihrem Warenkorb haben sich geändert. Bitte prüfen Sie sie vor dem Bezahlen.',
+    'United States': 'Vereinigte Staaten',
+    'Canada': 'Kanada',
+    'United Kingdom': 'Vereinigtes Königreich',
+    'Germany': 'Deutschland',
+    'France': 'Frankreich',
+    'Spain': 'Spanien',
+    'Failed to assign technician': 'Techniker konnte nicht zugewiesen werden',
+    'Technician assigned': 'Techniker zugewiesen',
+    'Technician unassigned': 'Technikerzuweisung aufgehoben',
+    'Admin dashboard is available for admin accounts.': 'Das Admin-Dashboard ist für Administratorkonten verfügbar.',
+    'Admin accounts must turn on two-factor authentication before using the admin dashboard.': 'Administratorkonten müssen die Zwei-Faktor-Authentifizierung aktivieren, bevor sie das Admin-Dashboard nutzen.',
+    'Set up two-factor authentication': 'Zwei-Faktor-Authentifizierung einrichten',
+    'Unassigned': 'Nicht zugewiesen',
+    'No service requests.': 'Keine Serviceanfragen.',
+
+    'We sent a verification link to {email}.': 'Wir haben einen Bestätigungslink an {email} gesendet.',
+    'Profile saved': 'Profil gespeichert',
+    'Not verified yet.': 'Noch nicht bestätigt.',
+    'Save profile': 'Profil speichern',
+    'Password changed': 'Passwort geändert',
+    'Current password is incorrect': 'Das aktuelle Passwort ist falsch',
+    'Current password': 'Aktuelles Passwort',
+    'Confirm new password': 'Neues Passwort bestätigen',
+    'Change password': 'Passwort ändern',
+    'Address saved': 'Adresse gespeichert',
+    'Delete this address?': 'Diese Adresse löschen?',
+    'Delete': 'Löschen',
+    'Address deleted': 'Adresse gelöscht',
+    'No saved addresses.': 'Keine gespeicherten Adressen.',
+    'Save address': 'Adresse speichern',
+    'Add address': 'Adresse hinzufügen',
+    'Profile': 'Profil',
+    'Active sessions': 'Aktive Sitzungen',
+
+    '{resolution} indoor': '{resolution} innen',
+    '{resolution} outdoor': '{resolution} außen',
+    'Recorder': 'Rekorder',
+    '{count} channel': '{count} Kanal',
+    '{count} channels': '{count} Kanäle',
+    'PoE switch': 'PoE-Switch',
+    '{needed} W needed, recorder supplies {budget} W': '{needed} W benötigt, Rekorder liefert {budget} W',
+    'Storage': 'Speicher',
+    '{size} TB for {count} day': '{size} TB für {count} Tag',
+    '{size} TB for {count} days': '{size} TB für {count} Tage',
+    'Cabling': 'Verkabelung',
+    '{length} m estimated': '{length} m geschätzt',
+    'Add at least one coverage point.': 'Fügen Sie mindestens einen Überwachungspunkt hinzu.',
+    'Bundle added to cart': 'Paket in den Warenkorb gelegt',
+    'Build your camera system': 'Stellen Sie Ihr Kamerasystem zusammen',
+    "Tell us about your property and we'll propose cameras, a recorder, storage and cabling that work together.": 'Beschreiben Sie Ihr Objekt, und wir schlagen Kameras, Rekorder, Speicher und Verkabelung vor, die zusammenpassen.',
+    'Property': 'Objekt',
+    'Apartment': 'Wohnung',
+    'House': 'Haus',
+    'Large house / farm': 'Großes Haus / Hof',
+    'Shop / office': 'Laden / Büro',
+    'Indoor coverage points': 'Überwachungspunkte innen',
+    'Outdoor coverage points': 'Überwachungspunkte außen',
+    'Camera resolution': 'Kameraauflösung',
+    'Keep recordings for': 'Aufnahmen aufbewahren für',
+    'Propose a system': 'System vorschlagen',
+    'Loading catalog...': 'Katalog wird geladen...',
+    'PoE budget': 'PoE-Budget',
+    'No matching products are in the catalog.': 'Im Katalog gibt es keine passenden Produkte.',
+    'Browse the shop': 'Shop durchsuchen',
+    'Book professional installation': 'Professionelle Installation buchen',
+    'Add bundle to cart': 'Paket in den Warenkorb legen',
+    '{count} item': '{count} Artikel',
+    'Invoice {id}': 'Rechnung {id}',
+    'SecureView invoice': 'SecureView-Rechnung',
+    'Payment': 'Zahlung',
+
+    'Recording continuously': 'Daueraufnahme',
+    'Recording on motion': 'Aufnahme bei Bewegung',
+    'Not recording': 'Keine Aufnahme',
+    'never': 'nie',
+    'just now': 'gerade eben',
+    '{plan} plan': 'Tarif {plan}',
+    '{count} of {total} cameras': '{count} von {total} Kameras',
+    '{count} day cloud retention': '{count} Tag Cloud-Speicherung',
+    '{count} days cloud retention': '{count} Tage Cloud-Speicherung',
+    'Remote viewing included': 'Fernzugriff inklusive',
+    'No remote viewing': 'Kein Fernzugriff',
+    'Upgrade to add more cameras': 'Upgraden, um weitere Kameras hinzuzufügen',
+    'Camera registered': 'Kamera registriert',
+    '{camera} at {site}': '{camera} an {site}',
+    'your site': 'Ihrem Standort',
+    'Register a camera': 'Kamera registrieren',
+    'Serial number': 'Seriennummer',
+    'Printed on the label under the camera and on the box.': 'Steht auf dem Etikett unter der Kamera und auf der Verpackung.',
+    'Front door': 'Haustür',
+    'Location': 'Standort',
+    'Porch': 'Veranda',
+    'Site': 'Standort',
+    'Home': 'Zuhause',
+    'Register': 'Registrieren',
+    'Online': 'Online',
+    'Offline': 'Offline',
+    'Last seen {when}': 'Zuletzt gesehen: {when}',
+    '{size} stored': '{size} gespeichert',
+    'Recordings': 'Aufnahmen',
+    'Remove {camera}?': '{camera} entfernen?',
+    'It stops recording to the cloud and frees a camera slot on your plan. Existing recordings are kept until they expire.': 'Sie zeichnet nicht mehr in die Cloud auf und gibt einen Kameraplatz in Ihrem Tarif frei. Vorhandene Aufnahmen bleiben bis zu ihrem Ablauf erhalten.',
+    'Camera removed': 'Kamera entfernt',
+    'Could not remove camera': 'Kamera konnte nicht entfernt werden',
+    'Could not refresh: {error}': 'Aktualisierung fehlgeschlagen: {error}',
+    '{count} of {total} online': '{count} von {total} online',
+    'Live view': 'Live-Ansicht',
+    'No cameras registered yet. Register one by serial number, or build a system first.': 'Noch keine Kameras registriert. Registrieren Sie eine per Seriennummer oder stellen Sie zuerst ein System zusammen.',
+    'Build a system': 'System zusammenstellen',
+
+    "Remote viewing isn't included in the {plan} plan": 'Fernzugriff ist im Tarif {plan} nicht enthalten',
+    'Upgrade to watch your cameras live and play back recordings from anywhere.': 'Upgraden Sie, um Ihre Kameras live anzusehen und Aufnahmen von überall abzuspielen.',
+    'Connecting...': 'Verbindung wird hergestellt...',
+    'Playback': 'Wiedergabe',
+    'Expand': 'Vergrößern',
+    'My cameras': 'Meine Kameras',
+    'Single': 'Einzeln',
+    '{count} up': '{count} gleichzeitig',
+    'No cameras registered yet.': 'Noch keine Kameras registriert.',
+    "Outside your plan's retention window": 'Außerhalb des Aufbewahrungszeitraums Ihres Tarifs',
+    '{event} at {time}': '{event} um {time}',
+    'No recording after this point': 'Nach diesem Zeitpunkt gibt es keine Aufnahme',
+    'Could not take snapshot': 'Schnappschuss fehlgeschlagen',
+    'Camera not found.': 'Kamera nicht gefunden.',
+    'Back to my cameras': 'Zurück zu meinen Kameras',
+    'Snapshot': 'Schnappschuss',
+    'Pick a point on the timeline to start playback': 'Wählen Sie einen Punkt auf der Zeitleiste, um die Wiedergabe zu starten',
+    'No recordings on this day': 'An diesem Tag gibt es keine Aufnahmen',
+    'Recordings are kept for {count} day on the {plan} plan.': 'Im Tarif {plan} werden Aufnahmen {count} Tag aufbewahrt.',
+    'Recordings are kept for {count} days on the {plan} plan.': 'Im Tarif {plan} werden Aufnahmen {count} Tage aufbewahrt.',
+    'Motion events': 'Bewegungsereignisse',
+
+    "Store these backup codes somewhere safe. Each one signs you in once if you lose your authenticator. They won't be shown again.": 'Bewahren Sie diese Backup-Codes sicher auf. Jeder meldet Sie einmal an, falls Sie Ihren Authenticator verlieren. Sie werden nicht erneut angezeigt.',
+    'Download': 'Herunterladen',
+    'Copy': 'Kopieren',
+    "I've saved them": 'Ich habe sie gespeichert',
+    'Invalid code': 'Ungültiger Code',
+    'Two-factor authentication turned on': 'Zwei-Faktor-Authentifizierung aktiviert',
+    'Enter a current code to turn off two-factor authentication.': 'Geben Sie einen aktuellen Code ein, um die Zwei-Faktor-Authentifizierung zu deaktivieren.',
+    'Turn off two-factor authentication?': 'Zwei-Faktor-Authentifizierung deaktivieren?',
+    'Your account will be protected by your password only.': 'Ihr Konto ist dann nur durch Ihr Passwort geschützt.',
+    'Turn off': 'Deaktivieren',
+    'Two-factor authentication turned off': 'Zwei-Faktor-Authentifizierung deaktiviert',
+    'Enter a current code to generate new backup codes.': 'Geben Sie einen aktuellen Code ein, um neue Backup-Codes zu erzeugen.',
+    'Scan this code with an authenticator app such as Google Authenticator, 1Password or Authy, then enter the 6-digit code it shows.': 'Scannen Sie diesen Code mit einer Authenticator-App wie Google Authenticator, 1Password oder Authy und geben Sie den angezeigten 6-stelligen Code ein.',
+    'Two-factor QR code': 'QR-Code für die Zwei-Faktor-Authentifizierung',
+    "Can't scan? Enter this key manually:": 'Scannen nicht möglich? Geben Sie diesen Schlüssel manuell ein:',
+    'Turn on': 'Aktivieren',
+    'Protect your account with a code from your phone in addition to your password.': 'Schützen Sie Ihr Konto zusätzlich zum Passwort mit einem Code von Ihrem Telefon.',
+    'Admin accounts must turn this on before using the admin dashboard.': 'Administratorkonten müssen dies vor der Nutzung des Admin-Dashboards aktivieren.',
+    'Two-factor authentication is on.': 'Die Zwei-Faktor-Authentifizierung ist aktiviert.',
+    'Current code': 'Aktueller Code',
+    'New backup codes': 'Neue Backup-Codes',
+    'Sign out {device}?': '{device} abmelden?',
+    'this device': 'dieses Gerät',
+    'That device will need to sign in again.': 'Dieses Gerät muss sich erneut anmelden.',
+    'Sign out': 'Abmelden',
+    'Session revoked': 'Sitzung widerrufen',
+    'Unknown device': 'Unbekanntes Gerät',
+    'This device': 'Dieses Gerät',
+    'last active {date}': 'zuletzt aktiv: {date}',
+    'Revoke': 'Widerrufen',
+    'No active sessions.': 'Keine aktiven Sitzungen.',
+
+    'Sent {count} change made offline': '{count} offline vorgenommene Änderung gesendet',
+    'Sent {count} changes made offline': '{count} offline vorgenommene Änderungen gesendet',
+    '{change} could not be sent': 'Konnte nicht gesendet werden: {change}',
+    "You're offline. The catalog, your orders and bookings show the last saved copy and are read-only.": 'Sie sind offline. Katalog, Bestellungen und Buchungen zeigen die zuletzt gespeicherte Kopie und sind schreibgeschützt.',
+    '{count} change will be sent when you reconnect.': '{count} Änderung wird gesendet, sobald Sie wieder verbunden sind.',
+    '{count} changes will be sent when you reconnect.': '{count} Änderungen werden gesendet, sobald Sie wieder verbunden sind.',
+    '{count} change made offline will be sent after you sign in.': '{count} offline vorgenommene Änderung wird nach der Anmeldung gesendet.',
+    '{count} changes made offline will be sent after you sign in.': '{count} offline vorgenommene Änderungen werden nach der Anmeldung gesendet.',
+    'Sending {count} change made offline...': '{count} offline vorgenommene Änderung wird gesendet...',
+    'Sending {count} changes made offline...': '{count} offline vorgenommene Änderungen werden gesendet...',
+    '{count} change made offline could not be sent yet.': '{count} offline vorgenommene Änderung konnte noch nicht gesendet werden.',
+    '{count} changes made offline could not be sent yet.': '{count} offline vorgenommene Änderungen konnten noch nicht gesendet werden.',
+  },
+}
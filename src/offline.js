@@ -0,0 +1,94 @@
+import { useEffect, useState } from 'react'
+import { API, api, getSession, NetworkError, onSessionChange, SessionExpiredError } from './api'
+
+const listeners = new Set()
+
+export function getQueue() {
+  return JSON.parse(localStorage.getItem('offline_queue') || '[]')
+}
+
+function saveQueue(items) {
+  localStorage.setItem('offline_queue', JSON.stringify(items))
+  listeners.forEach(fn => fn(items))
+}
+
+// Stores a request to send once the connection is back. Entries with the same
+// `key` replace each other, so only the latest cart is sent.
+export function enqueue({ method, path, body, label, key }) {
+  const entry = { id: `${Date.now()}-${Math.random().toString(36).slice(2)}`, method, path, body, label, key, owner: getSession().user?.email, queued_at: new Date().toISOString() }
+  saveQueue([...getQueue().filter(e => !key || e.key !== key), entry])
+  return entry
+}
+
+export function dropQueued(key) {
+  if (getQueue().some(e => e.key === key)) saveQueue(getQueue().filter(e => e.key !== key))
+}
+
+let replaying = null
+
+// Sends queued requests in order. Stops at the first network failure or while
+// signed out and leaves the rest queued; requests the backend rejects are
+// dropped and reported.
+export function replayQueue() {
+  if (!replaying) {
+    replaying = (async () => {
+      const sent = []
+      const failed = []
+      for (const entry of getQueue()) {
+        if (!getSession().token) break
+        try {
+          await api[entry.method](entry.path, entry.body)
+          sent.push(entry)
+        } catch (err) {
+          if (err instanceof NetworkError || err instanceof SessionExpiredError) break
+          failed.push({ ...entry, error: err.message })
+        }
+        saveQueue(getQueue().filter(e => e.id !== entry.id))
+      }
+      return { sent, failed }
+    })().finally(() => { replaying = null })
+  }
+  return replaying
+}
+
+export function useQueue() {
+  const [items, setItems] = useState(getQueue)
+  useEffect(() => {
+    listeners.add(setItems)
+    return () => listeners.delete(setItems)
+  }, [])
+  return items
+}
+
+export function useOnline() {
+  const [online, setOnline] = useState(navigator.onLine)
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine)
+    window.addEventListener('online', update)
+    window.addEventListener('offline', update)
+    return () => {
+      window.removeEventListener('online', update)
+      window.removeEventListener('offline', update)
+    }
+  }, [])
+  return online
+}
+
+// Queued requests and cached account data belong to the signed-in user. A
+// forced logout keeps the queue so it can be sent once the same user signs back in.
+onSessionChange((session, reason) => {
+  if (session.token) {
+    const email = session.user?.email
+    if (getQueue().some(e => e.owner && e.owner !== email)) saveQueue(getQueue().filter(e => !e.owner || e.owner === email))
+    return
+  }
+  if (!reason) saveQueue([])
+  navigator.serviceWorker?.controller?.postMessage({ type: 'clear-account' })
+})
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`/sw.js?api=${encodeURIComponent(API)}&build=${__BUILD_ID__}`).catch(() => {})
+  })
+}
@@ -0,0 +1,21 @@
+// Password rules shared by registration, reset and the account page. The
+// backend enforces the same minimum; these give feedback while typing.
+
+import { t } from './i18n'
+
+export const PASSWORD_RULES = [
+  ['length', 'At least 10 characters', (p) => p.length >= 10],
+  ['case', 'Upper and lower case letters', (p) => /[a-z]/.test(p) && /[A-Z]/.test(p)],
+  ['digit', 'At least one number', (p) => /\d/.test(p)],
+  ['symbol', 'At least one symbol', (p) => /[^A-Za-z0-9]/.test(p)],
+]
+
+export const checkPassword = (password) => PASSWORD_RULES.map(([id, label, test]) => ({ id, label, ok: test(password || '') }))
+
+export function passwordError(password, { email } = {}) {
+  const failed = checkPassword(password).filter(r => !r.ok)
+  if (failed.length) return t('Password needs: {rules}', { rules: failed.map(r => t(r.label)).join(', ') })
+  const name = (email || '').split('@')[0].toLowerCase()
+  if (name.length >= 3 && password.toLowerCase().includes(name)) return t('Password must not contain your email name')
+  return ''
+}
@@ -0,0 +1,18 @@
+// Subscription tiers. Limits here mirror what the backend enforces.
+export const PLANS = [
+  { id: 'basic', name: 'Basic', monthly: 0, annual: 0, retentionDays: 1, cameras: 2, remoteViewing: false, prioritySupport: false },
+  { id: 'standard', name: 'Standard', monthly: 9.99, annual: 99, retentionDays: 14, cameras: 8, remoteViewing: true, prioritySupport: false },
+  { id: 'pro', name: 'Pro', monthly: 24.99, annual: 249, retentionDays: 60, cameras: 32, remoteViewing: true, prioritySupport: true },
+]
+
+export const BILLING_CYCLES = [
+  ['monthly', 'Monthly'],
+  ['annual', 'Annual'],
+]
+
+export const getPlan = (id) => PLANS.find(p => p.id === id) || PLANS[0]
+
+export const planPrice = (plan, cycle) => cycle === 'annual' ? plan.annual : plan.monthly
+
+// Percentage saved by paying annually instead of twelve monthly payments.
+export const annualSavings = (plan) => plan.monthly ? Math.round((1 - plan.annual / (plan.monthly * 12)) * 100) : 0
@@ -0,0 +1,57 @@
+const env = import.meta.env
+
+const num = (v, fallback) => (v === undefined || v === '' || isNaN(Number(v)) ? fallback : Number(v))
+
+// Checkout rates. Override per deployment with the VITE_* variables.
+export const PRICING = {
+  taxRate: num(env.VITE_TAX_RATE, 0.07),
+  taxShipping: env.VITE_TAX_SHIPPING === 'true',
+  shippingFlat: num(env.VITE_SHIPPING_FLAT, 9.99),
+  freeShippingOver: num(env.VITE_FREE_SHIPPING_OVER, 250),
+  installationFee: num(env.VITE_INSTALLATION_FEE, 149),
+}
+
+// Tax by shipping country: goods are taxed at `rate`, delivery too when `shipping` is set.
+// The US rule keeps VITE_TAX_RATE and VITE_TAX_SHIPPING so existing deployments are unchanged.
+export const TAX_RULES = {
+  US: { name: 'United States', label: 'Sales tax', rate: PRICING.taxRate, shipping: PRICING.taxShipping },
+  CA: { name: 'Canada', label: 'GST/HST', rate: 0.13, shipping: true },
+  GB: { name: 'United Kingdom', label: 'VAT', rate: 0.2, shipping: true },
+  DE: { name: 'Germany', label: 'VAT', rate: 0.19, shipping: true },
+  FR: { name: 'France', label: 'VAT', rate: 0.2, shipping: true },
+  ES: { name: 'Spain', label: 'VAT', rate: 0.21, shipping: true },
+}
+
+export const DEFAULT_REGION = TAX_RULES[env.VITE_DEFAULT_REGION] ? env.VITE_DEFAULT_REGION : 'US'
+
+const COUNTRY_ALIASES = { USA: 'US', 'U.S.': 'US', 'U.S.A.': 'US', UK: 'GB', ENGLAND: 'GB', SCOTLAND: 'GB', WALES: 'GB', DEUTSCHLAND: 'DE', ESPAÑA: 'ES', ESPANA: 'ES' }
+
+// Maps an ISO code or the free-text country from an address form to a TAX_RULES key.
+export function regionFor(country) {
+  const key = (country || '').trim().toUpperCase()
+  if (TAX_RULES[key]) return key
+  return Object.keys(TAX_RULES).find(id => TAX_RULES[id].name.toUpperCase() === key) || COUNTRY_ALIASES[key] || null
+}
+
+export const taxRule = (region) => TAX_RULES[region] || TAX_RULES[DEFAULT_REGION]
+
+export const DELIVERY_METHODS = [
+  { id: 'shipping', label: 'Ship to address', description: 'Delivered in 3–5 business days. Free over {amount}.' },
+  { id: 'installation', label: 'Professional installation', description: 'A technician delivers and installs the equipment on site.' },
+]
+
+const round = (n) => +n.toFixed(2)
+
+export function deliveryFee(subtotal, method) {
+  if (method === 'installation') return PRICING.installationFee
+  if (subtotal === 0 || subtotal >= PRICING.freeShippingOver) return 0
+  return PRICING.shippingFlat
+}
+
+export function calculateTotals(items, method = 'shipping', region = DEFAULT_REGION) {
+  const rule = taxRule(region)
+  const subtotal = round(items.reduce((s, i) => s + i.price * i.qty, 0))
+  const shipping = deliveryFee(subtotal, method)
+  const tax = round((subtotal + (rule.shipping ? shipping : 0)) * rule.rate)
+  return { subtotal, shipping, tax, total: round(subtotal + shipping + tax), taxLabel: rule.label, taxRate: rule.rate }
+}
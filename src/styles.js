@@ -0,0 +1,5 @@
+// Form control classes shared across pages.
+export const inputClass = 'w-full bg-zinc-950 border border-zinc-800 rounded px-3 py-2 outline-none focus:ring-2 focus:ring-emerald-500/40'
+
+// Compact variant for filter bars and inline controls.
+export const fieldClass = 'bg-zinc-950 border border-zinc-800 rounded px-2 py-1.5 text-sm'
@@ -3,6 +3,10 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  // Changes with every build so the service worker re-installs and drops old assets.
+  define: {
+    __BUILD_ID__: JSON.stringify(Date.now().toString(36))
+  },
   optimizeDeps: {
     // Exclude packages that shouldn't be pre-bundled
     exclude: [],